@@ -90,6 +90,12 @@
  *     to run, then the first group gets 128 zones and the second group gets
  *     384.
  *
+ *     Each job also has a priority class ("low", "normal", or "high"), and
+ *     each group's ready tasks are weighted by its job's priority (see
+ *     maPriorityWeights) when computing shares.  In the example above, if the
+ *     first group's job were "high" priority and the second's "normal", then
+ *     the first group would get 204 zones and the second 307.
+ *
  * (4) We assume that setting up a zone for a particular task group is
  *     relatively cheap, that running a subsequent task from the same group in
  *     the same zone is free, but that resetting a zone for use by a different
@@ -148,7 +154,8 @@
  *     If the task does not belong to any existing task group, and there is a
  *     zone available to run the task (reserve or not), then the task is
  *     scheduled on that zone.  If there are no zones available, then the newly
- *     created task group is enqueued (in FIFO order) on a ready-to-run queue.
+ *     created task group is enqueued on a ready-to-run queue, which is ordered
+ *     by job priority and then FIFO.
  *
  *     If the task belongs to an existing task group and the system has at least
  *     "nreserve + 1" zones available, then the task is scheduled on any
@@ -168,7 +175,8 @@
  *     it's currently executing.
  *
  *     Otherwise, if there are any task groups on the ready-to-run queue, the
- *     zone resets and picks up the task group that's been waiting the longest.
+ *     zone resets and picks up the highest-priority task group that's been
+ *     waiting the longest.
  *     This comes from the fairness part of principle (3): by proportion, the
  *     waiting task group has a delta between desired concurrency (at least 1)
  *     and actual concurrency (0, for a percentage delta of infinity) that
@@ -228,7 +236,10 @@ var maProviderDefinition = require('./provider');
 var NANOSEC = 1e9;
 
 /* jsl:import ../../../common/lib/errors.js */
-require('../errors');
+var mod_errors = require('../errors');
+
+/* Idle streams are aborted with "NoError", which never appears in records. */
+mod_errors.errorCodesCheck(__filename, [ 'NoError' ]);
 
 /*
  * Global agent state
@@ -314,6 +325,16 @@ var maOtherTaskInitFailedError = {
 	'(see other errors for details)'
 };
 
+/*
+ * Relative weights of each job priority class when computing task groups' zone
+ * shares.  See "Task scheduling" above.
+ */
+var maPriorityWeights = {
+    'low': 1,
+    'normal': 2,
+    'high': 4
+};
+
 /*
  * These fields of task records may be changed by the supervisor after we've
  * read the record.  When we merge our own changes, we must be sure to preserve
@@ -877,7 +898,8 @@ mAgent.prototype.availDiskSlop = function ()
 
 /*
  * Invoked once per "timeTick" milliseconds to potentially kick off a poll for
- * more records from Moray, update our DNS cache, and check lackey liveness.
+ * more records from Moray, update our DNS cache, check lackey liveness, and
+ * enforce task runtime limits.
  * Each of these actions is throttled so that it won't happen either while
  * another one is ongoing or if it's been too recent since the last one.
  */
@@ -892,6 +914,7 @@ mAgent.prototype.tick = function ()
 	this.ma_logthrottle.flush(timestamp);
 
 	this.zonesCheckLiveness();
+	this.zonesCheckRuntime();
 
 	if (!this.ma_heartbeat.tooRecent()) {
 		this.heartbeat();
@@ -1042,9 +1065,69 @@ mAgent.prototype.zonesCheckLiveness = function ()
 	});
 };
 
+/*
+ * Take a pass over all zones to see whether any task has been running for
+ * longer than its phase's "maxTaskRuntime", in which case we fail the task and
+ * abort the stream.  Unlike a lackey timeout, this says nothing about the
+ * health of the zone, so we leave the zone in service.
+ */
+mAgent.prototype.zonesCheckRuntime = function ()
+{
+	var agent = this;
+	var now = Date.now();
+
+	mod_jsprim.forEachKey(this.ma_zones, function (zonename, zone) {
+		var stream = zone.z_taskstream;
+		var task, limit, error;
+
+		if (stream === undefined ||
+		    stream.s_state != maTaskStream.TASKSTREAM_S_RUNNING ||
+		    stream.s_error !== undefined ||
+		    stream.s_start === undefined ||
+		    stream.s_task === undefined ||
+		    stream.s_task.t_done)
+			return;
+
+		limit = stream.s_group.g_phase['maxTaskRuntime'];
+		if (limit === undefined || now - stream.s_start <= limit * 1000)
+			return;
+
+		task = stream.s_task;
+		error = {
+		    'code': EM_TASKTIMEOUT,
+		    'message': sprintf('task exceeded maximum runtime of %d ' +
+			'seconds', limit)
+		};
+
+		stream.s_log.warn('task "%s": killing after %dms (limit %ds)',
+		    task.t_id, now - stream.s_start, limit);
+		agent.taskMarkFailed(task, now, error);
+		agent.ma_dtrace.fire('task-killed', function () {
+			return ([ task.t_group.g_jobid, task.t_id,
+			    task.t_record['value'] ]);
+		});
+		agent.taskStreamAbort(stream, error);
+	});
+};
+
 mAgent.prototype.heartbeat = function ()
 {
 	var agent = this;
+	var nqueued = 0;
+	var nfree = 0;
+
+	/*
+	 * Along with our liveness, we report how busy we are so that
+	 * supervisors can steer map tasks towards less loaded replicas: the
+	 * number of tasks waiting for a zone and the number of zones ready to
+	 * accept a task.
+	 */
+	mod_jsprim.forEachKey(this.ma_taskgroups, function (_, group) {
+		nqueued += group.g_tasks.length;
+	});
+	mod_jsprim.forEachKey(this.ma_zonepools, function (_, pool) {
+		nfree += pool.nready();
+	});
 
 	this.ma_log.debug('heartbeat: start');
 	this.ma_heartbeat.start();
@@ -1053,7 +1136,9 @@ mAgent.prototype.heartbeat = function ()
 		'component': 'agent',
 		'instance': this.ma_manta_compute_id,
 		'serverUuid': this.ma_server_uuid,
-		'generation': this.ma_start
+		'generation': this.ma_start,
+		'nTasksQueued': nqueued,
+		'nZonesFree': nfree
 	    } ] ], { 'urgent': true }, function (err) {
 		agent.ma_heartbeat.done();
 
@@ -1268,8 +1353,7 @@ mAgent.prototype.onRecordTask = function (record, barrier)
 	this.taskDirty(task, undefined, barrier);
 
 	if (group.g_poolid && group.g_state == maTaskGroup.TASKGROUP_S_INIT) {
-		group.g_state = maTaskGroup.TASKGROUP_S_QUEUED;
-		this.ma_taskgroups_queued[group.g_poolid].push(group);
+		this.taskGroupEnqueue(group);
 		this.schedIdlePool(group.g_poolid);
 		return;
 	}
@@ -1506,14 +1590,23 @@ mAgent.prototype.taskGroupSetJob = function (group, job)
 	group.g_map_keys = group.g_phase['type'] == 'map' ||
 	    group.g_phase['type'] == 'storage-map';
 	group.g_multikey = group.g_phase['type'] == 'reduce';
+	if (group.g_multikey)
+		group.g_inputorder = group.g_phase['inputOrder'];
 	group.g_login = job.j_record['value']['auth']['login'];
 	group.g_owner = job.j_record['value']['owner'];
 	group.g_intermediate = group.g_phasei <
 	    job.j_record['value']['phases'].length - 1;
+	if (group.g_phase['partition'] !== undefined && group.g_intermediate)
+		group.g_npartitions = job.j_record['value']['phases'][
+		    group.g_phasei + 1]['count'] || 1;
 	group.g_checkpoint = job.j_record['value']['options'] &&
 	    job.j_record['value']['options']['frequentCheckpoint'];
 	group.g_poolid = this.imageLookup(group.g_phase['image']);
 	group.g_domainid = job.j_record['value']['worker'];
+	if (job.j_record['value']['priority']) {
+		group.g_priority = job.j_record['value']['priority'];
+		group.g_weight = maPriorityWeights[group.g_priority];
+	}
 
 	if (group.g_poolid === null) {
 		group.g_log.warn(maNoImageError['message']);
@@ -1526,8 +1619,7 @@ mAgent.prototype.taskGroupSetJob = function (group, job)
 	if (!group.g_multikey ||
 	    group.g_tasks[0].t_xinput.length > 0 ||
 	    group.g_tasks[0].t_ninputs !== undefined) {
-		group.g_state = maTaskGroup.TASKGROUP_S_QUEUED;
-		this.ma_taskgroups_queued[group.g_poolid].push(group);
+		this.taskGroupEnqueue(group);
 		this.schedIdlePool(group.g_poolid);
 	}
 };
@@ -1555,8 +1647,7 @@ mAgent.prototype.taskAppendKey = function (task, keyinfo)
 	});
 
 	if (group.g_poolid && group.g_state == maTaskGroup.TASKGROUP_S_INIT) {
-		group.g_state = maTaskGroup.TASKGROUP_S_QUEUED;
-		this.ma_taskgroups_queued[group.g_poolid].push(group);
+		this.taskGroupEnqueue(group);
 		this.schedIdle(group.g_poolid);
 		return;
 	}
@@ -1587,7 +1678,9 @@ mAgent.prototype.taskReadAllRecords = function (task)
  * Returns true if there is work available for the lackey on this stream.  This
  * is true if the stream has any map task or if the stream has a reduce task
  * with at least one input object waiting or has finished reading all input
- * records.
+ * records.  For reduce phases with an "inputOrder", we can't hand out any keys
+ * until we've read all of them, since any key we haven't read yet could sort
+ * first.
  */
 mAgent.prototype.taskStreamHasWork = function (stream)
 {
@@ -1600,9 +1693,44 @@ mAgent.prototype.taskStreamHasWork = function (stream)
 		return (true);
 
 	var task = stream.s_task;
+	if (stream.s_group.g_inputorder !== undefined)
+		return (this.taskReadAllRecords(task));
+
 	return (task.t_xinput.length > 0 || this.taskReadAllRecords(task));
 };
 
+/*
+ * Sort the input keys of the given reduce task according to its phase's
+ * "inputOrder", which is either "name" (by object name) or "sortKey" (by the
+ * sort key the previous phase attached to each object, and then by name).
+ * This must only be called once all input records have been read, and only
+ * sorts the keys once: after that, the lackey is consuming them in order.
+ */
+mAgent.prototype.taskSortInputs = function (task)
+{
+	var order = task.t_group.g_inputorder;
+
+	mod_assert.ok(this.taskReadAllRecords(task));
+	if (task.t_sorted)
+		return;
+
+	task.t_sorted = true;
+	task.t_xinput.sort(function (a, b) {
+		var akey, bkey;
+
+		if (order == 'sortKey') {
+			akey = a['sortKey'] || '';
+			bkey = b['sortKey'] || '';
+			if (akey != bkey)
+				return (akey < bkey ? -1 : 1);
+		}
+
+		if (a['input'] == b['input'])
+			return (0);
+		return (a['input'] < b['input'] ? -1 : 1);
+	});
+};
+
 /*
  * Returns kstats for the stream's zone.  This may only be called while the zone
  * is known to be running.
@@ -1781,7 +1909,8 @@ mAgent.prototype.taskDoneRunning = function (task, callback)
  */
 mAgent.prototype.taskMarkFailed = function (task, when, error, barrier)
 {
-	var uuid, errvalue, extra;
+	var agent = this;
+	var extra, i;
 
 	this.ma_counters['tasks_failed']++;
 
@@ -1797,35 +1926,25 @@ mAgent.prototype.taskMarkFailed = function (task, when, error, barrier)
 	if (error !== undefined) {
 		task.t_record['value']['errorCode'] = error['code'];
 
-		uuid = mod_uuid.v4();
-
-		errvalue = {
-		    'errorId': uuid,
-		    'jobId': task.t_group.g_jobid,
-		    'domain': task.t_group.g_domainid,
-		    'phaseNum': task.t_group.g_phasei,
-		    'errorCode': error['code'],
-		    'errorMessage': error['message'],
-		    'errorMessageInternal': error['messageInternal'],
-
-		    'input': task.t_record['value']['input'],
-		    'p0input': task.t_record['value']['p0input'],
-
-		    'taskId': task.t_id,
-		    'server': this.ma_conf['instanceUuid'],
-		    'mantaComputeId': this.ma_conf['mantaComputeId'],
-		    'machine': task.t_stream ?
-			task.t_stream.s_machine : undefined,
-		    'stderr': task.t_stream ?
-			task.t_stream.s_stderr : undefined,
-		    'core': task.t_stream ?
-			task.t_stream.s_core : undefined,
-
-		    'prevRecordType': 'task',
-		    'prevRecordId': task.t_id
-		};
-
-		extra = [ this.ma_buckets['error'], uuid, errvalue ];
+		/*
+		 * When a batched task fails, all of its remaining inputs have
+		 * failed, too.  Those that already failed on their own already
+		 * have their own error records.
+		 */
+		if (task.t_inputs === undefined) {
+			extra = [ this.taskErrorRecord(task, task.t_record[
+			    'value'], error, task.t_stream !== undefined) ];
+		} else {
+			extra = task.t_errors.slice(0);
+			for (i = 0; i < task.t_inputs.length; i++) {
+				if (task.t_failed.hasOwnProperty(i))
+					continue;
+				extra.push(agent.taskErrorRecord(task,
+				    task.t_inputs[i], error,
+				    task.t_stream !== undefined &&
+				    i == task.t_inputi));
+			}
+		}
 	}
 
 	this.taskDirty(task, extra, barrier);
@@ -1837,6 +1956,46 @@ mAgent.prototype.taskMarkFailed = function (task, when, error, barrier)
 	}
 };
 
+/*
+ * Returns an "error" record describing the failure of the given input of the
+ * given task with the given error.  "input" is either the task record itself
+ * or, for batched map tasks, an element of its "inputs" array.  If "withstream"
+ * is true, the record includes details about the current execution in the
+ * task's stream (e.g., its stderr object).
+ */
+mAgent.prototype.taskErrorRecord = function (task, input, error, withstream)
+{
+	var uuid, stream;
+
+	uuid = mod_uuid.v4();
+	stream = withstream ? task.t_stream : undefined;
+
+	return ([ this.ma_buckets['error'], uuid, {
+	    'errorId': uuid,
+	    'jobId': task.t_group.g_jobid,
+	    'domain': task.t_group.g_domainid,
+	    'phaseNum': task.t_group.g_phasei,
+	    'errorCode': error['code'],
+	    'errorMessage': error['message'],
+	    'errorMessageInternal': error['messageInternal'],
+	    'errorCategory': error['category'] ||
+		mod_errors.errorCategory(error['code']),
+
+	    'input': input['input'],
+	    'p0input': input['p0input'],
+
+	    'taskId': task.t_id,
+	    'server': this.ma_conf['instanceUuid'],
+	    'mantaComputeId': this.ma_conf['mantaComputeId'],
+	    'machine': stream ? stream.s_machine : undefined,
+	    'stderr': stream ? stream.s_stderr : undefined,
+	    'core': stream ? stream.s_core : undefined,
+
+	    'prevRecordType': 'task',
+	    'prevRecordId': task.t_id
+	} ]);
+};
+
 /*
  * Update a task's record to indicate that it has successfully completed on
  * machine "machine" with "nout" output keys.
@@ -1845,6 +2004,9 @@ mAgent.prototype.taskMarkOk = function (task, machine, nout, when)
 {
 	this.ma_counters['tasks_committed']++;
 
+	if (task.t_inputs !== undefined)
+		task.t_record['value']['nInputsFailed'] =
+		    task.t_errors.length;
 	task.t_record['value']['nOutputs'] = nout;
 	task.t_record['value']['state'] = 'done';
 	task.t_record['value']['result'] = 'ok';
@@ -1856,16 +2018,17 @@ mAgent.prototype.taskMarkOk = function (task, machine, nout, when)
 	 * written out all output tasks.
 	 */
 	if (task.t_nout_pending === 0)
-		this.taskDirty(task);
+		this.taskDirty(task, task.t_errors);
 	else
 		this.ma_log.debug('waiting for task\'s outputs to save',
 		    task.t_id);
 };
 
 /*
- * Schedule an update for the given task's Moray record.  A related record may
- * also be specified, in which case the two will be written atomically (as when
- * a task is written with result "fail" along with an "error" record).
+ * Schedule an update for the given task's Moray record.  An array of related
+ * records may also be specified, in which case they will all be written
+ * atomically (as when a task is written with result "fail" along with its
+ * "error" records).
  */
 mAgent.prototype.taskDirty = function (task, related, barrier)
 {
@@ -1876,13 +2039,14 @@ mAgent.prototype.taskDirty = function (task, related, barrier)
 	    [ this.ma_buckets['task'], task.t_id,
 	      task.t_record['value'], { 'etag': task.t_record['_etag'] } ] ];
 	if (related !== undefined)
-		records.push(related);
+		records = records.concat(related);
 
 	this.ma_bus.putBatch(records, {
 	    'retryConflict': function (oldrec, newrec) {
 		return (mod_bus.mergeRecords(maTaskSupervisorFields, [
 			'machine',
 			'nOutputs',
+			'nInputsFailed',
 			'result',
 			'errorCode',
 			'state',
@@ -1905,9 +2069,10 @@ mAgent.prototype.taskDirty = function (task, related, barrier)
  * Emit an output object from the given task.
  */
 mAgent.prototype.taskEmitOutput = function (stream, task, iostream, key,
-    reducer, callback)
+    reducer, sortkey, callback)
 {
 	var agent = this;
+	var input;
 
 	if (task === undefined || stream.s_task != task) {
 		stream.s_log.warn('stream has moved on by the time %s key ' +
@@ -1936,6 +2101,7 @@ mAgent.prototype.taskEmitOutput = function (stream, task, iostream, key,
 		return;
 	}
 
+	input = maTaskCurrentInput(task);
 	++stream.s_noutput;
 	++task.t_nout_pending;
 	this.ma_bus.putBatch([ [
@@ -1946,14 +2112,15 @@ mAgent.prototype.taskEmitOutput = function (stream, task, iostream, key,
 		'phaseNum': task.t_record['value']['phaseNum'],
 		'intermediate': stream.s_group.g_intermediate,
 		'output': key,
-		'input': task.t_record['value']['input'],
-		'p0input': task.t_record['value']['p0input'],
+		'input': input['input'],
+		'p0input': input['p0input'],
 		'rIdx': reducer,
+		'sortKey': sortkey,
 		'timeCreated': mod_jsprim.iso8601(Date.now())
 	    } ] ], {}, function () {
 		if (--task.t_nout_pending === 0 &&
 		    task.t_record['value']['result'] == 'ok')
-			agent.taskDirty(task);
+			agent.taskDirty(task, task.t_errors);
 		if (callback)
 			callback();
 	    });
@@ -1970,7 +2137,7 @@ mAgent.prototype.taskCommit = function (stream, body, now, callback)
 
 	if (body['key']) {
 		if ((!group.g_multikey &&
-		    task.t_record['value']['input'] != body['key']) ||
+		    maTaskCurrentInput(task)['input'] != body['key']) ||
 		    (group.g_multikey && (task.t_xinput.length === 0 ||
 		     task.t_xinput[0]['input'] != body['key']))) {
 			callback(new mod_restify.InvalidArgumentError(
@@ -2013,8 +2180,12 @@ mAgent.prototype.taskCommit = function (stream, body, now, callback)
 	 * the zone until we finish reading them all.  This greatly simplifies
 	 * the processing of this presumably uncommon case, since otherwise we'd
 	 * need to invalidate newly written taskinput records.
+	 *
+	 * Batched map tasks are only done after their last input.
 	 */
-	if (!group.g_multikey || this.taskReadAllRecords(task)) {
+	if (task.t_inputs !== undefined) {
+		this.taskInputDone(stream, now, undefined, callback);
+	} else if (!group.g_multikey || this.taskReadAllRecords(task)) {
 		this.taskMarkOk(task, stream.s_machine, stream.s_noutput, now);
 		this.taskDoneRunning(task, callback);
 	} else {
@@ -2159,6 +2330,27 @@ mAgent.prototype.taskGroupError = function (group, error, firsterror)
 	}
 };
 
+/*
+ * Move a task group into the QUEUED state by enqueueing it onto its pool's
+ * ready-to-run queue.  The queue is kept sorted by job priority, and groups of
+ * the same priority are kept in FIFO order.
+ */
+mAgent.prototype.taskGroupEnqueue = function (group)
+{
+	var queue, i;
+
+	mod_assert.ok(group.g_state != maTaskGroup.TASKGROUP_S_QUEUED);
+	group.g_state = maTaskGroup.TASKGROUP_S_QUEUED;
+
+	queue = this.ma_taskgroups_queued[group.g_poolid];
+	for (i = queue.length; i > 0; i--) {
+		if (queue[i - 1].g_weight >= group.g_weight)
+			break;
+	}
+
+	queue.splice(i, 0, group);
+};
+
 /*
  * Dequeue and remove a task group in the QUEUED state.
  */
@@ -2326,11 +2518,17 @@ mAgent.prototype.schedHogKill = function (group, timestamp)
 		stream.s_idle_time = undefined;
 	} else {
 		mod_jsprim.forEachKey(group.g_streams, function (sid, astream) {
-			if (astream.s_task !== undefined &&
-			    (latest === undefined ||
-			    astream.s_start > latest)) {
+			var start;
+
+			if (astream.s_task === undefined)
+				return;
+
+			/* Reduce tasks may not have started yet. */
+			start = astream.s_start === undefined ? Infinity :
+			    astream.s_start.getTime();
+			if (latest === undefined || start > latest) {
 				stream = astream;
-				latest = astream.s_start;
+				latest = start;
 			}
 		});
 
@@ -2356,11 +2554,30 @@ mAgent.prototype.schedHogKill = function (group, timestamp)
 	}
 };
 
+/*
+ * Returns the total number of tasks ready to run on the system, with each
+ * group's tasks weighted by its job's priority.  This is the denominator when
+ * computing each group's share of zones.
+ */
+mAgent.prototype.schedTotalWeight = function ()
+{
+	var total = 0;
+
+	mod_jsprim.forEachKey(this.ma_taskgroups, function (_, group) {
+		total += group.g_weight *
+		    (group.g_nrunning + group.g_tasks.length);
+	});
+
+	return (total);
+};
+
 /*
  * Given a task group, determine how many zones this group should be allocated.
- * See the comment at the top of this file for much more detail.
+ * See the comment at the top of this file for much more detail.  Callers
+ * computing shares for many groups at once may pass in the result of
+ * schedTotalWeight() as "totalweight" to avoid recomputing it for each group.
  */
-mAgent.prototype.schedGroupShare = function (group)
+mAgent.prototype.schedGroupShare = function (group, totalweight)
 {
 	var ntasks, capacity, nzones;
 
@@ -2376,8 +2593,12 @@ mAgent.prototype.schedGroupShare = function (group)
 	if (ntasks === 0)
 		return (0);
 
+	if (totalweight === undefined)
+		totalweight = this.schedTotalWeight();
+
 	capacity = this.ma_zonepools[group.g_poolid].unreservedCapacity();
-	nzones = Math.floor(capacity * (ntasks / this.ma_ntasks));
+	nzones = Math.floor(capacity *
+	    (ntasks * group.g_weight / totalweight));
 	return (Math.min(ntasks, Math.max(1, nzones)));
 };
 
@@ -2389,7 +2610,7 @@ mAgent.prototype.schedGroupShare = function (group)
  */
 mAgent.prototype.schedGroupOversched = function (group)
 {
-	var ntasks, pool, capacity, nzones;
+	var ntasks, pool, capacity, nzones, totalweight, weight;
 
 	/*
 	 * If there's no work to do on the whole system, then nobody's
@@ -2414,10 +2635,17 @@ mAgent.prototype.schedGroupOversched = function (group)
 	ntasks = this.ma_ntasks - (group.g_nrunning + group.g_tasks.length);
 	mod_assert.ok(ntasks >= 0 && ntasks <= this.ma_ntasks);
 
+	totalweight = this.schedTotalWeight();
+	if (totalweight === 0)
+		return (0);
+
+	weight = totalweight -
+	    group.g_weight * (group.g_nrunning + group.g_tasks.length);
+
 	pool = this.ma_zonepools[group.g_poolid];
 	capacity = pool.unreservedCapacity();
 	nzones = Math.min(ntasks,
-	    Math.ceil(capacity * (ntasks / this.ma_ntasks)));
+	    Math.ceil(capacity * (weight / totalweight)));
 	return (Math.max(0, group.g_nstreams - 1 - (capacity - nzones)));
 };
 
@@ -2496,7 +2724,9 @@ mAgent.prototype.schedIdlePool = function (poolid, zoneadded)
 mAgent.prototype.schedPickGroup = function (poolid)
 {
 	var agent = this;
-	var bestGroup, bestValue;
+	var bestGroup, bestValue, totalweight;
+
+	totalweight = this.schedTotalWeight();
 
 	mod_jsprim.forEachKey(agent.ma_taskgroups, function (_, group) {
 		var nzones, value;
@@ -2518,7 +2748,7 @@ mAgent.prototype.schedPickGroup = function (poolid)
 
 		mod_assert.ok(group.g_nstreams > 0);
 
-		nzones = agent.schedGroupShare(group);
+		nzones = agent.schedGroupShare(group, totalweight);
 		if (nzones <= group.g_nstreams)
 			return;
 
@@ -2858,9 +3088,7 @@ function maTaskStreamDispatch(arg, callback)
  */
 mAgent.prototype.taskStreamAdvance = function (stream, callback)
 {
-	var agent = this;
-	var stop, now, task, group, taskvalue, zone;
-	var rootkeypath, abbrpath, localkeypath;
+	var stop, now, task, group;
 
 	mod_assert.ok(!stream.s_pending,
 	    'concurrent calls to maTaskStreamAdvance');
@@ -2953,12 +3181,31 @@ mAgent.prototype.taskStreamAdvance = function (stream, callback)
 
 	task.t_record['value']['timeStarted'] = mod_jsprim.iso8601(now);
 
+	/*
+	 * A reduce task's runtime starts when it first has work to do (see
+	 * maTaskApiTask), since it may wait a long time for its inputs.
+	 */
 	if (!group.g_map_keys) {
-		stream.s_start = now;
+		if (!group.g_multikey)
+			stream.s_start = now;
 		callback();
 		return;
 	}
 
+	this.taskStreamMapInput(stream, task, now, callback);
+};
+
+/*
+ * Map the current input object for the stream's task into the zone and invoke
+ * "callback" when the task is ready to run.  If the object can't be mapped,
+ * the task (or, for batched map tasks, the current input) fails and the stream
+ * moves on.  This has the same constraints as taskStreamAdvance.
+ */
+mAgent.prototype.taskStreamMapInput = function (stream, task, now, callback)
+{
+	var agent = this;
+	var taskvalue, zone, rootkeypath, abbrpath, localkeypath;
+
 	/*
 	 * Determine the path under the hyprlofs mountpoint where we'll map the
 	 * file representing the contents of the user's object.  This is usually
@@ -2971,24 +3218,23 @@ mAgent.prototype.taskStreamAdvance = function (stream, callback)
 	 * MANTA_INPUT_OBJECT), so in theory, we should be able to pick anything
 	 * at all.
 	 */
-	taskvalue = task.t_record['value'];
+	taskvalue = maTaskCurrentInput(task);
 	abbrpath = mod_pathabbr.pathAbbreviate({ 'path': taskvalue['input'] });
 	if (abbrpath instanceof Error) {
 		/*
 		 * This should be impossible because it would have been caught
 		 * by the supervisor, but we handle it defensively.
 		 */
-		this.taskMarkFailed(task, now, {
+		this.taskInputFailed(stream, task, now, {
 		    'code': EM_INVALIDARGUMENT,
 		    'message': abbrpath.message
-		});
-		this.taskDoneRunning(task, callback);
+		}, callback);
 		return;
 	}
 
 	if (abbrpath.shortened) {
 		stream.s_log.warn({
-		    'taskId': taskvalue['taskId'],
+		    'taskId': task.t_id,
 		    'origPath': taskvalue['input'],
 		    'shorterPath': abbrpath.abbrpath
 		}, 'truncated very long file path');
@@ -3079,16 +3325,65 @@ mAgent.prototype.taskStreamAdvance = function (stream, callback)
 			    '%s (at local path "%s")', taskvalue, rootkeypath,
 			    localkeypath);
 			stream.s_log.error(suberr);
-			agent.taskMarkFailed(task, new Date(), {
+			agent.taskInputFailed(stream, task, new Date(), {
 			    'code': EM_RESOURCENOTFOUND,
 			    'message': 'failed to load object',
 			    'messageInternal': suberr.message
-			});
-			agent.taskDoneRunning(task, callback);
+			}, callback);
 		});
 	});
 };
 
+/*
+ * Invoked when the stream's current input could not be set up for processing.
+ * For batched map tasks, only that input fails.  Otherwise, the whole task
+ * fails.
+ */
+mAgent.prototype.taskInputFailed = function (stream, task, now, error,
+    callback)
+{
+	if (task.t_inputs !== undefined) {
+		this.taskInputDone(stream, now, error, callback);
+	} else {
+		this.taskMarkFailed(task, now, error);
+		this.taskDoneRunning(task, callback);
+	}
+};
+
+/*
+ * Invoked when the current input of a batched map task has been processed,
+ * either successfully or (if "error" is specified) not.  Failures of individual
+ * inputs don't fail the task: we save an error record to be written out with
+ * the task when it completes and move on to the next input.  The task itself
+ * completes successfully after the last input has been processed.  This has
+ * the same constraints as taskStreamAdvance.
+ */
+mAgent.prototype.taskInputDone = function (stream, now, error, callback)
+{
+	var task = stream.s_task;
+
+	mod_assert.ok(task.t_inputs !== undefined);
+	mod_assert.ok(task.t_stream == stream);
+
+	if (error !== undefined) {
+		task.t_failed[task.t_inputi] = true;
+		task.t_errors.push(this.taskErrorRecord(task,
+		    maTaskCurrentInput(task), error, true));
+	}
+
+	if (++task.t_inputi < task.t_inputs.length) {
+		stream.s_stderr = undefined;
+		stream.s_core = undefined;
+		stream.s_start = undefined;
+		this.taskStreamMapInput(stream, task, now, callback);
+		return;
+	}
+
+	task.t_inputi = task.t_inputs.length - 1;
+	this.taskMarkOk(task, stream.s_machine, stream.s_noutput, now);
+	this.taskDoneRunning(task, callback);
+};
+
 /*
  * Called when the task stream has become idle because there's no more work to
  * do, but is otherwise able to keep processing tasks.  This allows us to hold
@@ -3142,8 +3437,7 @@ mAgent.prototype.taskStreamCleanup = function (stream)
 			 * stream may have failed fatally.  Whatever the reason,
 			 * we re-enqueue this task group.
 			 */
-			group.g_state = maTaskGroup.TASKGROUP_S_QUEUED;
-			this.ma_taskgroups_queued[group.g_poolid].push(group);
+			this.taskGroupEnqueue(group);
 			process.nextTick(
 			    function () { agent.schedIdle(group.g_poolid); });
 		}
@@ -3870,6 +4164,8 @@ function maTaskApiTask(request, response, callback, nowait)
 
 		if (!stream.s_task.t_done &&
 		    agent.taskStreamHasWork(stream) && !stream.s_pending) {
+			if (stream.s_start === undefined)
+				stream.s_start = new Date();
 			state = stream.streamState(agent);
 			request.log.debug({
 				state: state,
@@ -4007,6 +4303,13 @@ function maTaskApiFail(request, response, next)
 	if (!error['code'] || typeof (error['code']) != 'string')
 		error['code'] = EM_USERTASK;
 
+	/*
+	 * Whatever code the user's program reported, the failure is the
+	 * user's, so we record that category rather than the one registered
+	 * for the code (see taskErrorRecord and errors.js).
+	 */
+	error['category'] = 'user';
+
 	if (!error['message'] || typeof (error['message']) != 'string')
 		error['message'] = 'no message given';
 
@@ -4060,7 +4363,9 @@ function maTaskApiFail(request, response, next)
 		var task = stream.s_task;
 		task.t_record['value']['machine'] = stream.s_machine;
 
-		if (!task.t_group.g_multikey ||
+		if (task.t_inputs !== undefined) {
+			agent.taskInputDone(stream, now, error, callback);
+		} else if (!task.t_group.g_multikey ||
 		    agent.taskReadAllRecords(task)) {
 			agent.taskMarkFailed(task, now, error);
 			agent.taskDoneRunning(task, callback);
@@ -4111,13 +4416,16 @@ function maTaskApiPerturb(request, response, next)
 /*
  * /:key: We proxy the entire Manta API here.  The only thing that we do
  * specially here is note objects that get created so we can "commit" them only
- * if the task successfully completes.
+ * if the task successfully completes.  Such objects are assigned to the reducer
+ * named by the "x-manta-reducer" header (if any), and carry the sort key named
+ * by the "x-manta-sort-key" header (if any) for reducers that request ordered
+ * input.
  */
 function maTaskApiManta(request, response, next)
 {
 	var agent = maAgent;
 	var zone, key, decode_err, group, stream, type;
-	var iostream, proxyargs, reducer, r, donefunc;
+	var iostream, proxyargs, reducer, r, donefunc, sortkey;
 
 	if (!maTaskApiValidate(request, response, next))
 		return;
@@ -4127,6 +4435,7 @@ function maTaskApiManta(request, response, next)
 	maZoneHeartbeat(zone);
 
 	reducer = request.headers['x-manta-reducer'];
+	sortkey = request.headers['x-manta-sort-key'];
 	iostream = request.headers['x-manta-stream'];
 	if (iostream != 'stderr' && iostream != 'stdout' && iostream != 'core')
 		iostream = undefined;
@@ -4186,7 +4495,8 @@ function maTaskApiManta(request, response, next)
 			 */
 			if (request.headers['x-manta-reference']) {
 				agent.taskEmitOutput(stream, stream.s_task,
-				    iostream, key, reducer, function () {
+				    iostream, key, reducer, sortkey,
+				    function () {
 					qcallback();
 				});
 
@@ -4205,7 +4515,7 @@ function maTaskApiManta(request, response, next)
 				donefunc = function () {
 					agent.taskEmitOutput(stream,
 					    stream.s_task, iostream, key,
-					    reducer);
+					    reducer, sortkey);
 				};
 			}
 		}
@@ -4298,6 +4608,7 @@ function maTask(record, agent)
 	this.t_stream = undefined;		/* assigned task stream */
 	this.t_cancelled = false;		/* task is cancelled */
 	this.t_nread = 0;			/* number of inputs read */
+	this.t_sorted = false;			/* inputs sorted */
 	this.t_ninputs = record['value']['nInputs'];	/* nr of inputs */
 	this.t_abandoned = false;		/* task stolen by supervisor */
 	this.t_nout_pending = 0;		/* nr of pending taskoutputs */
@@ -4305,6 +4616,23 @@ function maTask(record, agent)
 	this.t_async_error = undefined;		/* for tasks done early */
 	this.t_localfile = null;		/* local file path */
 	this.t_shortened = false;		/* local path was shortened */
+	this.t_inputs = record['value']['inputs'];	/* batched inputs */
+	this.t_inputi = 0;			/* current batched input */
+	this.t_failed = {};			/* failed batched inputs */
+	this.t_errors = [];			/* errors for failed inputs */
+}
+
+/*
+ * Returns the description of the input object that the given task is currently
+ * processing.  For batched map tasks, this is the current element of the
+ * "inputs" array.  For other tasks, it's the task record itself.
+ */
+function maTaskCurrentInput(task)
+{
+	if (task.t_inputs === undefined)
+		return (task.t_record['value']);
+
+	return (task.t_inputs[task.t_inputi]);
 }
 
 /*
@@ -4329,9 +4657,13 @@ function maTaskGroup(groupid, job, pi, log)
 	this.g_login = undefined;	/* authz user's login name */
 	this.g_owner = undefined;	/* owning user's uuid */
 	this.g_intermediate = undefined; /* outputs are intermediate */
+	this.g_npartitions = undefined;	/* nr of reducers to split stdout */
+	this.g_inputorder = undefined;	/* order of reduce input keys */
 	this.g_checkpoint = false;	/* checkpoint frequently */
 	this.g_poolid = undefined;	/* zone pool to pick from (image) */
 	this.g_domainid = undefined;	/* supervisor domain id */
+	this.g_priority = mod_schema.sJobPriorityDefault; /* priority class */
+	this.g_weight = maPriorityWeights[this.g_priority]; /* share weight */
 
 	/* dynamic state */
 	this.g_state = maTaskGroup.TASKGROUP_S_INIT;
@@ -4370,6 +4702,7 @@ maTaskGroup.prototype.kangState = function (agent)
 	    'phasei': this.g_phasei,
 	    'phase': this.g_phase,
 	    'login': this.g_login,
+	    'priority': this.g_priority,
 	    'intermediate': this.g_intermediate,
 	    'mapKeys': this.g_map_keys,
 	    'multiKey': this.g_multikey,
@@ -4487,7 +4820,7 @@ maTaskStream.prototype.kangState = function ()
  */
 maTaskStream.prototype.streamState = function (agent)
 {
-	var group, task, rv, outbase, base;
+	var group, task, input, rv, outbase, base, suffix;
 
 	group = this.s_group;
 	mod_assert.ok(group.g_phase !== undefined);
@@ -4511,13 +4844,29 @@ maTaskStream.prototype.streamState = function (agent)
 	 *    				lackey exactly what to execute.
 	 *
 	 *    login			User Login
+	 *
+	 *    taskInputIndex		Index of the current input, for batched
+	 *    				map tasks only.  The lackey runs the
+	 *    				phase once for each input.
+	 *
+	 *    taskPartitions		Number of reducers in the next phase,
+	 *    				for phases with a "partition" option
+	 *    				only.  The lackey splits the task's
+	 *    				stdout among these reducers.
 	 */
+	input = maTaskCurrentInput(task);
 	rv['jobId'] = task.t_record['value']['jobId'];
 	rv['rIdx'] = task.t_record['value']['rIdx'];
 	rv['taskId'] = task.t_id;
 	rv['taskPhase'] = group.g_phase;
 	rv['login'] = group.g_login;
 
+	if (task.t_inputs !== undefined)
+		rv['taskInputIndex'] = task.t_inputi;
+
+	if (group.g_npartitions !== undefined)
+		rv['taskPartitions'] = group.g_npartitions;
+
 	/*
 	 * Next we construct suggested names for the stderr object, the first
 	 * stdout object, and the base name for subsequent stdout objects:
@@ -4536,25 +4885,32 @@ maTaskStream.prototype.streamState = function (agent)
 	 *    				"anonymous" stdout objects.
 	 *
 	 *    taskCoreBase		Suggested base name for core files
+	 *
+	 * For batched map tasks, the input index is appended to the task
+	 * identifier in these names so that they're unique for each input.
 	 */
 	outbase = mod_path.join('/', group.g_login, 'jobs',
 	    group.g_jobid, 'stor');
 
 	if (group.g_multikey)
 		base = 'reduce';
-	else if (task.t_record['value']['p0input'])
-		base = task.t_record['value']['p0input'];
+	else if (input['p0input'])
+		base = input['p0input'];
 	else {
-		base = task.t_record['value']['input'];
+		base = input['input'];
 
 		if (mod_jsprim.startsWith(base, outbase))
 			base = base.substr(outbase.length);
 	}
 
+	suffix = task.t_id;
+	if (task.t_inputs !== undefined)
+		suffix += '.' + task.t_inputi;
+
 	rv['taskErrorKey'] = mod_path.join(outbase,
-	    base + '.' + group.g_phasei + '.err.' + task.t_id);
+	    base + '.' + group.g_phasei + '.err.' + suffix);
 	rv['taskOutputKey'] = mod_path.join(outbase,
-	    base + '.' + group.g_phasei + '.' + task.t_id);
+	    base + '.' + group.g_phasei + '.' + suffix);
 	rv['taskOutputBase'] = mod_path.join(outbase,
 	    base + '.' + group.g_phasei + '.');
 	rv['taskCoreBase'] = mod_path.join(outbase,
@@ -4587,6 +4943,8 @@ maTaskStream.prototype.streamState = function (agent)
 	 *    (local only)	corresponding to the input key.
 	 */
 	if (group.g_multikey) {
+		if (group.g_inputorder !== undefined)
+			agent.taskSortInputs(task);
 		rv['taskInputKeys'] = task.t_xinput.slice(0, 10).map(
 		    function (k) { return (k['input']); });
 		rv['taskInputDone'] = agent.taskReadAllRecords(task) &&
@@ -4594,7 +4952,7 @@ maTaskStream.prototype.streamState = function (agent)
 		rv['taskInputRemote'] = sprintf('/var/run/.marlin.%s.sock',
 		    this.s_machine);
 	} else {
-		rv['taskInputKeys'] = [ task.t_record['value']['input'] ];
+		rv['taskInputKeys'] = [ input['input'] ];
 		rv['taskInputDone'] = true;
 
 		if (group.g_map_keys) {
@@ -4663,6 +5021,7 @@ function maKangSchema(type)
 			'phasei',
 			'phase',
 			'login',
+			'priority',
 			'multiKey',
 			'ntasks',
 			'nrunning',
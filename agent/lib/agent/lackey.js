@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2016, Joyent, Inc.
+ * Copyright (c) 2017, Joyent, Inc.
  */
 
 /*
@@ -46,6 +46,18 @@
  *     can be propagated to subsequent job phases or reported back to the user
  *     as job output.
  *
+ *   o For phases with a "partition" option, we split the task's stdout among
+ *     the next phase's reducers ourselves, so that user code doesn't have to.
+ *     Each line goes to the reducer chosen by hashing a key extracted from the
+ *     line, and we save each reducer's lines as a separate object with the
+ *     "x-manta-reducer" header, exactly as user code would have done.  The GZ
+ *     agent records these objects as outputs for the corresponding reducers.
+ *
+ *   o For map phases with a "combine" option, we pipe the task's stdout through
+ *     the combine command after the map command exits successfully, and the
+ *     combiner's stdout is what gets saved (and partitioned) as the task's
+ *     output.  The map command's own stdout never leaves the zone.
+ *
  *   o When we finish processing the task, we report either success or failure.
  *     The GZ agent records the result and moves on to the next task.
  */
@@ -53,6 +65,7 @@
 var mod_assert = require('assert');
 var mod_child = require('child_process');
 var mod_contract = require('illumos_contract');
+var mod_crypto = require('crypto');
 var mod_events = require('events');
 var mod_fs = require('fs');
 var mod_http = require('http');
@@ -80,7 +93,9 @@ var Executor = require('./executor');
 var VError = mod_verror.VError;
 
 /* jsl:import ../../../common/lib/errors.js */
-require('../errors');
+var mod_errors = require('../errors');
+
+mod_errors.errorCodesCheck(__filename);
 
 /*
  * Configuration
@@ -98,6 +113,7 @@ var mazCoreDir = '/var/tmp/core';		/* core file directory */
 var mazCorePattern = 'mrcore.%f.%p';		/* core file pattern */
 var mazTaskStdoutFile = mod_path.join(mazOutputDir, 'stdout');
 var mazTaskStderrFile = mod_path.join(mazOutputDir, 'stderr');
+var mazTaskCombineFile = mod_path.join(mazOutputDir, 'stdout.map');
 var mazTaskLivenessInterval = 15 * 1000;
 var mazHttpPerRequestBuffer = 1024 * 1024;
 var mazHttpConcurrency = 16;
@@ -159,6 +175,7 @@ var mazErrorFetch;		/* error fetching task input */
 var mazErrorSave;		/* error during task processing */
 var mazExecutor;		/* task executor */
 var mazExecutorResult;		/* task execution result */
+var mazCombineFailed;		/* whether the combiner caused the result */
 var mazUserEmitted;		/* whether the user has emitted output */
 
 function usage(errmsg)
@@ -393,6 +410,7 @@ function mazTaskFetch()
 
 		mazCurrentTask = task;
 		mazUserEmitted = false;
+		mazCombineFailed = false;
 
 		mazLivenessTimeout = setInterval(
 		    mazTaskLivenessTick, mazTaskLivenessInterval);
@@ -418,6 +436,7 @@ var mazTaskStages = [
 	mazTaskRunInit,
 	mazTaskRunNote,
 	mazTaskRunSpawn,
+	mazTaskRunCombine,
 	mazTaskRunSaveStdout,
 	mazTaskRunSaveStderr,
 	mazTaskRunSaveCores
@@ -432,7 +451,8 @@ function mazTaskRunCleanup(task, callback)
 	 */
 	mod_vasync.forEachParallel({
 	    'func': mod_mautil.maWrapIgnoreError(mod_fs.unlink, [ 'ENOENT' ]),
-	    'inputs': [ mazTaskStdoutFile, mazTaskStderrFile ]
+	    'inputs': [ mazTaskStdoutFile, mazTaskStderrFile,
+		mazTaskCombineFile ]
 	}, callback);
 }
 
@@ -485,8 +505,14 @@ function mazTaskRunNote(task, callback)
 	/*
 	 * Check whether we've already tried to execute this task.  If so, fail
 	 * now, since we're in an undefined state.  If not, save a file to
-	 * indicate that we now have started it.
+	 * indicate that we now have started it.  Batched map tasks run once for
+	 * each input, so for those we note which input we're processing.
 	 */
+	var taskid = task['taskId'];
+
+	if (task['taskInputIndex'] !== undefined)
+		taskid += '/' + task['taskInputIndex'];
+
 	mod_vasync.pipeline({
 	    'funcs': [
 		function noteCheck(_, subcb) {
@@ -496,7 +522,7 @@ function mazTaskRunNote(task, callback)
 					return;
 				}
 
-				if (buf.toString('utf8') == task['taskId']) {
+				if (buf.toString('utf8') == taskid) {
 					subcb(new VError('lackey crashed'));
 					return;
 				}
@@ -514,7 +540,7 @@ function mazTaskRunNote(task, callback)
 			 * correct because we didn't actually start executing
 			 * that task yet.
 			 */
-			mod_fs.writeFile(mazTaskStarted, task['taskId'], subcb);
+			mod_fs.writeFile(mazTaskStarted, taskid, subcb);
 		}
 	    ]
 	}, callback);
@@ -541,6 +567,78 @@ function mazTaskRunSpawn(task, callback)
 	});
 }
 
+/*
+ * For map phases with a "combine" command, run the combiner over the map
+ * command's stdout.  We move the map command's stdout aside and let the
+ * combiner write the task's stdout file in its place, so that the subsequent
+ * stages save the combiner's output exactly as they would have saved the map
+ * command's.  If the combiner fails, its result becomes the task's result.
+ */
+function mazTaskRunCombine(task, callback)
+{
+	if (task['taskPhase']['type'] == 'reduce' ||
+	    task['taskPhase']['combine'] === undefined) {
+		callback();
+		return;
+	}
+
+	if (!mazInitHasRun || mazExecutorResult === undefined ||
+	    !mazResultOk(mazExecutorResult) || mazErrorOpen || mazErrorFetch) {
+		mazLog.info('skipping combiner because the task failed');
+		callback();
+		return;
+	}
+
+	if (mazUserEmitted) {
+		mazLog.info('skipping combiner because the user task ' +
+		    'already emitted output');
+		callback();
+		return;
+	}
+
+	mod_fs.rename(mazTaskStdoutFile, mazTaskCombineFile, function (err) {
+		if (err) {
+			err = new VError(err, 'error saving map output');
+			mazLog.error(err);
+			if (!mazErrorSave)
+				mazErrorSave = err;
+			callback();
+			return;
+		}
+
+		mazLog.info('running combiner');
+		mazExecutor = new MarlinExecutor(task, false, mazLog, true);
+		mazExecutor.start();
+		mazExecutor.on('done', function (result) {
+			if (result === undefined) {
+				/* Failed to open input (see mazErrorOpen). */
+				callback();
+				return;
+			}
+
+			if (!mazResultOk(result)) {
+				mazLog.error('combiner failed', result);
+				mazExecutorResult = result;
+				mazCombineFailed = true;
+			} else {
+				mazLog.info('combiner ran okay');
+			}
+
+			callback();
+		});
+	});
+}
+
+/*
+ * Returns true if the given Executor result indicates that the command
+ * completed successfully.  See mazDecodeError.
+ */
+function mazResultOk(result)
+{
+	return (!result['error'] && !result['core'] &&
+	    result['signal'] === null && result['code'] === 0);
+}
+
 /*
  * Invoked when we've finished processing a batch of reduce keys to report that
  * we've processed these keys and to fetch the next batch.
@@ -616,10 +714,234 @@ function mazTaskRunSaveStdout(task, callback)
 		return;
 	}
 
+	if (mazCurrentTask['taskPartitions'] !== undefined) {
+		mazPartitionSave(mazCurrentTask, callback);
+		return;
+	}
+
 	mazFileSave('stdout', mazTaskStdoutFile,
 	    mazCurrentTask['taskOutputKey'], callback);
 }
 
+/*
+ * Split the task's stdout among the next phase's reducers according to the
+ * phase's "partition" option and save each reducer's share as a separate
+ * object.  Like mazFileSave, errors are recorded in mazErrorSave rather than
+ * reported to the callback.
+ */
+function mazPartitionSave(task, callback)
+{
+	var npartitions = task['taskPartitions'];
+	var keyfunc = mazPartitionKeyFunc(task['taskPhase']['partition']);
+	var filenames = [];
+	var i;
+
+	for (i = 0; i < npartitions; i++)
+		filenames.push(mazTaskStdoutFile + '.' + i);
+
+	mazLog.info('partitioning stdout among %d reducers', npartitions);
+	mazPartitionFile(mazTaskStdoutFile, filenames, keyfunc,
+	    function (err, nlines) {
+		if (err) {
+			err = new VError(err, 'error partitioning stdout');
+			mazLog.error(err);
+			if (!mazErrorSave)
+				mazErrorSave = err;
+			callback();
+			return;
+		}
+
+		mod_vasync.forEachPipeline({
+		    'inputs': filenames,
+		    'func': function (filename, subcb) {
+			var r = filenames.indexOf(filename);
+
+			if (nlines[r] === 0) {
+				mod_fs.unlink(filename,
+				    function () { subcb(); });
+				return;
+			}
+
+			mazPartitionFileSave(filename,
+			    task['taskOutputKey'] + '.' + r, r, subcb);
+		    }
+		}, function () { callback(); });
+	    });
+}
+
+/*
+ * Returns a function that extracts the partition key from a line of output,
+ * according to the given "partition" option.  Lines without a key (because
+ * they have too few fields or don't match the regex) have the empty key.
+ */
+function mazPartitionKeyFunc(partition)
+{
+	var re, delimiter, field;
+
+	if (partition['regex'] !== undefined) {
+		re = new RegExp(partition['regex']);
+		return (function (line) {
+			var match = re.exec(line);
+			if (match === null)
+				return ('');
+			return (match.length > 1 && match[1] !== undefined ?
+			    match[1] : match[0]);
+		});
+	}
+
+	delimiter = partition['delimiter'] || '\t';
+	field = partition['field'];
+	return (function (line) {
+		var parts = line.split(delimiter);
+		return (field <= parts.length ? parts[field - 1] : '');
+	});
+}
+
+/*
+ * Copy each line of "filename" to the file in "filenames" selected by the hash
+ * of the line's key (as computed by "keyfunc").  Invokes callback(err, nlines),
+ * where nlines[i] is the number of lines written to filenames[i].  Lines are
+ * copied byte-for-byte with their original terminator (so a last line without
+ * a newline stays that way), and only the key is decoded as UTF-8.
+ */
+function mazPartitionFile(filename, filenames, keyfunc, callback)
+{
+	var instream, outstreams, nlines, partial, done, barrier;
+
+	done = false;
+	partial = [];		/* pieces of the current line read so far */
+	nlines = filenames.map(function () { return (0); });
+	barrier = mod_vasync.barrier();
+	barrier.start('input');
+
+	function finish(err) {
+		if (done)
+			return;
+
+		done = true;
+		callback(err, nlines);
+	}
+
+	/*
+	 * Writes the line (a Buffer, including its newline, if any) to its
+	 * partition, returning the partition's index if the caller should wait
+	 * for it to drain.
+	 */
+	function emit(line) {
+		var end, key, hash, r;
+
+		end = line.length;
+		if (end > 0 && line[end - 1] == 0x0a)
+			end--;
+
+		key = keyfunc(line.toString('utf8', 0, end));
+		hash = mod_crypto.createHash('md5').update(key, 'utf8').digest(
+		    'hex');
+		r = parseInt(hash.substr(0, 8), 16) % filenames.length;
+		nlines[r]++;
+		return (outstreams[r].write(line) ? -1 : r);
+	}
+
+	outstreams = filenames.map(function (name) {
+		var stream = mod_fs.createWriteStream(name);
+		barrier.start(name);
+		stream.on('error', finish);
+		stream.on('finish', function () { barrier.done(name); });
+		return (stream);
+	});
+
+	barrier.on('drain', function () { finish(null); });
+
+	instream = mod_fs.createReadStream(filename);
+	instream.on('error', function (err) {
+		/* A task that never wrote to stdout has no output to split. */
+		if (err['code'] == 'ENOENT') {
+			outstreams.forEach(function (s) { s.end(); });
+			barrier.done('input');
+			return;
+		}
+
+		finish(err);
+	});
+
+	instream.on('data', function (chunk) {
+		var full = {};
+		var start = 0;
+		var i, r, nfull;
+
+		for (i = 0; i < chunk.length; i++) {
+			if (chunk[i] != 0x0a)
+				continue;
+
+			partial.push(chunk.slice(start, i + 1));
+			r = emit(Buffer.concat(partial));
+			if (r != -1)
+				full[r] = true;
+			partial = [];
+			start = i + 1;
+		}
+
+		if (start < chunk.length)
+			partial.push(chunk.slice(start));
+
+		nfull = Object.keys(full).length;
+		if (nfull === 0)
+			return;
+
+		instream.pause();
+		mod_jsprim.forEachKey(full, function (r) {
+			outstreams[r].once('drain', function () {
+				if (--nfull === 0)
+					instream.resume();
+			});
+		});
+	});
+
+	instream.on('end', function () {
+		if (partial.length > 0)
+			emit(Buffer.concat(partial));
+		outstreams.forEach(function (s) { s.end(); });
+		barrier.done('input');
+	});
+}
+
+/*
+ * Save the given partition of the task's stdout as "key" for reducer "r", then
+ * remove the local copy.
+ */
+function mazPartitionFileSave(filename, key, r, callback)
+{
+	mod_fs.stat(filename, function (err, st) {
+		if (err) {
+			mazPartitionFileDone(filename, err, callback);
+			return;
+		}
+
+		mazLog.info('saving stdout for reducer %d as "%s"', r, key);
+		mazMantaClient.put(key, mod_fs.createReadStream(filename), {
+		    'size': st['size'],
+		    'headers': {
+			'x-manta-stream': 'stdout',
+			'x-manta-reducer': '' + r
+		    }
+		}, function (puterr) {
+			mazPartitionFileDone(filename, puterr, callback);
+		});
+	});
+}
+
+function mazPartitionFileDone(filename, err, callback)
+{
+	if (err) {
+		err = new VError(err, 'error saving stdout');
+		mazLog.error(err);
+		if (!mazErrorSave)
+			mazErrorSave = err;
+	}
+
+	mod_fs.unlink(filename, function () { callback(); });
+}
+
 function mazTaskRunSaveStderr(task, callback)
 {
 	if (mazExecutorResult !== undefined &&
@@ -747,6 +1069,7 @@ function mazTaskReport(err)
 		mazCurrentTask = undefined;
 		mazExecutor = undefined;
 		mazExecutorResult = undefined;
+		mazCombineFailed = undefined;
 		mazErrorOpen = undefined;
 		mazErrorFetch = undefined;
 		mazErrorSave = undefined;
@@ -772,6 +1095,7 @@ function mazDecodeError(pipelineError)
 {
 	var err = pipelineError || mazErrorOpen || mazExecutorResult['error'];
 	var code = mazInitHasRun ? EM_USERTASK : EM_TASKINIT;
+	var what = mazCombineFailed ? 'combine command' : 'user command';
 
 	if (err) {
 		return ({
@@ -791,14 +1115,14 @@ function mazDecodeError(pipelineError)
 	if (mazExecutorResult['core']) {
 		return ({
 		    'code': code,
-		    'message': 'user command or child process dumped core'
+		    'message': what + ' or child process dumped core'
 		});
 	}
 
 	if (mazExecutorResult['signal'] !== null) {
 		return ({
 		    'code': code,
-		    'message': 'user command terminated by ' +
+		    'message': what + ' terminated by ' +
 		        mazExecutorResult['signal']
 		});
 	}
@@ -806,7 +1130,7 @@ function mazDecodeError(pipelineError)
 	if (mazExecutorResult['code'] !== 0) {
 		return ({
 		    'code': code,
-		    'message': 'user command exited with code ' +
+		    'message': what + ' exited with code ' +
 		        mazExecutorResult['code']
 		});
 	}
@@ -977,14 +1301,20 @@ function mazApiProxy(request, response, next)
  *     			consumer should fetch the next set of objects and invoke
  *     			batch(), which will either add new objects or end the
  *     			input stream.
+ *
+ * If "isCombine" is true, the executor runs the phase's "combine" command
+ * instead of its "exec" command, with the map command's saved stdout as
+ * input.  The combiner writes the task's stdout file and appends to its stderr
+ * file.
  */
-function MarlinExecutor(args, isInit, log)
+function MarlinExecutor(args, isInit, log, isCombine)
 {
 	var object;
 
 	this.mex_args = args;
 	this.mex_log = log;
 	this.mex_isinit = isInit;
+	this.mex_iscombine = isCombine === true;
 	this.mex_reduce = !isInit && args['taskPhase']['type'] == 'reduce';
 	this.mex_env = {
 	    'DTRACE_DOF_INIT_DISABLE': 1,
@@ -1038,11 +1368,15 @@ MarlinExecutor.prototype.start = function ()
 	outstream.on('open', function () { barrier.done('open stdout'); });
 
 	barrier.start('open stderr');
-	errstream = mod_fs.createWriteStream(mazTaskStderrFile);
+	errstream = mod_fs.createWriteStream(mazTaskStderrFile,
+	    { 'flags': this.mex_iscombine ? 'a' : 'w' });
 	errstream.on('open', function () { barrier.done('open stderr'); });
 
 	/* Set up stdin. */
-	if (!this.mex_isinit && this.mex_args['taskInputFile'] !== undefined)
+	if (this.mex_iscombine)
+		filename = mazTaskCombineFile;
+	else if (!this.mex_isinit &&
+	    this.mex_args['taskInputFile'] !== undefined)
 		filename = this.mex_args['taskInputFile'];
 	else if (this.mex_isinit || !this.mex_args['taskInputRemote'])
 		filename = '/dev/null';
@@ -1171,6 +1505,8 @@ MarlinExecutor.prototype.start = function ()
 		executor.mex_exec = new Executor({
 		    'exec': executor.mex_isinit ?
 			executor.mex_args['taskPhase']['init'] :
+			executor.mex_iscombine ?
+			executor.mex_args['taskPhase']['combine'] :
 		        executor.mex_args['taskPhase']['exec'],
 		    'env': executor.mex_env,
 		    'log': executor.mex_log,
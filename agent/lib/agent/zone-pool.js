@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2017, Joyent, Inc.
  */
 
 /*
@@ -251,6 +251,11 @@ ZonePool.prototype.nzones = function ()
 	return (this.zp_nzones);
 };
 
+ZonePool.prototype.nready = function ()
+{
+	return (this.zp_readyq.length);
+};
+
 ZonePool.prototype.hasZoneReady = function ()
 {
 	return (this.zp_readyq.length > 0);
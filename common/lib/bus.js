@@ -148,6 +148,10 @@ mod_util.inherits(MorayBus, EventEmitter);
  *    			time (e.g., a fence() during this period would make
  *    			another request).
  *
+ *    sort		If specified, Moray "sort" option for each request, as
+ *    			an object with "attribute" and "order".  Otherwise, the
+ *    			order of the results is unspecified.
+ *
  * "onrecord" is invoked for each record found, as onrecord(record, barrier).
  * Subsequent polls will not begin until the configured timeout has elapsed AND
  * the barrier has zero pending operations.  This allows callers to delay
@@ -320,13 +324,18 @@ MorayBus.prototype.pollOne = function (subscrip, nowdate)
 	subscrip.mbs_cur_query = query;
 	subscrip.mbs_cur_nrecs = 0;
 
+	var options = {
+	    'limit': subscrip.mbs_limit,
+	    'noCache': true
+	};
+
+	if (subscrip.mbs_sort !== null)
+		options['sort'] = subscrip.mbs_sort;
+
 	var doPoll = function () {
 		mod_mamoray.poll({
 		    'client': bus.mb_client,
-		    'options': {
-			'limit': subscrip.mbs_limit,
-			'noCache': true
-		    },
+		    'options': options,
 		    'now': nowdate.getTime(),
 		    'log': bus.mb_log,
 		    'throttle': subscrip.mbs_throttle,
@@ -1047,6 +1056,11 @@ function MorayBusSubscription(bucket, query, options, onrecord)
 	this.mbs_bucket = bucket;
 	this.mbs_query = query;
 	this.mbs_limit = options['limit'];
+	this.mbs_sort = null;
+	if (options.hasOwnProperty('sort')) {
+		mod_assert.equal(typeof (options['sort']), 'object');
+		this.mbs_sort = options['sort'];
+	}
 	this.mbs_throttle = new mod_mautil.Throttler(options['timePoll']);
 	this.mbs_barrier = mod_vasync.barrier();
 	this.mbs_onrecord = function (record) {
@@ -1263,13 +1277,14 @@ function mergeRecords(extfields, changedfields, oldval, newval)
 	/*
 	 * This check actually does assume that Marlin never deletes fields, but
 	 * it's necessary for the desired behavior with respect to
-	 * job.timeInputDone.
+	 * job.timeInputDone and job.timeCancelled.
 	 */
-	if (common.length > 0 &&
-	    oldval[common[0]] !== undefined &&
-	    newval[common[0]] !== undefined &&
-	    oldval[common[0]] != newval[common[0]])
-		return (new VError('field "%s" cannot be merged', common[0]));
+	for (var i = 0; i < common.length; i++) {
+		k = common[i];
+		if (oldval[k] !== undefined && newval[k] !== undefined &&
+		    oldval[k] != newval[k])
+			return (new VError('field "%s" cannot be merged', k));
+	}
 
 	extfields.forEach(function (f) {
 		if (common.indexOf(f) == -1 || newval[f] === undefined)
@@ -5,15 +5,15 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2017, Joyent, Inc.
  */
 
 /*
  * lib/errors.js: global list of Marlin user-facing errors.
  *
  * These are user-facing error codes, not internal error codes nor full objects.
- * Any errors added here should be added to the public-facing Manta
- * documentation.
+ * Any errors added here should be added to the registry below and to the
+ * public-facing Manta documentation.
  *
  * We use EM_ codes rather than the strings directly mainly to enforce that all
  * uses go through this file.
@@ -33,8 +33,12 @@ exports.EM_SERVICEUNAVAILABLE	= 'ServiceUnavailableError';
  */
 exports.EM_TASKINIT		=           'TaskInitError';
 exports.EM_TASKKILLED		=	  'TaskKilledError';
+exports.EM_TASKTIMEOUT		=	 'TaskTimeoutError';
 exports.EM_USERTASK		=           'UserTaskError';
 exports.EM_JOBCANCELLED		=	'JobCancelledError';
+exports.EM_JOBTIMEOUT		=	  'JobTimeoutError';
+exports.EM_UPSTREAMJOB		=	 'UpstreamJobError';
+exports.EM_QUARANTINED		=	 'QuarantinedError';
 
 /*
  * We export these as global variables so that jslint can catch typos.
@@ -52,5 +56,200 @@ var EM_RESOURCENOTFOUND;
 var EM_SERVICEUNAVAILABLE;
 var EM_TASKINIT;
 var EM_TASKKILLED;
+var EM_TASKTIMEOUT;
 var EM_USERTASK;
 var EM_JOBCANCELLED;
+var EM_JOBTIMEOUT;
+var EM_UPSTREAMJOB;
+var EM_QUARANTINED;
+
+/*
+ * Registry of every error code that Marlin may emit.  For each code, we record:
+ *
+ *     category		"user" for errors caused by the user's program, input,
+ *     			or request; "job" for errors caused by the state of
+ *     			the job as a whole (e.g., because it was cancelled);
+ *     			and "infrastructure" for errors caused by Manta itself
+ *
+ *     retryable	whether tasks that fail with this code are retried by
+ *     			default, i.e., when the job's retry policy doesn't
+ *     			specify "retryableErrors"
+ *
+ *     remediation	public text describing what the user can do about it
+ *
+ * Error records written by Marlin carry the code's category as
+ * "errorCategory".  Every code above must be registered here, which we check
+ * when this file is first loaded.  Codes can also be emitted as literal strings
+ * or under the wrong name, so each component also checks the codes at its own
+ * emit sites when it starts up (see errorCodesCheck).  Codes reported by user
+ * tasks or by operators need not be registered.  Note that the EM_ variables
+ * declared above are undefined within this file, so we use the exported values
+ * instead.
+ */
+var emCategories = [ 'user', 'job', 'infrastructure' ];
+var emRegistry = {};
+
+emRegistry[exports.EM_AUTHORIZATION] = {
+    'category': 'user',
+    'retryable': false,
+    'remediation': 'Check that the job\'s owner has access to the object.'
+};
+
+emRegistry[exports.EM_INTERNAL] = {
+    'category': 'infrastructure',
+    'retryable': false,
+    'remediation': 'Retry the job.  If the problem persists, contact ' +
+	'support.'
+};
+
+emRegistry[exports.EM_INVALIDARGUMENT] = {
+    'category': 'user',
+    'retryable': false,
+    'remediation': 'Check the job definition and input object names.'
+};
+
+emRegistry[exports.EM_RESOURCENOTFOUND] = {
+    'category': 'user',
+    'retryable': false,
+    'remediation': 'Check that the object exists.'
+};
+
+emRegistry[exports.EM_SERVICEUNAVAILABLE] = {
+    'category': 'infrastructure',
+    'retryable': false,
+    'remediation': 'Retry the job later.'
+};
+
+emRegistry[exports.EM_TASKINIT] = {
+    'category': 'user',
+    'retryable': false,
+    'remediation': 'Check the phase\'s "init" command and the resources ' +
+	'requested for the phase.'
+};
+
+emRegistry[exports.EM_TASKKILLED] = {
+    'category': 'infrastructure',
+    'retryable': true,
+    'remediation': 'Retry the job.  If the task used excessive resources, ' +
+	'request more memory or disk for the phase.'
+};
+
+emRegistry[exports.EM_TASKTIMEOUT] = {
+    'category': 'user',
+    'retryable': false,
+    'remediation': 'Check why the task ran so long, or increase the ' +
+	'phase\'s "maxTaskRuntime".'
+};
+
+emRegistry[exports.EM_USERTASK] = {
+    'category': 'user',
+    'retryable': false,
+    'remediation': 'Check the task\'s stderr and core files (if any) for ' +
+	'details.'
+};
+
+emRegistry[exports.EM_JOBCANCELLED] = {
+    'category': 'job',
+    'retryable': false,
+    'remediation': 'None: the job was cancelled.'
+};
+
+emRegistry[exports.EM_JOBTIMEOUT] = {
+    'category': 'job',
+    'retryable': false,
+    'remediation': 'Resubmit the job with a longer timeout or less input.'
+};
+
+emRegistry[exports.EM_UPSTREAMJOB] = {
+    'category': 'job',
+    'retryable': false,
+    'remediation': 'Check the errors reported by the upstream job.'
+};
+
+emRegistry[exports.EM_QUARANTINED] = {
+    'category': 'infrastructure',
+    'retryable': false,
+    'remediation': 'Check that the object can be processed, or retry the ' +
+	'job later.'
+};
+
+Object.keys(exports).forEach(function (name) {
+	var code = exports[name];
+
+	if (!emRegistry.hasOwnProperty(code))
+		throw (new Error('error code "' + code +
+		    '" is not registered'));
+
+	if (emCategories.indexOf(emRegistry[code]['category']) == -1)
+		throw (new Error('error code "' + code +
+		    '" has invalid category'));
+});
+
+/*
+ * Returns the registry entry for the given error code (see above), or null if
+ * the code is not registered.
+ */
+function errorLookup(code)
+{
+	return (emRegistry.hasOwnProperty(code) ? emRegistry[code] : null);
+}
+
+/*
+ * Returns the category of the given error code, or undefined if the code is not
+ * registered.
+ */
+function errorCategory(code)
+{
+	return (emRegistry.hasOwnProperty(code) ?
+	    emRegistry[code]['category'] : undefined);
+}
+
+/*
+ * Returns the codes that are retried by default (see above).
+ */
+function errorsRetryable()
+{
+	return (Object.keys(emRegistry).filter(function (code) {
+		return (emRegistry[code]['retryable']);
+	}));
+}
+
+/*
+ * Checks the error codes emitted by the JavaScript source file "filename",
+ * which components invoke on their own files when they start up.  Emit sites
+ * are "code" and "errorCode" properties and CVError constructors whose value
+ * is either an EM_ variable or a string literal.  Each such variable must be
+ * one of those defined above, and each such code must be registered, except
+ * for those listed in "ignore" (which appear at such sites, but are never
+ * emitted in error records).  Throws an Error on failure.
+ */
+function errorCodesCheck(filename, ignore)
+{
+	var source = require('fs').readFileSync(filename, 'utf8');
+	var re =
+	    /(?:'(?:code|errorCode)':\s*|new CVError\()(EM_[A-Z]+|'[^']*')/g;
+	var match, code;
+
+	while ((match = re.exec(source)) !== null) {
+		if (match[1].charAt(0) == '\'') {
+			code = match[1].substr(1, match[1].length - 2);
+		} else if (exports.hasOwnProperty(match[1])) {
+			code = exports[match[1]];
+		} else {
+			throw (new Error(filename + ': unknown error code ' +
+			    'variable "' + match[1] + '"'));
+		}
+
+		if (ignore !== undefined && ignore.indexOf(code) != -1)
+			continue;
+
+		if (!emRegistry.hasOwnProperty(code))
+			throw (new Error(filename + ': error code "' + code +
+			    '" is not registered'));
+	}
+}
+
+exports.errorLookup = errorLookup;
+exports.errorCategory = errorCategory;
+exports.errorsRetryable = errorsRetryable;
+exports.errorCodesCheck = errorCodesCheck;
@@ -18,6 +18,7 @@ var mod_assertplus = require('assert-plus');
 var mod_events = require('events');
 var mod_fs = require('fs');
 var mod_moray = require('moray');
+var mod_net = require('net');
 var mod_path = require('path');
 var mod_url = require('url');
 var mod_util = require('util');
@@ -31,6 +32,7 @@ var mod_vasync = require('vasync');
 var mod_verror = require('verror');
 var VError = mod_verror.VError;
 
+var mod_errors = require('./errors');
 var mod_mautil = require('./util');
 var mod_meter = require('./meter');
 var mod_schema = require('./schema');
@@ -40,6 +42,7 @@ var sprintf = mod_extsprintf.sprintf;
 /* Public interface. */
 exports.createClient = createClient;
 exports.jobValidate = jobValidateSchema;
+exports.errorLookup = mod_errors.errorLookup;
 exports.MarlinMeterReader = mod_meter.MarlinMeterReader;
 
 /*
@@ -70,6 +73,8 @@ exports.MarlinMeterReader = mod_meter.MarlinMeterReader;
  *    jobFetch			Fetch an existing job's record
  *    jobFetchLog		Fetch detailed job history
  *    jobCancel			Cancel an existing job
+ *    jobPause			Stop dispatching new work for an existing job
+ *    jobResume			Resume dispatching work for a paused job
  *    jobAddKey			Add an input key to an existing job
  *    jobEndInput		Mark input complete for an existing job
  *    jobFetchDetails		Fetch an existing job and all related records
@@ -79,6 +84,7 @@ exports.MarlinMeterReader = mod_meter.MarlinMeterReader;
  *    jobFetchOutputs		Fetch a job's output keys
  *    jobFetchPendingTasks	Fetch job tasks not yet completed
  *    jobFetchFailedJobInputs	Fetch the job input keys that failed
+ *    jobRerunFailed		Submit a job's failed inputs to a new job
  *    jobArchiveStart		Start a job archival (wrasse only)
  *    jobArchiveDone		Complete a job archival (wrasse only)
  *    jobArchiveHeartbeat	Heartbeats a job during archival (wrasse only)
@@ -280,6 +286,8 @@ function MarlinApi(args)
 	    jobCreate,
 	    jobDelete,
 	    jobCancel,
+	    jobPause,
+	    jobResume,
 	    jobEndInput,
 	    jobAddKey,
 	    jobFetch,
@@ -291,6 +299,7 @@ function MarlinApi(args)
 	    jobFetchOutputs,
 	    jobFetchPendingTasks,
 	    jobFetchRetries,
+	    jobRerunFailed,
 	    jobArchiveStart,
 	    jobArchiveDone,
 	    jobArchiveHeartbeat,
@@ -355,6 +364,34 @@ MarlinApi.prototype.close = function ()
  *   transient  indicates that the job is "transient", meaning its inputs will
  *   		be removed automatically and it may not be listed by default
  *
+ *   priority	job priority class ("low", "normal", or "high")
+ *		(default: "normal")
+ *
+ *   timeout	number of seconds after which the job will be cancelled
+ *		(default: no timeout)
+ *
+ *   retry	task retry policy, an object with optional "maxAttempts",
+ *		"retryableErrors", and "minDelay" (see sJobRetry)
+ *
+ *   notify	job notification policy, an object with "url", "secret", and
+ *		optional "events" and "errorInterval" (see sJobNotify)
+ *
+ *   upstreamJob	id of a job whose final outputs become this job's
+ *		inputs.  The supervisor ends this job's input when the
+ *		upstream job finishes.  (default: none)
+ *
+ *   expandDirectories	if true, directories named as inputs are replaced
+ *		with the objects they contain, recursively.  Otherwise,
+ *		such inputs fail.  (default: false)
+ *
+ *   dryRun	if true, the job's inputs are authorized and located, but no
+ *		tasks are dispatched.  The job record's "dryRunSummary"
+ *		describes what would have been dispatched, and errors are
+ *		emitted as usual.  (default: false)
+ *
+ *   parentJob	id of the job whose failed inputs this job reruns
+ *		(see jobRerunFailed)
+ *
  *   options	additional options (only for privileged users)
  *
  * Upon completion, callback is invoked as callback(err, jobid).
@@ -403,6 +440,30 @@ function jobCreate(api, conf, options, callback)
 	    'options': conf['options'] || {}
 	};
 
+	if (conf['priority'])
+		value['priority'] = conf['priority'];
+
+	if (conf['timeout'])
+		value['timeout'] = conf['timeout'];
+
+	if (conf['retry'])
+		value['retry'] = mod_jsprim.deepCopy(conf['retry']);
+
+	if (conf['notify'])
+		value['notify'] = mod_jsprim.deepCopy(conf['notify']);
+
+	if (conf['upstreamJob'])
+		value['upstreamJob'] = conf['upstreamJob'];
+
+	if (conf['expandDirectories'])
+		value['expandDirectories'] = true;
+
+	if (conf['dryRun'])
+		value['dryRun'] = true;
+
+	if (conf['parentJob'])
+		value['parentJob'] = conf['parentJob'];
+
 	log.debug('job "%s": creating with value', key, conf);
 	api.ma_client.putObject(bucket, key, value, function (err) {
 		if (err) {
@@ -541,6 +602,8 @@ function jobDelete(api, jobId, options, callback)
  *
  * Upon completion, "callback" is invoked as callback(err, record), where
  * "record" is the full Moray record for the job (not just the value itself).
+ * Once the job has been assigned, the record's "stats" include both job-wide
+ * counters and per-phase counters (in "stats.phases").
  */
 function jobFetch(api, jobid, options, callback)
 {
@@ -651,6 +714,47 @@ function jobCancel(api, jobid, options, callback)
 	});
 }
 
+/*
+ * jobPause(jobid, options, callback): Pause job "jobid".  While a job is
+ * paused, the supervisor dispatches no new tasks or taskinputs for it, but
+ * tasks that have already been dispatched run to completion.  Pausing a job
+ * that's already paused has no effect.
+ *
+ * Upon completion, invokes callback(err, record), where "record" is the
+ * *previous* job record.  (See "jobCancel".)
+ */
+function jobPause(api, jobid, options, callback)
+{
+	if (arguments.length == 3) {
+		callback = options;
+		options = {};
+	}
+
+	jobFetchAndUpdate(api, jobid, options, callback, function (job) {
+		if (job['timePaused'] === undefined)
+			job['timePaused'] = mod_jsprim.iso8601(Date.now());
+	});
+}
+
+/*
+ * jobResume(jobid, options, callback): Resume job "jobid" after a previous call
+ * to jobPause.  Resuming a job that isn't paused has no effect.
+ *
+ * Upon completion, invokes callback(err, record), where "record" is the
+ * *previous* job record.  (See "jobCancel".)
+ */
+function jobResume(api, jobid, options, callback)
+{
+	if (arguments.length == 3) {
+		callback = options;
+		options = {};
+	}
+
+	jobFetchAndUpdate(api, jobid, options, callback, function (job) {
+		delete (job['timePaused']);
+	});
+}
+
 /*
  * jobEndInput(jobid, options, callback): End input for job "jobid".
  *
@@ -838,12 +942,15 @@ function jobFetchErrors(api, jobid, options)
 }
 
 /*
- * Like jobFetchErrors, but fetches only the errors that were retried.
+ * Like jobFetchErrors, but fetches only the errors that were retried.  Errors
+ * from tasks that lost a speculative execution race and errors replaced by a
+ * QuarantinedError are not retries, so they're not included.
  */
 function jobFetchRetries(api, jobid, options)
 {
 	return (jobFetchErrorsImpl(api, jobid, options,
-	    '(|(retried=true)(retried=TRUE))'));
+	    '(|(retried=true)(retried=TRUE))(!(superseded=*))' +
+	    '(!(quarantined=*))'));
 }
 
 function jobFetchErrorsImpl(api, jobid, options, extra)
@@ -1085,6 +1192,174 @@ function jobFetchFailedJobInputs(api, jobid, options)
 	return (rv);
 }
 
+/*
+ * jobRerunFailed(jobid, options, callback): Create a new job with the same
+ * configuration as finished job "jobid", submit each of that job's failed input
+ * keys (see jobFetchFailedJobInputs) to it, and end its input.  The new job
+ * records "jobid" as its "parentJob".  "options" may also contain:
+ *
+ *    authToken	auth token for the new job (default: the original job's token)
+ *
+ *    limit	maximum number of errors to fetch per request (default: 1000)
+ *
+ * Upon completion, callback is invoked as callback(err, jobid, keys), where
+ * "jobid" identifies the new job and "keys" lists the inputs submitted to it.
+ * If the original job has no failed inputs, no job is created.  If the new job
+ * is created but its inputs cannot all be submitted, the new job is cancelled
+ * and callback is invoked as callback(err, jobid) so that the caller can
+ * report (and clean up) the partially-submitted job.
+ */
+function jobRerunFailed(api, jobid, options, callback)
+{
+	if (arguments.length == 3) {
+		callback = options;
+		options = {};
+	}
+
+	var log = options.log || api.ma_log;
+	var limit = options.limit || 1000;
+	var keys = [];
+	var seen = {};
+	var parent, newid;
+
+	mod_vasync.pipeline({
+	    'funcs': [
+		function fetchJob(_, subcallback) {
+			jobFetch(api, jobid, options, function (err, record) {
+				if (err) {
+					subcallback(err);
+					return;
+				}
+
+				parent = record['value'];
+				if (parent['state'] != 'done') {
+					subcallback(new VError(
+					    'job "%s" is not done', jobid));
+					return;
+				}
+
+				subcallback();
+			});
+		},
+		function fetchFailed(_, subcallback) {
+			jobRerunFetchFailed(api, jobid, {
+			    'log': log,
+			    'limit': limit
+			}, function (key) {
+				if (seen.hasOwnProperty(key))
+					return;
+				seen[key] = true;
+				keys.push(key);
+			}, function (err) {
+				if (!err && keys.length === 0)
+					err = new VError(
+					    'job "%s" has no failed inputs',
+					    jobid);
+				subcallback(err);
+			});
+		},
+		function create(_, subcallback) {
+			var conf = {
+			    'name': parent['name'],
+			    'auth': mod_jsprim.deepCopy(parent['auth']),
+			    'owner': parent['owner'],
+			    'phases': parent['phases'],
+			    'transient': parent['transient'],
+			    'priority': parent['priority'],
+			    'timeout': parent['timeout'],
+			    'retry': parent['retry'],
+			    'notify': parent['notify'],
+			    'expandDirectories': parent['expandDirectories'],
+			    'parentJob': jobid,
+			    'options': parent['options']
+			};
+
+			if (options.authToken)
+				conf['auth']['token'] = options.authToken;
+
+			jobCreate(api, conf, options, function (err, id) {
+				newid = id;
+				subcallback(err);
+			});
+		},
+		function addKeys(_, subcallback) {
+			log.debug('job "%s": rerunning %d failed inputs as ' +
+			    'job "%s"', jobid, keys.length, newid);
+			mod_vasync.forEachPipeline({
+			    'inputs': keys,
+			    'func': function (key, keycallback) {
+				jobAddKey(api, newid, key, options,
+				    keycallback);
+			    }
+			}, function (err) { subcallback(err); });
+		},
+		function endInput(_, subcallback) {
+			jobEndInput(api, newid, options,
+			    function (err) { subcallback(err); });
+		}
+	    ]
+	}, function (err) {
+		if (!err) {
+			callback(null, newid, keys);
+			return;
+		}
+
+		log.warn(err, 'job "%s": failed to rerun failed inputs', jobid);
+		err = new VError(err, 'failed to rerun job "%s"', jobid);
+
+		if (newid === undefined) {
+			callback(err);
+			return;
+		}
+
+		/*
+		 * The new job was created but not all of its inputs were
+		 * submitted.  Cancel it rather than leave it waiting on input
+		 * forever, and report its id so the caller can clean it up.
+		 */
+		jobCancel(api, newid, options, function (cerr) {
+			if (cerr)
+				log.warn(cerr, 'job "%s": failed to cancel ' +
+				    'partially-created rerun job "%s"',
+				    jobid, newid);
+			callback(err, newid);
+		});
+	});
+}
+
+/*
+ * Private routine used by jobRerunFailed to fetch all of a job's failed input
+ * keys (as jobFetchFailedJobInputs does), one page of errors at a time.
+ * Invokes onkey(key) for each key found (which may be repeated) and then
+ * callback(err).
+ */
+function jobRerunFetchFailed(api, jobid, options, onkey, callback)
+{
+	var req, nrecords, lastid;
+
+	nrecords = 0;
+	req = jobFetchErrors(api, jobid, options);
+	req.on('err', function (error, record) {
+		nrecords++;
+		lastid = record['_id'];
+		if (error['p0input'])
+			onkey(error['p0input']);
+	});
+	req.on('error', callback);
+	req.on('end', function () {
+		if (nrecords < options.limit) {
+			callback();
+			return;
+		}
+
+		jobRerunFetchFailed(api, jobid, {
+		    'log': options.log,
+		    'limit': options.limit,
+		    'marker': lastid + 1
+		}, onkey, callback);
+	});
+}
+
 /*
  * jobArchiveStart(job, options, callback): wrasse uses this to mark a job
  * as starting archival (and locks).  Updates the `timeArchiveStarted` and
@@ -1332,7 +1607,7 @@ function jobsList(api, options)
 function jobValidate(api, job, isprivileged)
 {
 	var error = jobValidateSchema(job, isprivileged);
-	var ph, i, j;
+	var ph, url, i, j;
 	if (error)
 		return (error);
 
@@ -1345,6 +1620,40 @@ function jobValidate(api, job, isprivileged)
 	if (job === null)
 		return (new Error('job must not be null'));
 
+	if (job['retry'] && job['retry']['retryableErrors']) {
+		for (i = 0; i < job['retry']['retryableErrors'].length; i++) {
+			if (mod_errors.errorLookup(
+			    job['retry']['retryableErrors'][i]) === null)
+				return (new VError('property ' +
+				    '"retry.retryableErrors[%d]": unknown ' +
+				    'error code: "%s"', i,
+				    job['retry']['retryableErrors'][i]));
+		}
+	}
+
+	if (job['notify']) {
+		url = mod_url.parse(job['notify']['url']);
+		if (url.protocol != 'http:' && url.protocol != 'https:')
+			return (new VError('property "notify.url": ' +
+			    'unsupported protocol: "%s"', url.protocol));
+
+		/*
+		 * The supervisor also checks the address it actually connects
+		 * to, but we reject obviously internal hosts up front.
+		 */
+		if (!url.hostname || url.hostname == 'localhost' ||
+		    (mod_net.isIP(url.hostname) !== 0 &&
+		    !mod_mautil.isPublicAddress(url.hostname)))
+			return (new VError('property "notify.url": ' +
+			    'host not allowed: "%s"', url.hostname));
+
+		if (job['notify']['errorInterval'] !== undefined &&
+		    (!job['notify']['events'] ||
+		    job['notify']['events'].indexOf('errors') == -1))
+			return (new Error('property "notify.errorInterval": ' +
+			    'requires "errors" event'));
+	}
+
 	for (i = 0; i < job['phases'].length; i++) {
 		ph = job['phases'][i];
 
@@ -1353,6 +1662,21 @@ function jobValidate(api, job, isprivileged)
 			return (new VError(
 			    'property "phases[%d]": must not be null', i));
 
+		if (ph.hasOwnProperty('combine') && ph['type'] == 'reduce')
+			return (new VError('property "phases[%d].combine": ' +
+			    'not supported for reduce phases', i));
+
+		if (ph.hasOwnProperty('inputOrder') && ph['type'] != 'reduce')
+			return (new VError(
+			    'property "phases[%d].inputOrder": ' +
+			    'only supported for reduce phases', i));
+
+		if (ph.hasOwnProperty('partition')) {
+			error = jobValidatePartition(job, i);
+			if (error)
+				return (error);
+		}
+
 		if (!ph.hasOwnProperty('image'))
 			continue;
 
@@ -1375,6 +1699,43 @@ function jobValidate(api, job, isprivileged)
 	return (null);
 }
 
+/*
+ * Validate the "partition" option of phase "i" of the given job, which has
+ * already been validated against the schema.  Returns an error on failure, or
+ * null on success.
+ */
+function jobValidatePartition(job, i)
+{
+	var partition = job['phases'][i]['partition'];
+	var next = job['phases'][i + 1];
+
+	if ((partition['field'] === undefined) ==
+	    (partition['regex'] === undefined))
+		return (new VError('property "phases[%d].partition": ' +
+		    'exactly one of "field" and "regex" must be specified', i));
+
+	if (partition['delimiter'] !== undefined &&
+	    partition['field'] === undefined)
+		return (new VError('property "phases[%d].partition": ' +
+		    '"delimiter" requires "field"', i));
+
+	if (partition['regex'] !== undefined) {
+		/* We only construct the RegExp to validate the pattern. */
+		try {
+			new RegExp(partition['regex']);
+		} catch (ex) {
+			return (new VError('property "phases[%d].partition": ' +
+			    'invalid regex: %s', i, ex.message));
+		}
+	}
+
+	if (next === undefined || next === null || next['type'] != 'reduce')
+		return (new VError('property "phases[%d].partition": ' +
+		    'next phase must be a reduce phase', i));
+
+	return (null);
+}
+
 /*
  * Validate the given job record.  NOTE: This only validates basic semantics.
  * For full validation, use client.jobValidate above.
@@ -1605,6 +1966,7 @@ function taskDoneWriteOthers(arg, callback)
 		    'phaseNum': task['phaseNum'],
 		    'errorCode': arg.ecode,
 		    'errorMessage': arg.emessage,
+		    'errorCategory': mod_errors.errorCategory(arg.ecode),
 		    'input': task['input'] || undefined,
 		    'p0input': task['p0input'] || undefined,
 		    'taskId': task['taskId'],
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2016, Joyent, Inc.
+ * Copyright (c) 2017, Joyent, Inc.
  */
 
 /*
@@ -79,6 +79,17 @@ var sNonNegativeIntegerRequired = {
 	'minimum': 0
 };
 
+var sNonNegativeNumberRequired = {
+	'type': 'number',
+	'required': true,
+	'minimum': 0
+};
+
+var sPositiveInteger = {
+	'type': 'integer',
+	'minimum': 1
+};
+
 var sMaxReducers = 128;
 
 var sReducerCount = {
@@ -145,6 +156,22 @@ var sDisk = {
  * Marlin-specific reusable schema components
  */
 
+var sJobPartition = {
+	'type': 'object',
+	'additionalProperties': false,
+	'properties': {
+		'field': sPositiveInteger,
+		'delimiter': {
+			'type': 'string',
+			'minLength': 1
+		},
+		'regex': {
+			'type': 'string',
+			'minLength': 1
+		}
+	}
+};
+
 var sJobPhase = {
 	'type': 'object',
 	'additionalProperties': false,
@@ -164,7 +191,74 @@ var sJobPhase = {
 		'memory': sMemory,
 		'disk': sDisk,
 		'uarg': sObject,
-		'image': sString
+		'image': sString,
+
+		/*
+		 * Maximum wall-clock time (in seconds) that each task in this
+		 * phase may run before the agent kills it and fails it with a
+		 * TaskTimeoutError.  Reduce tasks start running when they're
+		 * first given input (or told that there's none), not while
+		 * they're waiting for the previous phase.  By default, tasks
+		 * may run indefinitely.
+		 */
+		'maxTaskRuntime': sPositiveInteger,
+
+		/*
+		 * Maximum number of inputs that may be processed by a single
+		 * task in this map phase.  Inputs stored on the same system
+		 * are grouped into tasks of up to this many inputs, which
+		 * saves per-task overhead for phases with many small inputs.
+		 * Ignored for reduce phases.  The default is 1.  Batches are
+		 * stored in a single task record, so they can't be too large.
+		 */
+		'batchSize': {
+			'type': 'integer',
+			'minimum': 1,
+			'maximum': 1000
+		},
+
+		/*
+		 * Splits each task's stdout among the next phase's reducers,
+		 * which saves the user from setting "x-manta-reducer"
+		 * themselves.  Each line goes to reducer "hash(key) % count",
+		 * where "key" is either column "field" (counting from 1) of the
+		 * line split on "delimiter" (default: tab) or the part of the
+		 * line matched by "regex" (or its first capturing group, if
+		 * any).  Exactly one of "field" and "regex" must be specified,
+		 * and the next phase must be a reduce phase.  Ignored if the
+		 * task saves its own output.
+		 */
+		'partition': sJobPartition,
+
+		/*
+		 * Command through which the lackey pipes each map task's stdout
+		 * before saving it.  This runs in the same zone and with the
+		 * same environment as "exec", and its stdout becomes the task's
+		 * output (which is then partitioned, if "partition" is also
+		 * specified).  This is typically used to pre-aggregate map
+		 * output so that subsequent reducers have less data to fetch.
+		 * If the combiner fails, the task fails.  Only allowed for map
+		 * phases, and ignored if the task saves its own output.
+		 */
+		'combine': {
+			'type': 'string',
+			'minLength': 1
+		},
+
+		/*
+		 * Order in which input objects are fed to each reducer in this
+		 * reduce phase.  By default, objects are fed in the order that
+		 * they become available.  With "name", they're sorted by object
+		 * name.  With "sortKey", they're sorted by the sort key that
+		 * the previous phase attached to each object (using the
+		 * "x-manta-sort-key" header), then by name.  Either way, the
+		 * reducer doesn't start until all of its inputs are available.
+		 * Only allowed for reduce phases.
+		 */
+		'inputOrder': {
+			'type': 'string',
+			'enum': [ 'name', 'sortKey' ]
+		}
 	}
 };
 
@@ -175,6 +269,113 @@ var sJobPhases = {
 	'items': sJobPhase
 };
 
+/*
+ * Job priority classes, in increasing order of priority.  Supervisors dispatch
+ * work for higher-priority jobs first, and agents weight each task group's
+ * share of zones by its job's priority.  Jobs that don't specify a priority
+ * (including all jobs created before priorities existed) are "normal".
+ */
+var sJobPriorities = [ 'low', 'normal', 'high' ];
+var sJobPriorityDefault = 'normal';
+
+var sJobPriority = {
+	'type': 'string',
+	'enum': sJobPriorities
+};
+
+/*
+ * Job timeout, in seconds since the job was created.  When this elapses, the
+ * supervisor cancels the job and emits a JobTimeoutError.
+ */
+var sJobTimeout = {
+	'type': 'integer',
+	'minimum': 1
+};
+
+/*
+ * Upstream job identifier.  The committed outputs of the upstream job's last
+ * phase become this job's inputs as they're committed, and this job's input is
+ * ended when the upstream job finishes.  See "JOB DEPENDENCIES" in the
+ * supervisor.
+ */
+var sJobUpstream = {
+	'type': 'string',
+	'minLength': 1
+};
+
+/*
+ * Job retry policy.  All fields are optional:
+ *
+ *     maxAttempts	maximum number of times to run each task, including
+ *     			the first attempt (default: one more than the
+ *     			supervisor's "maxTaskRetries" tunable)
+ *
+ *     retryableErrors	error codes for which failed tasks should be retried
+ *     			(default: the codes registered as retryable in
+ *     			errors.js, plus TaskTimeoutError if the supervisor's
+ *     			"retryTaskTimeouts" tunable is set)
+ *
+ *     minDelay		minimum number of seconds between a task's failure and
+ *     			its next attempt (default: 0)
+ *
+ * Tasks whose agent stops responding are retried regardless of
+ * "retryableErrors", subject to "maxAttempts".  The supervisor records the
+ * policy it applied on each retried task as "retryPolicy".
+ */
+var sJobRetry = {
+	'type': 'object',
+	'additionalProperties': false,
+	'properties': {
+		'maxAttempts': sPositiveInteger,
+		'retryableErrors': sStringArray,
+		'minDelay': sNonNegativeInteger
+	}
+};
+
+/*
+ * Job notification policy.  If present, the supervisor POSTs a JSON
+ * notification to "url" when the job changes state:
+ *
+ *     url		http or https URL to notify
+ *
+ *     secret		key used to sign each notification (HMAC-SHA256 of the
+ *     			body, in the "x-marlin-signature" header)
+ *
+ *     events		events to notify about (default: all but "errors"):
+ *
+ *     			assigned	a supervisor has taken the job
+ *     			inputDone	the job's input has been ended
+ *     			cancelled	the job has been cancelled
+ *     			done		the job has completed
+ *     			errors		"errorInterval" more errors have been
+ *     					emitted
+ *
+ *     errorInterval	number of errors between "errors" events (default: 1)
+ *
+ * Deliveries are asynchronous and best-effort.  See "JOB NOTIFICATIONS" in the
+ * supervisor.
+ */
+var sJobNotifyEvents = [ 'assigned', 'inputDone', 'cancelled', 'done',
+    'errors' ];
+
+var sJobNotify = {
+	'type': 'object',
+	'additionalProperties': false,
+	'properties': {
+		'url': sStringRequiredNonEmpty,
+		'secret': sStringRequiredNonEmpty,
+		'events': {
+			'type': 'array',
+			'minItems': 1,
+			'items': {
+				'type': 'string',
+				'enum': sJobNotifyEvents
+			}
+		},
+		'errorInterval': sPositiveInteger
+	}
+};
+
 
 /*
  * User input records
@@ -186,6 +387,13 @@ var sHttpJobInput = {
 	'properties': {
 		'name': sStringRequired,
 		'transient': sBoolean,
+		'priority': sJobPriority,
+		'timeout': sJobTimeout,
+		'retry': sJobRetry,
+		'notify': sJobNotify,
+		'upstreamJob': sJobUpstream,
+		'expandDirectories': sBoolean,
+		'dryRun': sBoolean,
 		'phases': sJobPhases
 	}
 };
@@ -196,6 +404,13 @@ var sHttpJobInputPrivileged = {
 	'properties': {
 		'name': sStringRequired,
 		'transient': sBoolean,
+		'priority': sJobPriority,
+		'timeout': sJobTimeout,
+		'retry': sJobRetry,
+		'notify': sJobNotify,
+		'upstreamJob': sJobUpstream,
+		'expandDirectories': sBoolean,
+		'dryRun': sBoolean,
 		'phases': sJobPhases,
 		'options': {
 			'type': 'object'
@@ -238,6 +453,7 @@ var sMorayError = {
 		'errorCode': sStringRequired,		/* programmatic code */
 		'errorMessage': sStringRequired,	/* public message */
 		'errorMessageInternal': sString,	/* internal message */
+		'errorCategory': sString,		/* see errors.js */
 
 		/* only for dispatch failures or map task failures */
 		'input': sString,			/* input object */
@@ -252,11 +468,20 @@ var sMorayError = {
 		'stderr': sString,			/* stderr object name */
 		'core': sString,			/* core object name */
 
+		/* only for quarantined inputs */
+		'agents': sStringArray,		/* failing agents */
+
 		'prevRecordType': sString,		/* previous record */
 		'prevRecordId': sString,		/* (for debugging) */
 
 		/* describes whether the error was retried */
 		'retried': sBooleanString,
+
+		/* lost a speculative execution race (see jobsupervisor) */
+		'superseded': sBooleanString,
+
+		/* replaced by a QuarantinedError (see jobsupervisor) */
+		'quarantined': sBooleanString,
 		'timeCommitted': sDateTime
 	}
 };
@@ -272,12 +497,62 @@ var sMorayHealth = {
 		'generation': sStringRequiredNonEmpty,	/* start time */
 
 		/* agents only */
-		'serverUuid': sString			/* physical server */
+		'serverUuid': sString,			/* physical server */
+		'nTasksQueued': sNonNegativeInteger,	/* queued tasks */
+		'nZonesFree': sNonNegativeInteger	/* ready zones */
 	}
 };
 
 var sJobStates = [ 'queued', 'running', 'done' ];
 
+var sMorayJobDryRunSummary = {
+	'type': 'object',
+	'properties': {
+		'nDispatches': sNonNegativeInteger,	/* map tasks */
+		'nReduceInputs': sNonNegativeInteger,	/* reduce inputs */
+		'nDirectories': sNonNegativeInteger,	/* directory inputs */
+		'agents': sObject,	/* map tasks, by mantaComputeId */
+		'errors': sObject	/* errors, by code */
+	}
+};
+
+var sMorayJobNotifyStatus = {
+	'type': 'object',
+	'properties': {
+		'nDelivered': sNonNegativeInteger,	/* delivered */
+		'nFailed': sNonNegativeInteger,		/* gave up */
+		'nPending': sNonNegativeInteger,	/* not yet delivered */
+		'lastEvent': sString,			/* last attempted */
+		'lastError': sString,			/* last failure */
+		'timeLastAttempt': sDateTime,
+		'timeLastDelivered': sDateTime
+	}
+};
+
+var sMorayJobPhaseProgress = {
+	'type': 'object',
+	'properties': {
+		'fraction': {
+			'type': 'number',
+			'minimum': 0,
+			'maximum': 1
+		},
+		'timeEstimatedDone': sDateTime
+	}
+};
+
+var sMorayJobPhaseStats = {
+	'type': 'object',
+	'properties': {
+		'nInputsRead': sNonNegativeInteger,
+		'nTasksDispatched': sNonNegativeInteger,
+		'nTasksCommittedOk': sNonNegativeInteger,
+		'nTasksCommittedFail': sNonNegativeInteger,
+		'nRetries': sNonNegativeInteger,
+		'nOutputs': sNonNegativeInteger
+	}
+};
+
 var sMorayJob = {
 	'type': 'object',
 	'properties': {
@@ -324,6 +599,59 @@ var sMorayJob = {
 		 */
 		'transient': sBoolean,
 
+		/*
+		 * "priority" is optional, and defaults to sJobPriorityDefault.
+		 */
+		'priority': sJobPriority,
+
+		/*
+		 * "timeout" is optional.  If absent, the job may run
+		 * indefinitely.
+		 */
+		'timeout': sJobTimeout,
+
+		/*
+		 * "retry" is optional.  See sJobRetry for defaults.
+		 */
+		'retry': sJobRetry,
+
+		/*
+		 * "notify" is optional.  If present, the supervisor records
+		 * the status of its deliveries in "notifyStatus".  See
+		 * sJobNotify.
+		 */
+		'notify': sJobNotify,
+		'notifyStatus': sMorayJobNotifyStatus,
+
+		/*
+		 * "upstreamJob" is optional.  If present, the supervisor adds
+		 * this job's inputs and ends its input.
+		 */
+		'upstreamJob': sJobUpstream,
+
+		/*
+		 * "expandDirectories" is optional, and defaults to false.  If
+		 * true, the supervisor replaces each directory named as an
+		 * input with the objects it contains.  See "DIRECTORY INPUTS"
+		 * in the supervisor.
+		 */
+		'expandDirectories': sBoolean,
+
+		/*
+		 * "dryRun" is optional, and defaults to false.  If true, the
+		 * supervisor authorizes and locates the job's inputs without
+		 * dispatching any tasks, and summarizes what it would have done
+		 * in "dryRunSummary".  See "DRY RUNS" in the supervisor.
+		 */
+		'dryRun': sBoolean,
+		'dryRunSummary': sMorayJobDryRunSummary,
+
+		/*
+		 * "parentJob" is only present on jobs created to rerun the
+		 * failed inputs of another job, and identifies that job.
+		 */
+		'parentJob': sString,
+
 		/* internal Marlin state */
 		'worker': sString, /* domain (so named for compatibility) */
 
@@ -340,6 +668,24 @@ var sMorayJob = {
 		'timeCancelled': sDateTime,
 		'timeDone': sDateTime,
 
+		/*
+		 * "timePaused" is set when the user pauses the job and removed
+		 * when they resume it.  "timePausedRead" is set by the
+		 * supervisor when it has paused dispatching for the job, and
+		 * removed when it has resumed.
+		 */
+		'timePaused': sDateTime,
+		'timePausedRead': sDateTime,
+
+		/*
+		 * Supervisor's estimate of each phase's progress, updated
+		 * whenever the supervisor saves the job record.
+		 */
+		'progress': {
+			'type': 'array',
+			'items': sMorayJobPhaseProgress
+		},
+
 		/* internal wrasse state */
 		'wrasse': sString,
 		'timeArchiveStarted': sDateTime,
@@ -354,7 +700,18 @@ var sMorayJob = {
 				'nJobOutputs': sNonNegativeInteger,
 				'nTasksDispatched': sNonNegativeInteger,
 				'nTasksCommittedOk': sNonNegativeInteger,
-				'nTasksCommittedFail': sNonNegativeInteger
+				'nTasksCommittedFail': sNonNegativeInteger,
+
+				/*
+				 * Per-phase counters, one entry per phase.
+				 * Each phase's inputs are either the job's
+				 * inputs (for phase 0) or the previous phase's
+				 * outputs.
+				 */
+				'phases': {
+					'type': 'array',
+					'items': sMorayJobPhaseStats
+				}
 			}
 		}
 	}
@@ -385,6 +742,20 @@ var sMorayMantaStorage = {
 	}
 };
 
+var sMorayTaskInputDesc = {
+	'type': 'object',
+	'properties': {
+		'input': sStringRequired,
+		'p0input': sStringRequired,
+		'zonename': sString,
+		'account': sString,
+		'creator': sString,
+		'objectid': sStringRequired,
+		'prevRecordType': sString,
+		'prevRecordId': sString
+	}
+};
+
 var sMorayTask = {
 	'type': 'object',
 	'properties': {
@@ -396,6 +767,25 @@ var sMorayTask = {
 		'mantaComputeId': sStringRequiredNonEmpty,
 		'agentGeneration': sStringRequiredNonEmpty,
 		'nattempts': sNonNegativeInteger,
+		'retryPolicy': sJobRetry,	/* policy applied to retries */
+		'speculativeOf': sString,	/* task being duplicated */
+
+		/*
+		 * For retried map tasks, the agent and error code of each
+		 * previous failed attempt.  See "Quarantined inputs" in the
+		 * supervisor.
+		 */
+		'failures': {
+			'type': 'array',
+			'items': {
+				'type': 'object',
+				'properties': {
+					'mantaComputeId':
+						sStringRequiredNonEmpty,
+					'errorCode': sStringRequiredNonEmpty
+				}
+			}
+		},
 
 		/* map tasks only */
 		'input': sString,		/* input object name */
@@ -407,6 +797,17 @@ var sMorayTask = {
 		'prevRecordType': sString,	/* previous record */
 		'prevRecordId': sString,	/* (for debugging) */
 
+		/*
+		 * Batched map tasks only: the fields above describe the first
+		 * input, and this array describes every input with the same
+		 * fields ("input" through "prevRecordId").
+		 */
+		'inputs': {
+			'type': 'array',
+			'items': sMorayTaskInputDesc
+		},
+		'nInputsFailed': sNonNegativeInteger,	/* inputs with errors */
+
 		/* reduce tasks only */
 		'nInputs': sNonNegativeInteger,	/* total # of inputs */
 		'rIdx': sNonNegativeInteger,	/* reducer index */
@@ -603,6 +1004,7 @@ var sMorayTaskInput = {
 
 		'prevRecordType': sString,		/* previous record */
 		'prevRecordId': sString,		/* (for debugging) */
+		'sortKey': sString,			/* see "inputOrder" */
 
 		'timeJobCancelled': sDateTime,
 
@@ -642,12 +1044,15 @@ var sMorayTaskOutput = {
 		'intermediate': sBooleanString,
 		'output': sStringRequiredNonEmpty,	/* output object name */
 		'rIdx': sReducerIndex,			/* assigned reducer */
+		'sortKey': sString,			/* see "inputOrder" */
 
 		/*
 		 * "valid" indicates whether this taskoutput should be
 		 * considered for propagation or as a last-phase output object.
 		 * This corresponds with whether the task that generated this
-		 * output completed successfully.
+		 * output completed successfully.  It's only set to true for
+		 * outputs of the last phase, but it's set to false for outputs
+		 * of failed tasks in every phase.
 		 */
 		'valid': sBooleanString,
 
@@ -709,7 +1114,7 @@ sBktConfigs['domain'] = {
  */
 sBktConfigs['error'] = {
     'options': {
-	'version': 3
+	'version': 5
     },
     'index': {
 	'errorId':		{ 'type': 'string' },
@@ -718,6 +1123,8 @@ sBktConfigs['error'] = {
 	'phaseNum':		{ 'type': 'string' },
 	'timeCommitted':	{ 'type': 'string' },
 	'retried':		{ 'type': 'string' },
+	'superseded':		{ 'type': 'string' },
+	'quarantined':		{ 'type': 'string' },
 
 	/* indexes for debugging only */
 	'errorCode': 		{ 'type': 'string' },
@@ -751,7 +1158,7 @@ sBktConfigs['health'] = {
  */
 sBktConfigs['job'] = {
     'options': {
-	'version': 4
+	'version': 5
     },
     'index': {
 	'jobId':		{ 'type': 'string', 'unique': true },
@@ -763,6 +1170,8 @@ sBktConfigs['job'] = {
 	'timeCancelled':	{ 'type': 'string' },
 	'timeInputDone':	{ 'type': 'string' },
 	'timeInputDoneRead':	{ 'type': 'string' },
+	'timePaused':		{ 'type': 'string' },
+	'timePausedRead':	{ 'type': 'string' },
 	'timeDone':		{ 'type': 'string' },
 	'timeArchiveDone':      { 'type': 'string' },
 	'wrasse':		{ 'type': 'string' },
@@ -854,7 +1263,7 @@ sBktConfigs['taskoutput'] = {
  */
 sBktConfigs['task'] = {
     'options': {
-	'version': 5
+	'version': 6
     },
     'index': {
 	'taskId':		{ 'type': 'string', 'unique': true },
@@ -864,6 +1273,7 @@ sBktConfigs['task'] = {
 	'mantaComputeId':	{ 'type': 'string' },
 	'agentGeneration':	{ 'type': 'string' },
 	'rIdx':			{ 'type': 'number' },
+	'speculativeOf':	{ 'type': 'string' },
 
 	'result':		{ 'type': 'string' },
 	'state':		{ 'type': 'string' },
@@ -907,12 +1317,16 @@ exports.sMorayTaskOutput = sMorayTaskOutput;
 exports.sBktJsonSchemas = sBktJsonSchemas;
 exports.sBktConfigs = sBktConfigs;
 exports.sJobStates = sJobStates;
+exports.sJobPriorities = sJobPriorities;
+exports.sJobNotifyEvents = sJobNotifyEvents;
+exports.sJobPriorityDefault = sJobPriorityDefault;
 exports.sMaxReducers = sMaxReducers;
 
 exports.sInterval = sInterval;
 exports.sIntervalRequired = sIntervalRequired;
 exports.sNonNegativeInteger = sNonNegativeInteger;
 exports.sNonNegativeIntegerRequired = sNonNegativeIntegerRequired;
+exports.sNonNegativeNumberRequired = sNonNegativeNumberRequired;
 exports.sPercentRequired = sPercentRequired;
 exports.sStringRequired = sStringRequired;
 exports.sStringRequiredNonEmpty = sStringRequiredNonEmpty;
@@ -16,6 +16,7 @@
 var mod_assert = require('assert');
 var mod_fs = require('fs');
 var mod_http = require('http');
+var mod_net = require('net');
 var mod_jsprim = require('jsprim');
 var mod_uuid = require('node-uuid');
 var mod_util = require('util');
@@ -38,6 +39,7 @@ exports.isMantaDirectory = isMantaDirectory;
 exports.mantaSignNull = mantaSignNull;
 exports.jobIsPrivileged = jobIsPrivileged;
 exports.makeInternalAuthBlock = makeInternalAuthBlock;
+exports.isPublicAddress = isPublicAddress;
 
 function maRestifyPanic(request, response, route, err)
 {
@@ -578,3 +580,105 @@ function makeInternalAuthBlock(args, callback)
 		callback(null, auth);
 	});
 }
+
+/*
+ * Returns true iff "addr" is an IPv4 or IPv6 address that may be reachable on
+ * the public Internet.  Unspecified, loopback, private, shared (carrier-grade
+ * NAT), link-local, site-local, multicast, and reserved addresses are not.
+ * IPv4 addresses embedded in IPv4-mapped and NAT64 IPv6 addresses are checked
+ * as IPv4 addresses.  This is used to keep requests to user-supplied URLs from
+ * reaching internal services.
+ */
+function isPublicAddress(addr)
+{
+	var groups;
+
+	switch (mod_net.isIP(addr)) {
+	case 4:
+		return (isPublicIpv4(addr.split('.').map(
+		    function (octet) { return (parseInt(octet, 10)); })));
+
+	case 6:
+		groups = ipv6Groups(addr);
+		if (groups === null)
+			return (false);
+
+		if ((groups[0] === 0 && groups[1] === 0 && groups[2] === 0 &&
+		    groups[3] === 0 && groups[4] === 0 &&
+		    groups[5] == 0xffff) ||
+		    (groups[0] == 0x64 && groups[1] == 0xff9b &&
+		    groups[2] === 0 && groups[3] === 0 && groups[4] === 0 &&
+		    groups[5] === 0))
+			return (isPublicIpv4([ groups[6] >> 8, groups[6] & 0xff,
+			    groups[7] >> 8, groups[7] & 0xff ]));
+
+		/* unspecified (::), loopback (::1), and deprecated ::/96 */
+		if (groups.slice(0, 6).every(
+		    function (g) { return (g === 0); }))
+			return (false);
+
+		/* unique local, link-local, site-local, and multicast */
+		return ((groups[0] & 0xfe00) != 0xfc00 &&
+		    (groups[0] & 0xffc0) != 0xfe80 &&
+		    (groups[0] & 0xffc0) != 0xfec0 &&
+		    (groups[0] & 0xff00) != 0xff00);
+
+	default:
+		return (false);
+	}
+}
+
+function isPublicIpv4(octets)
+{
+	var a = octets[0], b = octets[1];
+
+	return (a !== 0 &&				/* "this" net */
+	    a != 10 &&					/* private */
+	    !(a == 100 && b >= 64 && b < 128) &&	/* shared */
+	    a != 127 &&					/* loopback */
+	    !(a == 169 && b == 254) &&			/* link-local */
+	    !(a == 172 && b >= 16 && b < 32) &&		/* private */
+	    !(a == 192 && b == 168) &&			/* private */
+	    a < 224);					/* multicast */
+}
+
+/*
+ * Returns the eight 16-bit groups of the IPv6 address "addr", which must be
+ * valid according to net.isIPv6, or null if it can't be parsed.
+ */
+function ipv6Groups(addr)
+{
+	var halves, head, tail, last, groups, i;
+
+	/* Strip any zone index (e.g., "fe80::1%net0"). */
+	if (addr.indexOf('%') != -1)
+		addr = addr.substr(0, addr.indexOf('%'));
+
+	halves = addr.split('::');
+	if (halves.length > 2)
+		return (null);
+
+	head = halves[0] === '' ? [] : halves[0].split(':');
+	tail = halves.length == 1 || halves[1] === '' ? [] :
+	    halves[1].split(':');
+
+	/* Expand an embedded IPv4 address into two groups. */
+	last = halves.length == 1 ? head : tail;
+	if (last.length > 0 && mod_net.isIPv4(last[last.length - 1])) {
+		groups = last.pop().split('.').map(
+		    function (octet) { return (parseInt(octet, 10)); });
+		last.push((groups[0] * 256 + groups[1]).toString(16));
+		last.push((groups[2] * 256 + groups[3]).toString(16));
+	}
+
+	if (halves.length == 1 ? head.length != 8 :
+	    head.length + tail.length > 7)
+		return (null);
+
+	groups = head.slice(0);
+	for (i = head.length + tail.length; i < 8; i++)
+		groups.push('0');
+	groups = groups.concat(tail);
+
+	return (groups.map(function (g) { return (parseInt(g, 16)); }));
+}
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2016, Joyent, Inc.
+ * Copyright (c) 2017, Joyent, Inc.
  */
 
 /*
@@ -536,6 +536,12 @@ function jobSubmit(api, testspec, callback)
 	    }
 	};
 
+	if (testspec['job']['timeout'])
+		jobdef['timeout'] = testspec['job']['timeout'];
+
+	if (testspec['job']['retry'])
+		jobdef['retry'] = testspec['job']['retry'];
+
 	jobdef['phases'].forEach(function (p) {
 		p['exec'] = replaceParams(testspec, p['exec']);
 		if (p['assets'])
@@ -1158,6 +1164,23 @@ function jobTestVerifyResultSync(verify)
 	mod_assert.ok(stats['nTasksCommittedFail'] <=
 	    stats['nRetries'] + stats['nErrors']);
 
+	/*
+	 * The per-phase counters should add up to the job-wide ones.
+	 */
+	var phasestats = stats['phases'];
+	mod_assert.equal(phasestats.length, job['phases'].length);
+	mod_assert.equal(phasestats[0]['nInputsRead'], stats['nInputsRead']);
+	mod_assert.equal(phasestats[phasestats.length - 1]['nOutputs'],
+	    stats['nJobOutputs']);
+	[ 'nTasksDispatched', 'nTasksCommittedOk', 'nTasksCommittedFail',
+	    'nRetries' ].forEach(function (stat) {
+		var sum = 0;
+		phasestats.forEach(function (pstats) {
+			sum += pstats[stat];
+		});
+		mod_assert.equal(sum, stats[stat], 'per-phase ' + stat);
+	});
+
 	/*
 	 * Check metering records.  This is not part of the usual tests, but can
 	 * be run on-demand by running the test suite in the global zone (where
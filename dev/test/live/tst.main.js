@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2015, Joyent, Inc.
+ * Copyright (c) 2017, Joyent, Inc.
  */
 
 /*
@@ -698,6 +698,30 @@ var testcases = {
 	} ]
     },
 
+    'jobMtimeout': {
+	'job': {
+	    'timeout': 10,
+	    'phases': [
+		{ 'type': 'map', 'exec': 'wc && sleep 3600' }
+	    ]
+	},
+	'inputs': [ '/%user%/stor/obj1' ],
+	'timeout': 60 * 1000,
+	'expected_outputs': [],
+	'errors': [ {
+	    'phaseNum': '0',
+	    'code': EM_JOBTIMEOUT,
+	    'message': 'job timed out after 10 seconds'
+	}, {
+	    'phaseNum': '0',
+	    'what': 'phase 0: input "/%user%/stor/obj1"',
+	    'input': '/%user%/stor/obj1',
+	    'p0input': '/%user%/stor/obj1',
+	    'code': EM_JOBCANCELLED,
+	    'message': 'job was cancelled'
+	} ]
+    },
+
     'jobMtmpfs': {
 	/*
 	 * Tests that there's no tmpfs mounted at /tmp.  Using tmpfs there
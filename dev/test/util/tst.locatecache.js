@@ -0,0 +1,188 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * tst.locatecache.js: tests the cache of locate results
+ */
+
+var mod_assert = require('assert');
+
+var mod_locator = require('../../lib/worker/locator');
+
+var LocateCache = mod_locator.LocateCache;
+
+function result(objectid)
+{
+	return ({
+	    'objectid': objectid,
+	    'sharks': [ {
+		'mantaStorageId': '1.stor.emy-10.joyent.us',
+		'mantaComputeId': '1.cn.emy-10.joyent.us',
+		'zonename': 'f8bf03e3-5636-4cc4-a939-5b2a0a0c0a0f'
+	    } ]
+	});
+}
+
+function testBasic()
+{
+	var cache = new LocateCache(10, 1000);
+	var r;
+
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 0) === undefined);
+	cache.put('/acct1/stor/obj1', result('objectid1'), 0);
+
+	/* Results are copied on the way in and out. */
+	r = cache.get('/acct1/stor/obj1', 0);
+	mod_assert.deepEqual(r, result('objectid1'));
+	r['sharks'].pop();
+	mod_assert.deepEqual(cache.get('/acct1/stor/obj1', 1),
+	    result('objectid1'));
+
+	/* Replacing a result doesn't grow the cache. */
+	cache.put('/acct1/stor/obj1', result('objectid2'), 2);
+	mod_assert.equal(cache.get('/acct1/stor/obj1', 2)['objectid'],
+	    'objectid2');
+
+	mod_assert.deepEqual(cache.stats(), {
+	    'cache_hits': 3,
+	    'cache_misses': 1,
+	    'cache_evictions': 0,
+	    'cache_invalidations': 0,
+	    'cache_size': 1
+	});
+}
+
+function testDisabled()
+{
+	var cache = new LocateCache(0, 1000);
+
+	cache.put('/acct1/stor/obj1', result('objectid1'), 0);
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 0) === undefined);
+	mod_assert.equal(cache.stats()['cache_size'], 0);
+}
+
+function testTtl()
+{
+	var cache = new LocateCache(10, 1000);
+
+	cache.put('/acct1/stor/obj1', result('objectid1'), 0);
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 999) !== undefined);
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 1000) === undefined);
+
+	/* The expired result was removed. */
+	mod_assert.equal(cache.stats()['cache_size'], 0);
+	mod_assert.equal(cache.stats()['cache_misses'], 1);
+
+	/* Replacing a result resets its expiration. */
+	cache.put('/acct1/stor/obj1', result('objectid1'), 1000);
+	cache.put('/acct1/stor/obj1', result('objectid1'), 1500);
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 2250) !== undefined);
+}
+
+function testEviction()
+{
+	var cache = new LocateCache(3, 1000);
+	var i;
+
+	for (i = 1; i <= 3; i++)
+		cache.put('/acct1/stor/obj' + i, result('objectid' + i), i);
+
+	/* The oldest result is evicted first, regardless of lookups. */
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 4) !== undefined);
+	cache.put('/acct1/stor/obj4', result('objectid4'), 4);
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 5) === undefined);
+	for (i = 2; i <= 4; i++) {
+		mod_assert.ok(
+		    cache.get('/acct1/stor/obj' + i, 5) !== undefined);
+	}
+
+	/* A replaced result is evicted according to when it was replaced. */
+	cache.put('/acct1/stor/obj2', result('objectid2'), 6);
+	cache.put('/acct1/stor/obj5', result('objectid5'), 7);
+	mod_assert.ok(cache.get('/acct1/stor/obj3', 8) === undefined);
+	mod_assert.ok(cache.get('/acct1/stor/obj2', 8) !== undefined);
+
+	mod_assert.equal(cache.stats()['cache_evictions'], 2);
+	mod_assert.equal(cache.stats()['cache_size'], 3);
+}
+
+function testInvalidate()
+{
+	var cache = new LocateCache(10, 1000);
+
+	cache.put('/acct1/stor/obj1', result('objectid1'), 0);
+
+	/* Results for other keys or other objects are left alone. */
+	mod_assert.equal(cache.invalidate('/acct1/stor/obj2', 'objectid1'),
+	    false);
+	mod_assert.equal(cache.invalidate('/acct1/stor/obj1', 'objectid2'),
+	    false);
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 0) !== undefined);
+	mod_assert.equal(cache.stats()['cache_invalidations'], 0);
+
+	mod_assert.equal(cache.invalidate('/acct1/stor/obj1', 'objectid1'),
+	    true);
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 0) === undefined);
+	mod_assert.equal(cache.stats()['cache_invalidations'], 1);
+	mod_assert.equal(cache.stats()['cache_size'], 0);
+
+	/* Removing a result doesn't count as an invalidation. */
+	cache.put('/acct1/stor/obj1', result('objectid1'), 0);
+	cache.remove('/acct1/stor/obj1');
+	cache.remove('/acct1/stor/obj1');
+	mod_assert.ok(cache.get('/acct1/stor/obj1', 0) === undefined);
+	mod_assert.equal(cache.stats()['cache_invalidations'], 1);
+	mod_assert.equal(cache.stats()['cache_size'], 0);
+}
+
+function testCompaction()
+{
+	var cache = new LocateCache(4, 1000);
+	var i;
+
+	/*
+	 * Results removed other than by eviction stay queued until the queue
+	 * grows past twice the cache size, at which point it's compacted.
+	 */
+	for (i = 0; i < 8; i++) {
+		cache.put('/acct1/stor/obj' + i, result('objectid' + i), i);
+		cache.remove('/acct1/stor/obj' + i);
+	}
+	mod_assert.equal(cache.lc_queue.length, 8);
+	mod_assert.equal(cache.stats()['cache_size'], 0);
+
+	cache.put('/acct1/stor/obj8', result('objectid8'), 8);
+	mod_assert.equal(cache.lc_queue.length, 1);
+	mod_assert.equal(cache.lc_queue[0].e_key, '/acct1/stor/obj8');
+
+	/* Stale queue entries are skipped rather than evicted. */
+	for (i = 0; i < 3; i++)
+		cache.put('/acct1/stor/obj8', result('objectid8'), 9 + i);
+	mod_assert.equal(cache.lc_queue.length, 4);
+	cache.put('/acct1/stor/obj9', result('objectid9'), 20);
+	cache.put('/acct1/stor/obj10', result('objectid10'), 21);
+	cache.put('/acct1/stor/obj11', result('objectid11'), 22);
+	cache.put('/acct1/stor/obj12', result('objectid12'), 23);
+	mod_assert.ok(cache.get('/acct1/stor/obj8', 24) === undefined);
+	for (i = 9; i <= 12; i++) {
+		mod_assert.ok(
+		    cache.get('/acct1/stor/obj' + i, 24) !== undefined);
+	}
+	mod_assert.equal(cache.stats()['cache_evictions'], 1);
+	mod_assert.equal(cache.lc_queue.length, 4);
+}
+
+testBasic();
+testDisabled();
+testTtl();
+testEviction();
+testInvalidate();
+testCompaction();
+console.log('test passed');
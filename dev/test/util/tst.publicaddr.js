@@ -0,0 +1,60 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * tst.publicaddr.js: tests isPublicAddress function
+ */
+
+var mod_assert = require('assert');
+var mod_mautil = require('../../lib/util');
+
+var test_cases = [
+    [ false,	''				],
+    [ false,	'localhost'			],
+    [ false,	'example.com'			],
+    [ false,	'1.2.3'				],
+    [ false,	'0.0.0.0'			],
+    [ false,	'10.1.2.3'			],
+    [ false,	'100.64.0.1'			],
+    [ true,	'100.128.0.1'			],
+    [ false,	'127.0.0.1'			],
+    [ false,	'169.254.169.254'		],
+    [ false,	'172.16.0.1'			],
+    [ false,	'172.31.255.255'		],
+    [ true,	'172.32.0.1'			],
+    [ false,	'192.168.1.1'			],
+    [ false,	'224.0.0.1'			],
+    [ false,	'255.255.255.255'		],
+    [ true,	'8.8.8.8'			],
+    [ true,	'192.0.43.10'			],
+    [ false,	'::'				],
+    [ false,	'::1'				],
+    [ false,	'::127.0.0.1'			],
+    [ false,	'::ffff:127.0.0.1'		],
+    [ false,	'::ffff:a9fe:a9fe'		],
+    [ true,	'::ffff:8.8.8.8'		],
+    [ false,	'64:ff9b::10.0.0.1'		],
+    [ true,	'64:ff9b::8.8.8.8'		],
+    [ false,	'fc00::1'			],
+    [ false,	'fd12:3456:789a::1'		],
+    [ false,	'fe80::1'			],
+    [ false,	'fe80::1%net0'			],
+    [ false,	'fec0::1'			],
+    [ false,	'ff02::1'			],
+    [ true,	'2001:4860:4860::8888'		],
+    [ true,	'2001:db8:0:0:1:0:0:1'		]
+];
+
+test_cases.forEach(function (testcase) {
+	process.stdout.write('case "' + testcase[1] + '": ');
+	var result = mod_mautil.isPublicAddress(testcase[1]);
+	process.stdout.write(result + '\n');
+	mod_assert.equal(testcase[0], result);
+});
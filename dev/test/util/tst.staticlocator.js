@@ -0,0 +1,148 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2017, Joyent, Inc.
+ */
+
+/*
+ * tst.staticlocator.js: tests the file-backed "static" locator
+ */
+
+var mod_assert = require('assert');
+var mod_fs = require('fs');
+var mod_path = require('path');
+
+var mod_bunyan = require('bunyan');
+var mod_vasync = require('vasync');
+
+var mod_locator = require('../../lib/worker/locator');
+
+var tmpdir = process.env['TMPDIR'] || '/tmp';
+var jsonfile = mod_path.join(tmpdir, 'tst.staticlocator.js.json');
+var ndjsonfile = mod_path.join(tmpdir, 'tst.staticlocator.js.ndjson');
+var badfile = mod_path.join(tmpdir, 'tst.staticlocator.js.bad.ndjson');
+
+var log = new mod_bunyan({ 'name': 'tst.staticlocator.js' });
+var storage_map = {
+    '1.stor.emy-10.joyent.us': {
+	'manta_compute_id': '1.cn.emy-10.joyent.us',
+	'zone_uuid': 'f8bf03e3-5636-4cc4-a939-5b2a0a0c0a0f'
+    }
+};
+
+var objects = {
+    '/acct1/stor/obj1': {
+	'owner': 'acct1',
+	'objectid': 'objectid1',
+	'contentLength': 17,
+	'sharks': [ {
+	    'mantaStorageId': '1.stor.emy-10.joyent.us'
+	}, {
+	    'mantaStorageId': '2.stor.emy-10.joyent.us',
+	    'mantaComputeId': '2.cn.emy-10.joyent.us',
+	    'zonename': 'b7d4cd43-5e55-4b37-a42d-0a0ab0e24e4c'
+	} ]
+    },
+    '/acct1/stor/empty': {
+	'creator': 'acct2',
+	'owner': 'acct1',
+	'objectid': 'objectid2',
+	'contentLength': 0,
+	'roles': [ 'role1' ],
+	'sharks': []
+    }
+};
+
+function check(results)
+{
+	var r;
+
+	mod_assert.deepEqual(Object.keys(results).sort(), [
+	    '/acct1/stor/empty', '/acct1/stor/missing', '/acct1/stor/obj1' ]);
+
+	r = results['/acct1/stor/obj1'];
+	mod_assert.equal(r['creator'], 'acct1');
+	mod_assert.equal(r['owner'], 'acct1');
+	mod_assert.equal(r['objectid'], 'objectid1');
+	mod_assert.equal(r['contentLength'], 17);
+	mod_assert.deepEqual(r['sharks'], [ {
+	    'mantaStorageId': '1.stor.emy-10.joyent.us',
+	    'mantaComputeId': '1.cn.emy-10.joyent.us',
+	    'zonename': 'f8bf03e3-5636-4cc4-a939-5b2a0a0c0a0f'
+	}, {
+	    'mantaStorageId': '2.stor.emy-10.joyent.us',
+	    'mantaComputeId': '2.cn.emy-10.joyent.us',
+	    'zonename': 'b7d4cd43-5e55-4b37-a42d-0a0ab0e24e4c'
+	} ]);
+
+	r = results['/acct1/stor/empty'];
+	mod_assert.equal(r['creator'], 'acct2');
+	mod_assert.equal(r['contentLength'], 0);
+	mod_assert.deepEqual(r['roles'], [ 'role1' ]);
+	mod_assert.deepEqual(r['sharks'], []);
+
+	r = results['/acct1/stor/missing'];
+	mod_assert.equal(r['error']['code'], 'ResourceNotFoundError');
+}
+
+function testFile(filename, callback)
+{
+	var locator = mod_locator.createLocator({
+	    'locator': 'static',
+	    'locatorFile': filename
+	}, {
+	    'log': log,
+	    'storage_map': storage_map
+	});
+
+	locator.on('ready', function () {
+		locator.locate([ '/acct1/stor/obj1', '/acct1/stor/empty',
+		    '/acct1/stor/missing' ], function (err, results) {
+			mod_assert.ok(!err);
+			check(results);
+			locator.cleanup();
+			console.log('%s: okay', filename);
+			callback();
+		});
+	});
+}
+
+mod_fs.writeFileSync(jsonfile, JSON.stringify(objects, null, '\t'));
+mod_fs.writeFileSync(ndjsonfile, Object.keys(objects).map(function (key) {
+	var entry = JSON.parse(JSON.stringify(objects[key]));
+	entry['key'] = key;
+	return (JSON.stringify(entry) + '\n');
+}).join(''));
+mod_fs.writeFileSync(badfile, JSON.stringify({
+    'key': '/acct1/stor/obj1',
+    'owner': 'acct1',
+    'objectid': 'objectid1',
+    'contentLength': 17,
+    'sharks': []
+}) + '\n');
+
+mod_assert.throws(function () {
+	mod_locator.createLocator({ 'locator': 'static' }, { 'log': log });
+}, /"locatorFile" is required/);
+
+mod_assert.throws(function () {
+	mod_locator.createLocator({
+	    'locator': 'static',
+	    'locatorFile': badfile
+	}, { 'log': log });
+}, /object "\/acct1\/stor\/obj1": no sharks found for non-empty object/);
+
+mod_vasync.forEachPipeline({
+    'inputs': [ jsonfile, ndjsonfile ],
+    'func': testFile
+}, function (err) {
+	mod_assert.ok(!err);
+	mod_fs.unlinkSync(jsonfile);
+	mod_fs.unlinkSync(ndjsonfile);
+	mod_fs.unlinkSync(badfile);
+	console.log('test passed');
+});
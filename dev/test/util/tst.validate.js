@@ -75,6 +75,179 @@ var test_cases = [
     [ /property "phases\[0\].image": invalid semver range: ""/,
       { 'name': '', 'phases': [ { 'exec': 'wc', 'image': '' } ] } ],
 
+    /* priority */
+    [ null, {
+	'name': '',
+	'priority': 'high',
+	'phases': [ { 'exec': 'wc' } ]
+    } ],
+    [ /property "priority"/,
+      { 'name': '', 'priority': 'urgent', 'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "priority"/,
+      { 'name': '', 'priority': 3, 'phases': [ { 'exec': 'wc' } ] } ],
+
+    /* timeout */
+    [ null, { 'name': '', 'timeout': 60, 'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "timeout"/,
+      { 'name': '', 'timeout': 0, 'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "timeout"/,
+      { 'name': '', 'timeout': 1.5, 'phases': [ { 'exec': 'wc' } ] } ],
+
+    /* maxTaskRuntime */
+    [ null, { 'name': '',
+      'phases': [ { 'exec': 'wc', 'maxTaskRuntime': 30 } ] } ],
+    [ /property "phases\[0\].maxTaskRuntime"/, { 'name': '',
+      'phases': [ { 'exec': 'wc', 'maxTaskRuntime': 0 } ] } ],
+
+    /* batchSize */
+    [ null, { 'name': '',
+      'phases': [ { 'exec': 'wc', 'batchSize': 100 } ] } ],
+    [ /property "phases\[0\].batchSize"/, { 'name': '',
+      'phases': [ { 'exec': 'wc', 'batchSize': 0 } ] } ],
+    [ /property "phases\[0\].batchSize"/, { 'name': '',
+      'phases': [ { 'exec': 'wc', 'batchSize': 1001 } ] } ],
+
+    /* retry */
+    [ null, { 'name': '', 'retry': { 'maxAttempts': 1 },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ null, { 'name': '', 'retry': { 'maxAttempts': 5, 'minDelay': 10,
+      'retryableErrors': [ 'TaskKilledError', 'UserTaskError' ] },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "retry.maxAttempts"/, { 'name': '',
+      'retry': { 'maxAttempts': 0 }, 'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "retry.minDelay"/, { 'name': '',
+      'retry': { 'minDelay': -1 }, 'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "retry.retryableErrors\[0\]"/, { 'name': '',
+      'retry': { 'retryableErrors': [ 5 ] },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "retry.retryableErrors\[1\]": unknown error code/,
+      { 'name': '', 'retry':
+      { 'retryableErrors': [ 'TaskKilledError', 'BogusError' ] },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "retry.backoff"/, { 'name': '',
+      'retry': { 'backoff': 2 }, 'phases': [ { 'exec': 'wc' } ] } ],
+
+    /* notify */
+    [ null, { 'name': '', 'notify': { 'url': 'https://example.com/hook',
+      'secret': 's3cret' }, 'phases': [ { 'exec': 'wc' } ] } ],
+    [ null, { 'name': '', 'notify': { 'url': 'http://example.com/hook',
+      'secret': 's3cret', 'events': [ 'done', 'errors' ],
+      'errorInterval': 10 }, 'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.url"/, { 'name': '',
+      'notify': { 'secret': 's3cret' }, 'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.secret"/, { 'name': '',
+      'notify': { 'url': 'https://example.com/hook', 'secret': '' },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.url": unsupported protocol/, { 'name': '',
+      'notify': { 'url': 'ftp://example.com/hook', 'secret': 's3cret' },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.url": host not allowed/, { 'name': '',
+      'notify': { 'url': 'http://localhost:8080/hook', 'secret': 's3cret' },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.url": host not allowed/, { 'name': '',
+      'notify': { 'url': 'http://169.254.169.254/', 'secret': 's3cret' },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.url": host not allowed/, { 'name': '',
+      'notify': { 'url': 'http://[::1]/hook', 'secret': 's3cret' },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ null, { 'name': '',
+      'notify': { 'url': 'https://8.8.8.8/hook', 'secret': 's3cret' },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.events\[0\]"/, { 'name': '',
+      'notify': { 'url': 'https://example.com/hook', 'secret': 's3cret',
+      'events': [ 'started' ] }, 'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.events"/, { 'name': '',
+      'notify': { 'url': 'https://example.com/hook', 'secret': 's3cret',
+      'events': [] }, 'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.errorInterval": requires "errors" event/,
+      { 'name': '', 'notify': { 'url': 'https://example.com/hook',
+      'secret': 's3cret', 'errorInterval': 5 },
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "notify.timeout"/, { 'name': '',
+      'notify': { 'url': 'https://example.com/hook', 'secret': 's3cret',
+      'timeout': 5 }, 'phases': [ { 'exec': 'wc' } ] } ],
+
+    /* upstreamJob */
+    [ null, { 'name': '', 'upstreamJob': 'd4f7e4bc-0a43-4d0b-9b9c-7f7e3e6f0e5c',
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "upstreamJob"/, { 'name': '', 'upstreamJob': '',
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "upstreamJob"/, { 'name': '', 'upstreamJob': 5,
+      'phases': [ { 'exec': 'wc' } ] } ],
+
+    /* expandDirectories */
+    [ null, { 'name': '', 'expandDirectories': true,
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ null, { 'name': '', 'expandDirectories': false,
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "expandDirectories"/, { 'name': '',
+      'expandDirectories': 'yes', 'phases': [ { 'exec': 'wc' } ] } ],
+
+    /* dryRun */
+    [ null, { 'name': '', 'dryRun': true,
+      'phases': [ { 'exec': 'wc' } ] } ],
+    [ /property "dryRun"/, { 'name': '', 'dryRun': 1,
+      'phases': [ { 'exec': 'wc' } ] } ],
+
+    /* partition */
+    [ null, { 'name': '', 'phases': [
+      { 'exec': 'wc', 'partition': { 'field': 2 } },
+      { 'type': 'reduce', 'exec': 'wc', 'count': 4 } ] } ],
+    [ null, { 'name': '', 'phases': [
+      { 'exec': 'wc', 'partition': { 'field': 1, 'delimiter': ',' } },
+      { 'type': 'reduce', 'exec': 'wc', 'count': 4 } ] } ],
+    [ null, { 'name': '', 'phases': [
+      { 'exec': 'wc', 'partition': { 'regex': '^(\\w+)' } },
+      { 'type': 'reduce', 'exec': 'wc', 'count': 4 } ] } ],
+    [ /property "phases\[0\].partition.field"/, { 'name': '', 'phases': [
+      { 'exec': 'wc', 'partition': { 'field': 0 } },
+      { 'type': 'reduce', 'exec': 'wc', 'count': 4 } ] } ],
+    [ /property "phases\[0\].partition": exactly one/, { 'name': '',
+      'phases': [ { 'exec': 'wc', 'partition': {} },
+      { 'type': 'reduce', 'exec': 'wc', 'count': 4 } ] } ],
+    [ /property "phases\[0\].partition": exactly one/, { 'name': '',
+      'phases': [ { 'exec': 'wc',
+      'partition': { 'field': 1, 'regex': 'a' } },
+      { 'type': 'reduce', 'exec': 'wc', 'count': 4 } ] } ],
+    [ /property "phases\[0\].partition": "delimiter" requires "field"/,
+      { 'name': '', 'phases': [ { 'exec': 'wc',
+      'partition': { 'regex': 'a', 'delimiter': ',' } },
+      { 'type': 'reduce', 'exec': 'wc', 'count': 4 } ] } ],
+    [ /property "phases\[0\].partition": invalid regex/, { 'name': '',
+      'phases': [ { 'exec': 'wc', 'partition': { 'regex': '(' } },
+      { 'type': 'reduce', 'exec': 'wc', 'count': 4 } ] } ],
+    [ /property "phases\[0\].partition": next phase must be a reduce/,
+      { 'name': '', 'phases': [ { 'exec': 'wc',
+      'partition': { 'field': 1 } } ] } ],
+    [ /property "phases\[0\].partition": next phase must be a reduce/,
+      { 'name': '', 'phases': [ { 'exec': 'wc',
+      'partition': { 'field': 1 } }, { 'exec': 'wc' } ] } ],
+
+    /* combine */
+    [ null, { 'name': '', 'phases': [
+      { 'exec': 'wc', 'combine': 'sort | uniq -c' } ] } ],
+    [ null, { 'name': '', 'phases': [
+      { 'exec': 'wc', 'combine': 'sort', 'partition': { 'field': 1 } },
+      { 'type': 'reduce', 'exec': 'wc', 'count': 4 } ] } ],
+    [ /property "phases\[0\].combine"/, { 'name': '', 'phases': [
+      { 'exec': 'wc', 'combine': '' } ] } ],
+    [ /property "phases\[0\].combine"/, { 'name': '', 'phases': [
+      { 'exec': 'wc', 'combine': 3 } ] } ],
+    [ /property "phases\[1\].combine": not supported for reduce/,
+      { 'name': '', 'phases': [ { 'exec': 'wc' },
+      { 'type': 'reduce', 'exec': 'wc', 'combine': 'sort' } ] } ],
+
+    /* inputOrder */
+    [ null, { 'name': '', 'phases': [
+      { 'type': 'reduce', 'exec': 'wc', 'inputOrder': 'name' } ] } ],
+    [ null, { 'name': '', 'phases': [ { 'exec': 'wc' },
+      { 'type': 'reduce', 'exec': 'wc', 'inputOrder': 'sortKey' } ] } ],
+    [ /property "phases\[0\].inputOrder"/, { 'name': '', 'phases': [
+      { 'type': 'reduce', 'exec': 'wc', 'inputOrder': 'size' } ] } ],
+    [ /property "phases\[0\].inputOrder": only supported for reduce/,
+      { 'name': '', 'phases': [ { 'exec': 'wc', 'inputOrder': 'name' },
+      { 'type': 'reduce', 'exec': 'wc' } ] } ],
+
     /* bad semantic values */
     [ /property "phases\[0\].image": unsupported version: "0.0.1"/,
       { 'name': '', 'phases': [ { 'exec': 'wc', 'image': '0.0.1' } ] } ],
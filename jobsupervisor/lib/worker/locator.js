@@ -22,20 +22,27 @@ var mod_jsprim = require('jsprim');
 var mod_libmanta = require('libmanta');
 var mod_uuid = require('node-uuid');
 var mod_vasync = require('vasync');
+var mod_verror = require('verror');
 
 var mod_mautil = require('../util');
 
 var sprintf = mod_extsprintf.sprintf;
 var CVError = mod_mautil.CVError;
+var VError = mod_verror.VError;
 
 /* jsl:import ../../../common/lib/errors.js */
-require('../errors');
+var mod_errors = require('../errors');
+
+mod_errors.errorCodesCheck(__filename);
 
 /* Public interface */
 exports.createLocator = createLocator;
 
+/* Exposed for testing only */
+exports.LocateCache = LocateCache;
+
 /*
- * Locators are objects with a single method for locating a set of keys in
+ * Locators are objects with a primary method for locating a set of keys in
  * Manta:
  *
  *	locate(keys, callback)
@@ -70,27 +77,73 @@ exports.createLocator = createLocator;
  *              		tell the agent where the object is actually
  *              		stored.  If null, the zone name is unknown.
  *
- * We currently only implement a Manta-based locator which is used for standard
+ * If a key refers to a directory rather than an object, its result has only
+ * "creator", "owner", and "roles", plus "type" (with value "directory").
+ * Callers decide whether directories are acceptable.
+ *
+ * Locators may cache these results, so they also provide:
+ *
+ *	invalidate(key, objectid)
+ *
+ * which discards any cached result for "key", provided that it still describes
+ * the object "objectid" (i.e., that the cached object's etag matches the one
+ * the caller found to be stale), and returns whether it discarded one, and
+ *
+ *	stats()
+ *
+ * which returns an object of counters describing the locator's activity.
+ *
+ * There are two implementations.  The Manta-based locator is used for standard
  * deployments.  This locator takes a ring of Moray shards as input and uses
- * them to locate objects.  For future extension, createLocator is used to
- * create an appropriate locator for a given configuration, which is a subset of
- * the standard job supervisor configuration with the following properties:
+ * them to locate objects.  The static locator reads the locations of a fixed
+ * set of objects from a local file, which is useful for testing and for
+ * single-system development setups that have no index shards.  createLocator
+ * is used to create an appropriate locator for a given configuration, which is
+ * a subset of the standard job supervisor configuration with the following
+ * properties:
  *
- *    locator	The default value is "manta".  See above.
+ *    locator	Either "manta" (the default) or "static".  See above.
  *
  *    moray	Moray configuration (see generic supervisor configuration)
  *
  *	moray.index: electric moray configuration
  *
- * The locator will use the electric moray instance specified by moray.index to
- * find objects.
+ *    locatorFile	Path to the file used by the "static" locator
+ *
+ *    tunables.maxLocateCacheSize	Maximum number of results cached by the
+ *    				"manta" locator.  0 (the default)
+ *    				disables caching.
+ *
+ *    tunables.timeLocateCacheTtl	Milliseconds for which the "manta"
+ *    				locator may use a cached result.  For
+ *    				that long, a task may be sent to a stale
+ *    				location, and authorization uses the
+ *    				object's cached owner and roles.
+ *
+ * The "manta" locator will use the electric moray instance specified by
+ * moray.index to find objects.  The "static" locator reads "locatorFile", whose
+ * format is described with StaticLocator below.
+ *
+ * Both kinds of locator emit "ready" when they're ready to locate objects.
  */
 function createLocator(conf, args)
 {
+	var tunables = conf['tunables'] || {};
+
 	if (!conf['locator'] || conf['locator'] == 'manta') {
 		mod_assert.ok(conf['moray']);
 		mod_assert.ok(conf['moray']['index']);
 		return (new MantaLocator(conf['moray']['index'],
+		    args['log'], args['storage_map'], new LocateCache(
+		    tunables['maxLocateCacheSize'] || 0,
+		    tunables['timeLocateCacheTtl'] || 0)));
+	}
+
+	if (conf['locator'] == 'static') {
+		if (!conf['locatorFile'])
+			throw (new Error('property "locatorFile" is required ' +
+			    'for the "static" locator'));
+		return (new StaticLocator(conf['locatorFile'],
 		    args['log'], args['storage_map']));
 	}
 
@@ -98,7 +151,7 @@ function createLocator(conf, args)
 	    conf['locator']));
 }
 
-function MantaLocator(indexconf, log, storage_map)
+function MantaLocator(indexconf, log, storage_map, cache)
 {
 	mod_assert.ok(indexconf);
 
@@ -109,6 +162,7 @@ function MantaLocator(indexconf, log, storage_map)
 	this.ml_ring = mod_libmanta.createMorayClient(conf);
 	this.ml_ops = {};
 	this.ml_storage_map = storage_map;
+	this.ml_cache = cache;
 	mod_events.EventEmitter();
 
 	var loc = this;
@@ -145,15 +199,33 @@ MantaLocator.prototype.locate = function (keys, callback)
 {
 	/*
 	 * For now this operation uses mod_vasync to parallelize one request for
-	 * each key.  In the future, this could be a single batch operation.
+	 * each key that we don't already have cached.  In the future, this
+	 * could be a single batch operation.
 	 */
 	var loc = this;
 	var uuid = mod_uuid.v4();
 	var ring = this.ml_ring;
 	var ops = this.ml_ops;
+	var cache = this.ml_cache;
+	var now = Date.now();
+	var rv = {};
+	var misses;
+
+	misses = keys.filter(function (key) {
+		var result = cache.get(key, now);
+		if (result === undefined)
+			return (true);
+		rv[key] = result;
+		return (false);
+	});
+
+	if (misses.length === 0) {
+		process.nextTick(function () { callback(null, rv); });
+		return;
+	}
 
 	this.ml_ops[uuid] = mod_vasync.forEachParallel({
-	    'inputs': keys,
+	    'inputs': misses,
 	    'func': function (key, subcallback) {
 		/* XXX requestid could be jobid, plus phase, plus index? */
 		ring.getMetadata({ 'requestId': uuid, 'key': key },
@@ -170,6 +242,17 @@ MantaLocator.prototype.locate = function (keys, callback)
 				return;
 			}
 
+			if (result['type'] == 'directory') {
+				subcallback(null, {
+				    'type': 'directory',
+				    'creator': result['creator'] ||
+					result['owner'],
+				    'owner': result['owner'],
+				    'roles': result['roles']
+				});
+				return;
+			}
+
 			if (result['type'] != 'object') {
 				subcallback(new CVError(EM_INVALIDARGUMENT,
 				    'objects of type "%s" are not supported',
@@ -206,23 +289,329 @@ MantaLocator.prototype.locate = function (keys, callback)
 	}, function (err, result) {
 		delete (ops[uuid]);
 
-		var rv = {};
-
-		keys.forEach(function (key, i) {
+		now = Date.now();
+		misses.forEach(function (key, i) {
 			if (result['operations'][i]['status'] != 'ok') {
+				cache.remove(key);
 				rv[key] = { 'error':
 				    result['operations'][i]['err'] };
 				return;
 			}
 
 			rv[key] = result['operations'][i]['result'];
+			cache.put(key, rv[key], now);
 		});
 
 		callback(err, rv);
 	});
 };
 
+MantaLocator.prototype.invalidate = function (key, objectid)
+{
+	return (this.ml_cache.invalidate(key, objectid));
+};
+
+MantaLocator.prototype.stats = function ()
+{
+	return (this.ml_cache.stats());
+};
+
 MantaLocator.prototype.cleanup = function ()
 {
 	this.ml_ring.close(function () {});
 };
+
+
+/*
+ * LocateCache is a bounded cache of locate results, keyed by Manta key.
+ * Results are used for at most "ttl" milliseconds, since the object may be
+ * overwritten, removed, or rebalanced in the meantime, and when the cache is
+ * full we evict the oldest result.  Callers also remove results explicitly
+ * when a locate for the same key fails or when the object described by the
+ * cached result turns out to be stale.  Results are copied on the way in and
+ * out so that callers can't modify cached state.  A "maxsize" of 0 disables
+ * the cache.
+ */
+function LocateCache(maxsize, ttl)
+{
+	mod_assert.equal(typeof (maxsize), 'number');
+	mod_assert.equal(typeof (ttl), 'number');
+
+	this.lc_maxsize = maxsize;
+	this.lc_ttl = ttl;
+	this.lc_entries = {};		/* cached results, by key */
+	this.lc_nentries = 0;		/* count of cached results */
+	this.lc_queue = [];		/* results in insertion order */
+	this.lc_stats = {
+	    'cache_hits': 0,		/* lookups satisfied from the cache */
+	    'cache_misses': 0,		/* lookups not in the cache */
+	    'cache_evictions': 0,	/* results evicted for space */
+	    'cache_invalidations': 0	/* results discarded as stale */
+	};
+}
+
+LocateCache.prototype.get = function (key, now)
+{
+	var entry;
+
+	if (this.lc_maxsize === 0)
+		return (undefined);
+
+	if (!this.lc_entries.hasOwnProperty(key)) {
+		this.lc_stats['cache_misses']++;
+		return (undefined);
+	}
+
+	entry = this.lc_entries[key];
+	if (now >= entry.e_expires) {
+		this.remove(key);
+		this.lc_stats['cache_misses']++;
+		return (undefined);
+	}
+
+	this.lc_stats['cache_hits']++;
+	return (mod_jsprim.deepCopy(entry.e_result));
+};
+
+LocateCache.prototype.put = function (key, result, now)
+{
+	var entry, oldest;
+
+	if (this.lc_maxsize === 0)
+		return;
+
+	this.remove(key);
+
+	while (this.lc_nentries >= this.lc_maxsize) {
+		oldest = this.lc_queue.shift();
+		if (this.lc_entries[oldest.e_key] !== oldest)
+			continue;
+		this.remove(oldest.e_key);
+		this.lc_stats['cache_evictions']++;
+	}
+
+	entry = {
+	    'e_key': key,
+	    'e_result': mod_jsprim.deepCopy(result),
+	    'e_expires': now + this.lc_ttl
+	};
+	this.lc_entries[key] = entry;
+	this.lc_nentries++;
+	this.lc_queue.push(entry);
+
+	/*
+	 * Entries removed other than by eviction stay in the queue until we
+	 * get to them.  Compact the queue if those have come to dominate it.
+	 */
+	if (this.lc_queue.length > 2 * this.lc_maxsize) {
+		var entries = this.lc_entries;
+		this.lc_queue = this.lc_queue.filter(function (e) {
+			return (entries[e.e_key] === e);
+		});
+	}
+};
+
+LocateCache.prototype.remove = function (key)
+{
+	if (!this.lc_entries.hasOwnProperty(key))
+		return;
+
+	delete (this.lc_entries[key]);
+	this.lc_nentries--;
+};
+
+LocateCache.prototype.invalidate = function (key, objectid)
+{
+	if (!this.lc_entries.hasOwnProperty(key) ||
+	    this.lc_entries[key].e_result['objectid'] != objectid)
+		return (false);
+
+	this.remove(key);
+	this.lc_stats['cache_invalidations']++;
+	return (true);
+};
+
+LocateCache.prototype.stats = function ()
+{
+	var rv = mod_jsprim.deepCopy(this.lc_stats);
+	rv['cache_size'] = this.lc_nentries;
+	return (rv);
+};
+
+/*
+ * The static locator serves locations for a fixed set of objects described in
+ * a local file.  If the filename ends in ".ndjson", the file contains one JSON
+ * object per line, each with a "key" property naming the object.  Otherwise,
+ * the file contains a single JSON object mapping keys to object descriptions.
+ * Either way, keys are internal Manta keys (e.g., "/<owner uuid>/stor/obj"),
+ * and each object is described just like the results of locate(), except that
+ * "creator" defaults to "owner" and each shark need only specify
+ * "mantaStorageId".  If a shark omits "mantaComputeId" or "zonename", we fill
+ * them in from the storage map when the object is located, as the Manta
+ * locator does.  Keys not present in the file are reported as not found.
+ *
+ * The file is read once, synchronously, when the locator is created, and any
+ * problem with it is thrown as an exception, since there's nothing useful we
+ * can do without it.
+ */
+function StaticLocator(filename, log, storage_map)
+{
+	mod_assert.equal(typeof (filename), 'string');
+
+	this.sl_log = log;
+	this.sl_filename = filename;
+	this.sl_storage_map = storage_map || {};
+	this.sl_objects = staticLoad(filename);
+	mod_events.EventEmitter.call(this);
+
+	var loc = this;
+	process.nextTick(function () {
+		loc.sl_log.info('locator ready (%d objects from "%s")',
+		    Object.keys(loc.sl_objects).length, filename);
+		loc.emit('ready');
+	});
+}
+
+mod_util.inherits(StaticLocator, mod_events.EventEmitter);
+
+/*
+ * Read and validate the static locator's file.  Returns an object mapping keys
+ * to object descriptions.
+ */
+function staticLoad(filename)
+{
+	var contents, objects, lines, i, entry, key;
+
+	contents = mod_fs.readFileSync(filename).toString('utf8');
+
+	if (!/\.ndjson$/.test(filename)) {
+		try {
+			objects = JSON.parse(contents);
+		} catch (ex) {
+			throw (new VError(ex, 'file "%s"', filename));
+		}
+
+		if (typeof (objects) != 'object' || objects === null ||
+		    Array.isArray(objects))
+			throw (new VError('file "%s": expected an object',
+			    filename));
+
+		mod_jsprim.forEachKey(objects, function (k, obj) {
+			staticValidate(filename, k, obj);
+		});
+
+		return (objects);
+	}
+
+	objects = {};
+	lines = contents.split('\n');
+	for (i = 0; i < lines.length; i++) {
+		if (lines[i].trim().length === 0)
+			continue;
+
+		try {
+			entry = JSON.parse(lines[i]);
+		} catch (ex) {
+			throw (new VError(ex, 'file "%s", line %d',
+			    filename, i + 1));
+		}
+
+		if (typeof (entry) != 'object' || entry === null ||
+		    typeof (entry['key']) != 'string')
+			throw (new VError('file "%s", line %d: expected ' +
+			    'an object with string property "key"',
+			    filename, i + 1));
+
+		key = entry['key'];
+		delete (entry['key']);
+		staticValidate(filename, key, entry);
+		objects[key] = entry;
+	}
+
+	return (objects);
+}
+
+function staticValidate(filename, key, obj)
+{
+	var error;
+
+	if (typeof (obj) != 'object' || obj === null)
+		error = 'expected an object';
+	else if (typeof (obj['owner']) != 'string')
+		error = 'missing or invalid "owner" property';
+	else if (typeof (obj['objectid']) != 'string')
+		error = 'missing or invalid "objectid" property';
+	else if (typeof (obj['contentLength']) != 'number')
+		error = 'missing or invalid "contentLength" property';
+	else if (!Array.isArray(obj['sharks']))
+		error = 'missing or invalid "sharks" property';
+	else if (obj['sharks'].length === 0 && obj['contentLength'] !== 0)
+		error = 'no sharks found for non-empty object';
+	else if (!obj['sharks'].every(function (shark) {
+		return (typeof (shark) == 'object' && shark !== null &&
+		    typeof (shark['mantaStorageId']) == 'string');
+	    }))
+		error = 'missing or invalid "mantaStorageId" for shark';
+
+	if (error !== undefined)
+		throw (new VError('file "%s": object "%s": %s',
+		    filename, key, error));
+}
+
+StaticLocator.prototype.locate = function (keys, callback)
+{
+	var loc = this;
+	var rv = {};
+
+	keys.forEach(function (key) {
+		var obj;
+
+		if (!loc.sl_objects.hasOwnProperty(key)) {
+			rv[key] = { 'error': new CVError(EM_RESOURCENOTFOUND,
+			    'no such object') };
+			return;
+		}
+
+		obj = loc.sl_objects[key];
+		rv[key] = {
+		    'creator': obj['creator'] || obj['owner'],
+		    'owner': obj['owner'],
+		    'objectid': obj['objectid'],
+		    'contentLength': obj['contentLength'],
+		    'roles': obj['roles'],
+		    'sharks': obj['sharks'].map(function (shark) {
+			var rec = loc.sl_storage_map[shark['mantaStorageId']];
+			var computeid = shark['mantaComputeId'];
+			var zonename = shark['zonename'];
+
+			if (computeid === undefined)
+				computeid = rec ?
+				    rec['manta_compute_id'] : null;
+			if (zonename === undefined)
+				zonename = rec ? rec['zone_uuid'] : null;
+
+			return ({
+			    'mantaStorageId': shark['mantaStorageId'],
+			    'mantaComputeId': computeid,
+			    'zonename': zonename
+			});
+		    })
+		};
+	});
+
+	process.nextTick(function () { callback(null, rv); });
+};
+
+StaticLocator.prototype.invalidate = function ()
+{
+	return (false);
+};
+
+StaticLocator.prototype.stats = function ()
+{
+	return ({});
+};
+
+StaticLocator.prototype.cleanup = function ()
+{
+};
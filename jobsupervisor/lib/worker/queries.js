@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2014, Joyent, Inc.
+ * Copyright (c) 2017, Joyent, Inc.
  */
 
 /*
@@ -26,7 +26,9 @@
  *   o a per-job set of repeated queries run periodically
  *
  * Note that the "name" fields in these queries are used programmatically in
- * lib/worker/worker.js.
+ * lib/worker/worker.js.  Per-domain periodic queries with "excludeHeld" set
+ * leave out records for jobs whose dispatches are currently being held (see
+ * Worker.queryExcludeHeld).
  */
 
 var sprintf = require('extsprintf').sprintf;
@@ -133,9 +135,21 @@ exports.wqJobsInputEnded = {
     }
 };
 
+exports.wqJobsPauseChanged = {
+    'name': 'jobs pause changed',
+    'bucket': 'job',
+    'query': function (conf, domainid) {
+	return (sprintf(
+	    '(&(worker=%s)(!(state=done))' +
+		'(|(&(timePaused=*)(!(timePausedRead=*)))' +
+		'(&(timePausedRead=*)(!(timePaused=*)))))', domainid));
+    }
+};
+
 exports.wqJobInputs = {
     'name': 'job inputs',
     'bucket': 'jobinput',
+    'excludeHeld': true,
     'query': function (conf, domainid) {
 	return (sprintf('(&(domain=%s)(!(timePropagated=*))' +
 	    '(!(timeJobCancelled=*)))', domainid));
@@ -223,6 +237,7 @@ exports.wqJobTaskInputsNeedingRetry = {
 exports.wqJobTaskOutputsUnpropagated = {
     'name': 'taskoutputs',
     'bucket': 'taskoutput',
+    'excludeHeld': true,
     'query': function (conf, domainid) {
 	return (sprintf('(&(domain=%s)(timeCommitted=*)' +
 	    '(intermediate=true)(!(timeJobCancelled=*))(!(timePropagated=*)))',
@@ -309,6 +324,16 @@ exports.wqCountJobTasksNeedingInputsRetried = {
     }
 };
 
+exports.wqCountJobTaskInputsUnread = {
+    'name': 'count unread taskinputs',
+    'bucket': 'taskinput',
+    'countonly': true,
+    'query': function (phasei, jobid) {
+	return (sprintf('(&(jobId=%s)(phaseNum=%d)(!(timeRead=*))' +
+	    '(!(timeRetried=*))(!(timeJobCancelled=*)))', jobid, phasei));
+    }
+};
+
 exports.wqCountJobTaskOutputsUnpropagated = {
     'name': 'count unpropagated taskoutputs',
     'bucket': 'taskoutput',
@@ -336,8 +361,8 @@ exports.wqCountRetries = {
     'countonly': true,
     'query': function (jobid) {
 	/* Work around MANTA-1065. */
-	return (sprintf('(&(jobId=%s)(|(retried=true)(retried=TRUE)))',
-	    jobid));
+	return (sprintf('(&(jobId=%s)(|(retried=true)(retried=TRUE))' +
+	    '(!(superseded=*))(!(quarantined=*)))', jobid));
     }
 };
 
@@ -388,6 +413,81 @@ exports.wqCountTasksCommittedFail = {
     }
 };
 
+/*
+ * The following queries correspond to the per-phase stats.  Phase 0's inputs
+ * are counted with CountInputsRead above.  Every other phase's inputs are the
+ * previous phase's propagated outputs.
+ */
+/*
+ * A later phase's inputs are the previous phase's propagated outputs, excluding
+ * the outputs of failed tasks, which are marked propagated (and not valid) when
+ * the task is committed.  Outputs of intermediate phases are never marked
+ * valid.
+ */
+exports.wqCountPhaseInputsRead = {
+    'name': 'count phase nInputsRead',
+    'bucket': 'taskoutput',
+    'countonly': true,
+    'query': function (jobid, phasei) {
+	/* Work around MANTA-1065. */
+	return (sprintf('(&(jobId=%s)(phaseNum=%d)(timePropagated=*)' +
+	    '(!(|(valid=false)(valid=FALSE))))', jobid, phasei - 1));
+    }
+};
+
+exports.wqCountPhaseTasksDispatched = {
+    'name': 'count phase nTasksDispatched',
+    'bucket': 'task',
+    'countonly': true,
+    'query': function (jobid, phasei) {
+	return (sprintf('(&(jobId=%s)(phaseNum=%d))', jobid, phasei));
+    }
+};
+
+exports.wqCountPhaseTasksCommittedOk = {
+    'name': 'count phase nTasksCommittedOk',
+    'bucket': 'task',
+    'countonly': true,
+    'query': function (jobid, phasei) {
+	return (sprintf('(&(jobId=%s)(phaseNum=%d)(timeCommitted=*)' +
+	    '(result=ok))', jobid, phasei));
+    }
+};
+
+exports.wqCountPhaseTasksCommittedFail = {
+    'name': 'count phase nTasksCommittedFail',
+    'bucket': 'task',
+    'countonly': true,
+    'query': function (jobid, phasei) {
+	return (sprintf('(&(jobId=%s)(phaseNum=%d)(timeCommitted=*)' +
+	    '(!(result=ok)))', jobid, phasei));
+    }
+};
+
+exports.wqCountPhaseRetries = {
+    'name': 'count phase nRetries',
+    'bucket': 'error',
+    'countonly': true,
+    'query': function (jobid, phasei) {
+	/* Work around MANTA-1065. */
+	return (sprintf('(&(jobId=%s)(phaseNum=%d)' +
+	    '(|(retried=true)(retried=TRUE))(!(superseded=*))' +
+	    '(!(quarantined=*)))',
+	    jobid, phasei));
+    }
+};
+
+exports.wqCountPhaseOutputs = {
+    'name': 'count phase nOutputs',
+    'bucket': 'taskoutput',
+    'countonly': true,
+    'query': function (jobid, phasei) {
+	/* See wqCountPhaseInputsRead.  Work around MANTA-1065. */
+	return (sprintf('(&(jobId=%s)(phaseNum=%d)(timeCommitted=*)' +
+	    '(!(|(valid=false)(valid=FALSE))))', jobid, phasei));
+    }
+};
+
 exports.wqJobTasksReduce = {
     'name': 'reduce tasks',
     'bucket': 'task',
@@ -396,6 +496,59 @@ exports.wqJobTasksReduce = {
     }
 };
 
+exports.wqJobTasksSpeculative = {
+    'name': 'speculative tasks',
+    'bucket': 'task',
+    'query': function (jobid) {
+	return (sprintf('(&(jobId=%s)(speculativeOf=*)(!(timeCommitted=*)))',
+	    jobid));
+    }
+};
+
+/*
+ * Per-job queries for jobs that depend on an upstream job.  See "JOB
+ * DEPENDENCIES" in lib/worker/worker.js.
+ */
+
+exports.wqJobUpstream = {
+    'name': 'upstream job',
+    'bucket': 'job',
+    'query': function (upstream) {
+	return (sprintf('(jobId=%s)', upstream));
+    }
+};
+
+exports.wqJobUpstreamOutputs = {
+    'name': 'upstream job outputs',
+    'bucket': 'taskoutput',
+    'options': function (conf) {
+	/* onRecordUpstreamOutput relies on _id order. */
+	return ({
+	    'timePoll': conf['tunables']['timeUpstreamPoll'],
+	    'limit': conf['tunables']['maxRecordsPerQuery'],
+	    'sort': { 'attribute': '_id', 'order': 'ASC' }
+	});
+    },
+    'query': function (upstream, phasei, next) {
+	return (sprintf('(&(jobId=%s)(phaseNum=%d)(_id>=%d))',
+	    upstream, phasei, next));
+    },
+    'recheck': function (upstream, phasei, ids) {
+	return (sprintf('(&(jobId=%s)(phaseNum=%d)(|%s))', upstream, phasei,
+	    ids.map(function (id) {
+		return (sprintf('(_id=%s)', id));
+	    }).join('')));
+    }
+};
+
+exports.wqTaskErrorsByCode = {
+    'name': 'task errors by code',
+    'bucket': 'error',
+    'query': function (taskid, code) {
+	return (sprintf('(&(taskId=%s)(errorCode=%s))', taskid, code));
+    }
+};
+
 exports.wqCountReduceTaskInputs = {
     'name': 'count taskinputs',
     'bucket': 'taskinput',
@@ -54,7 +54,11 @@ module.exports = {
 	},
 	'locator': {
 	    'type': 'string',
-	    'enum': [ 'manta' ]
+	    'enum': [ 'manta', 'static' ]
+	},
+	'locatorFile': {
+	    'type': 'string',
+	    'minLength': 1
 	},
 	'buckets': {
 	    'required': true,
@@ -70,24 +74,59 @@ module.exports = {
 		'taskoutput': mod_schema.sStringRequiredNonEmpty
 	    }
 	},
+	'notify': {
+	    'type': 'object',
+	    'properties': {
+		'allowedHosts': {
+		    'required': true,
+		    'type': 'array',
+		    'items': mod_schema.sStringRequiredNonEmpty
+		}
+	    }
+	},
 	'tunables': {
 	    'required': true,
 	    'type': 'object',
 	    'properties': {
+		'agentAvoidMinTasks': mod_schema.sIntervalRequired,
+		'maxDirectoryInputs': mod_schema.sIntervalRequired,
+		'maxLocateCacheSize': mod_schema.sIntervalRequired,
+		'maxNotifyAttempts': mod_schema.sIntervalRequired,
 		'maxPendingAuths': mod_schema.sIntervalRequired,
 		'maxPendingDeletes': mod_schema.sIntervalRequired,
 		'maxPendingLocates': mod_schema.sIntervalRequired,
 		'maxPendingPuts': mod_schema.sIntervalRequired,
 		'maxRecordsPerQuery': mod_schema.sIntervalRequired,
 		'maxTaskRetries': mod_schema.sIntervalRequired,
+		'maxTasksPerAccount': mod_schema.sIntervalRequired,
+		'quarantineAgents': mod_schema.sIntervalRequired,
+		'randomSharkSelection': {
+		    'type': 'boolean',
+		    'required': true
+		},
+		'retryTaskTimeouts': {
+		    'type': 'boolean',
+		    'required': true
+		},
+		'speculateFactor': mod_schema.sNonNegativeNumberRequired,
+		'timeAgentAvoid': mod_schema.sIntervalRequired,
+		'timeAgentFailureWindow': mod_schema.sIntervalRequired,
 		'timeAgentPoll': mod_schema.sIntervalRequired,
 		'timeAgentTimeout': mod_schema.sIntervalRequired,
 		'timeHeartbeat': mod_schema.sIntervalRequired,
 		'timeJobIdleClose': mod_schema.sIntervalRequired,
 		'timeJobSave': mod_schema.sIntervalRequired,
+		'timeLocateCacheTtl': mod_schema.sIntervalRequired,
+		'timeMapBatch': mod_schema.sIntervalRequired,
 		'timeMarkInputs': mod_schema.sIntervalRequired,
+		'timeNotifyRetry': mod_schema.sIntervalRequired,
+		'timeNotifyTimeout': mod_schema.sIntervalRequired,
 		'timePoll': mod_schema.sIntervalRequired,
+		'timeQuotaPoll': mod_schema.sIntervalRequired,
+		'timeSpeculateMin': mod_schema.sIntervalRequired,
+		'timeSpeculatePoll': mod_schema.sIntervalRequired,
 		'timeTick': mod_schema.sIntervalRequired,
+		'timeUpstreamPoll': mod_schema.sIntervalRequired,
 		'timeWorkerAbandon': mod_schema.sIntervalRequired,
 		'timeWorkerPoll': mod_schema.sIntervalRequired
 	    }
@@ -144,6 +144,210 @@
  * forgets about the task.
  *
  *
+ * SPECULATIVE EXECUTION
+ *
+ * A single slow or overloaded compute node can hold up completion of an entire
+ * map phase.  If the "speculateFactor" tunable is non-zero, then every
+ * "timeSpeculatePoll" milliseconds, the supervisor looks for map tasks that
+ * have been outstanding for more than "speculateFactor" times the median time
+ * of recently committed tasks in the same phase (and for at least
+ * "timeSpeculateMin" milliseconds).  For each such straggler, it dispatches a
+ * duplicate task to a different agent holding a copy of the same object.  The
+ * duplicate's "speculativeOf" field refers to the original task.
+ *
+ * Whichever task of the pair is committed first wins: it's committed as usual
+ * (including any retry), and in the same transaction, its twin is cancelled.
+ * When the twin is later committed, it's committed as "superseded": its
+ * outputs are never committed, and its error (if any) is marked both retried
+ * and "superseded" so that it counts neither as an error nor as a retry (see
+ * taskCommitSuperseded).  Only map tasks are speculated, and each only once.
+ * The set of outstanding tasks is only tracked in memory, so tasks dispatched
+ * before a supervisor restart are never speculated, but pairs of tasks that
+ * have already been dispatched are reloaded with the job.
+ *
+ *
+ * BATCHED MAP TASKS
+ *
+ * Jobs over many small objects spend much of their time on per-task overhead.
+ * Map phases may specify "batchSize", in which case the supervisor holds each
+ * located input in a per-agent batch instead of writing a task for it right
+ * away.  When a batch reaches "batchSize" inputs, or its first input has waited
+ * "timeMapBatch" milliseconds, the supervisor writes a single task for all of
+ * them.  Besides the usual input fields (which describe the first input), the
+ * task's "inputs" array describes each input.  The agent runs the phase's exec
+ * once per input, one after another in the same zone, and writes a separate
+ * error for each input that fails.  The task itself only fails if the whole
+ * task fails (e.g., because it was killed or its agent went away), in which
+ * case all of its inputs are considered failed.  If the job's retry policy
+ * says to retry such a failure, each of the task's inputs is retried as its own
+ * task, one input per poll, and the batched task is only marked retried once
+ * all of them have been (see taskRetryMap).  Batched tasks are never
+ * speculated.
+ *
+ * While a dispatch waits in a batch, we release its subscription barrier (as
+ * for held dispatches; see dispHold), so that a partial batch for one job
+ * doesn't slow down polling for every other job in the domain, and so that a
+ * batch can collect inputs from more than one poll.  Subsequent polls may
+ * return the dispatch's record again, so callers check dispIsHeld (which also
+ * covers batched dispatches) before creating a new dispatch.  A poll that's
+ * already in flight when the batch is written out may still return the record
+ * from before it was marked propagated.  We don't try to detect that: the
+ * second dispatch's write fails on the origin record's etag, so no duplicate
+ * task is written.
+ *
+ *
+ * JOB DEPENDENCIES
+ *
+ * A job may name an "upstreamJob" owned by the same user, in which case the
+ * supervisor feeds it the upstream job's final outputs instead of waiting for
+ * the user to add inputs.  Every "timeUpstreamPoll" milliseconds, the
+ * supervisor fetches the upstream job's record.  While the upstream job is
+ * running, the supervisor also polls for taskoutputs from its last phase and
+ * writes a jobinput for each valid one.  Each jobinput's key is derived from
+ * the taskoutput's key and is written only if it doesn't already exist, so it's
+ * harmless to propagate the same output more than once (as happens after a
+ * supervisor restart).  To avoid rescanning all outputs on each poll, we read
+ * them in _id order and only ask for those past the last one we've read.
+ * Outputs that haven't been committed yet ("unsettled") may yet become valid,
+ * so we remember their _ids, and whenever a poll reaches the last output, the
+ * next poll rechecks up to mwUpstreamRecheck of the unsettled ones instead.
+ * That way, a slow upstream task doesn't hold up propagating outputs after
+ * its own, and we only keep track of outputs that are still unsettled.
+ *
+ * Once the upstream job is done, we make one more pass over its outputs and
+ * then end this job's input.  If the upstream job completed with errors, we
+ * report an UpstreamJobError, but the job continues with whatever outputs the
+ * upstream job produced.  If the upstream job doesn't exist (or belongs to
+ * another user) or is cancelled, we cancel this job with an UpstreamJobError.
+ *
+ *
+ * DIRECTORY INPUTS
+ *
+ * Inputs normally name objects, and an input that names a directory fails with
+ * an InvalidArgumentError.  Jobs may instead set "expandDirectories", in which
+ * case the supervisor lists each directory input (recursively, using the job's
+ * own credentials) once it has been authorized and located, and replaces it
+ * with a new jobinput for each object found.  The new jobinputs go through the
+ * dispatch pipeline like any others, including the access checks.  If the
+ * directory contains more than "maxDirectoryInputs" objects, we stop listing
+ * it, write nothing, and emit an error for the directory instead.  Otherwise,
+ * the new jobinputs are written in bounded batches, after which the directory's
+ * jobinput is marked propagated.  Their keys are derived from the directory's
+ * jobinput and they're only written if they don't already exist, so expanding
+ * the same directory again (because a batch failed, or because another
+ * supervisor picked up the job part way through) leaves the jobinputs written
+ * the first time alone, including any that have since been processed.  Failed
+ * batches are retried with backoff, and if they keep failing, we emit an error
+ * for the directory that says how many of its objects were added.
+ *
+ * Because the new jobinputs may be written after the user ends the job's input,
+ * we don't consider the job's input fully read until no phase-0 inputs are
+ * being dispatched (see jobInputFence).
+ *
+ *
+ * DRY RUNS
+ *
+ * Jobs may set "dryRun", in which case the supervisor authorizes and locates
+ * each input as usual, but instead of dispatching it, it records what it would
+ * have done in the job record's "dryRunSummary": the number of map tasks that
+ * would have been dispatched to each agent, the number of inputs that would
+ * have gone to the job's reducers (which are never written), the number of
+ * directories found, and the number of errors of each kind.  The errors
+ * themselves are emitted as usual.  Each input is then marked propagated,
+ * so the job completes once its input has been ended and all of its inputs
+ * have been processed.  The summary is only updated in memory and saved with
+ * the rest of the job record, so inputs processed just before the job is
+ * reassigned to another supervisor may be missing from it.
+ *
+ *
+ * PAUSED JOBS
+ *
+ * Users may pause a job by setting "timePaused" on the job record, and resume
+ * it by removing that field.  When we notice either change, we acknowledge it
+ * by setting or removing "timePausedRead".  While a job is paused, we stop
+ * reading its jobinputs and taskoutputs (see queryExcludeHeld), but we keep
+ * committing its tasks and saving the job record periodically as usual.  Map
+ * and reduce dispatches that were already in progress, including pending
+ * batches of map inputs, are held in w_dispatch (see "Dispatch pipeline"
+ * below) instead of being written out.  We also don't speculate on its tasks
+ * or write its reduce tasks, and the job can't complete until those have been
+ * written.  Tasks that were already dispatched run to completion.  When the job
+ * is resumed, we release whatever we were holding and resume reading its
+ * inputs.  Only the user changes "timePaused", so when we save the job record,
+ * we always keep the value that's already in Moray.
+ *
+ *
+ * JOB PROGRESS
+ *
+ * Whenever we save a running job's record, we also update its "progress" with
+ * an estimate for each phase.  A phase's "fraction" is the fraction of its
+ * known work that's been committed, where its known work includes its tasks
+ * dispatched so far and, for map phases, the inputs we've read but not yet
+ * dispatched tasks for (including the previous phase's outputs that we haven't
+ * propagated yet).  Until a phase's input has been fully read (i.e., for phase
+ * 0, until we've read the end of the job's input, and for later phases, until
+ * the previous phase is complete), we don't know how much more work is coming,
+ * so we assume there's at least one more input, and we never report it as
+ * further along than the previous phase.  Its "timeEstimatedDone" is derived
+ * from the tasks committed since this supervisor took the job: from their mean
+ * duration (from dispatch to commit) and their total duration over the time
+ * elapsed since the first of them was dispatched (i.e., how many tasks we've
+ * observed running in parallel), we estimate how long the phase's remaining
+ * known work will take.  Until a phase's input has been fully read, this is
+ * only a lower bound.  Phases with no remaining known work or no committed
+ * tasks have no estimate.  Once the job is done, every phase is complete, with
+ * no estimate.
+ *
+ *
+ * QUARANTINED INPUTS
+ *
+ * Some inputs reliably cause every task that processes them to fail in ways
+ * that aren't the user's fault (e.g., by getting them killed), and retrying
+ * them just burns zone resets.  When a map task is retried, the new task's
+ * "failures" array records the agent and error code of each failed attempt so
+ * far.  When a phase-0 map task fails with the same error code as previous
+ * attempts on at least "quarantineAgents" different agents, we stop retrying
+ * it.  Instead, we mark its error (if any) retried and "quarantined" and write
+ * a single error with code QuarantinedError that lists the agents involved.
+ * Like superseded errors (see above), quarantined ones count neither as errors
+ * nor as retries, since the QuarantinedError stands for them.  (If the input
+ * only ever fails on one agent, that's more likely a bad node than a bad
+ * object.)  A value of 0 for the tunable, which is the default, disables
+ * quarantine.
+ *
+ *
+ * JOB NOTIFICATIONS
+ *
+ * Jobs may specify a "notify" policy (see sJobNotify) naming a URL to be
+ * notified of the job's state transitions: when we take the job ("assigned"),
+ * when we read the end of its input ("inputDone"), when we notice it's been
+ * cancelled ("cancelled"), when it completes ("done"), and optionally each time
+ * "errorInterval" more errors have been emitted ("errors").  Each notification
+ * is a JSON object POSTed to the URL, signed with an HMAC-SHA256 of the body
+ * (keyed by the job's "secret") in the "x-marlin-signature" header.  Events are
+ * queued on the job and delivered one at a time, in order, in the background,
+ * so a slow or broken endpoint never blocks jobTick.  A failed delivery is
+ * retried after "timeNotifyRetry" milliseconds, doubling each time, until it's
+ * been attempted "maxNotifyAttempts" times, after which we give up on it.
+ * Since each notification includes the job's current stats, a newly queued
+ * "errors" or "done" notification replaces any "errors" notifications still
+ * waiting behind the one being delivered, and we never queue more than
+ * mwNotifyQueueMax of them (dropping the oldest ones waiting).  We record
+ * delivery status on the job record as "notifyStatus".  Once a job is
+ * done, we hold onto it until its queue has drained and that status has been
+ * saved.  Notifications are best-effort: events still queued when the job is
+ * reassigned to another supervisor are lost.
+ *
+ * Since the URL is user-supplied and we POST to it from inside the Manta
+ * network, we only deliver notifications to hosts that the operator has allowed
+ * with the "notify.allowedHosts" configuration property (see
+ * notifyHostAllowed).  Without it, notifications are never delivered.  We also
+ * resolve the URL's hostname ourselves and refuse to connect to loopback,
+ * private, link-local, or other non-public addresses (see isPublicAddress).  We
+ * then connect to the address we checked rather than resolving the name again.
+ * Either failure is treated like any other failed delivery.
+ *
+ *
  * REDUCE TASKS
  *
  * The above example explained how basic map jobs work, but reduce tasks are
@@ -155,11 +359,19 @@
  * The differences between reduce tasks and map tasks are:
  *
  * (1) For each reduce task in the entire job, a "task" record is written out
- *     for a randomly selected agent when the job is first initialized.  The
- *     agent may start executing the reduce task immediately (though in practice
- *     should wait until there's at least one input object ready).  The
- *     execution will continue (blocking if necessary) until the task's
- *     inputDone is true and all inputs have been read.
+ *     shortly after the job is first initialized: once mwReduceLocateMin of
+ *     the job's phase-0 inputs have been located, once mwReduceLocateWindow
+ *     milliseconds have passed since the first of them was located, or when
+ *     the job's input has been fully read, whichever comes first.  Each reduce
+ *     task is assigned to an agent selected at random, weighted by the number
+ *     of phase-0 inputs located on each agent so far.  When a reduce task is
+ *     retried, the agent is selected the same way, but weighted by the
+ *     locations of the inputs that have been dispatched to that reducer
+ *     instead (if any).  See reduceSelectAgent.  The agent may start
+ *     executing the reduce task immediately (though in practice should wait
+ *     until there's at least one input object ready).  The execution will
+ *     continue (blocking if necessary) until the task's inputDone is true and
+ *     all inputs have been read.
  *
  * (2) Instead of dispatching a "task" for each input object, the supervisor
  *     dispatches a "taskinput" record.  When the agent sees it, instead of
@@ -175,9 +387,14 @@
  */
 
 var mod_assert = require('assert');
+var mod_crypto = require('crypto');
+var mod_dns = require('dns');
 var mod_extsprintf = require('extsprintf');
 var mod_fs = require('fs');
+var mod_http = require('http');
+var mod_https = require('https');
 var mod_path = require('path');
+var mod_url = require('url');
 
 var mod_apertureConfig = require('aperture-config');
 var mod_jsprim = require('jsprim');
@@ -205,8 +422,67 @@ var wQueries = require('./queries');
 var ANONYMOUS = mod_libmanta.ANONYMOUS_USER;
 mod_assert.equal('string', typeof (ANONYMOUS));
 
+/*
+ * For speculative execution, we keep the times of this many recently committed
+ * tasks in each phase, and we don't speculate until we've seen a minimum
+ * number of them.
+ */
+var mwSpeculateSamples = 100;
+var mwSpeculateMinSamples = 10;
+
+/*
+ * Maximum number of unsettled upstream outputs to recheck in one poll (see
+ * "JOB DEPENDENCIES" above).
+ */
+var mwUpstreamRecheck = 100;
+
+/*
+ * Maximum number of held jobs to leave out of each poll for new jobinputs and
+ * taskoutputs (see queryExcludeHeld).
+ */
+var mwHeldExcludeMax = 50;
+
+/*
+ * We place a job's reduce tasks near its phase-0 inputs, so we wait until we've
+ * located this many of them, or until this many milliseconds after we've
+ * located the first one, before writing out its reduce tasks (see
+ * jobReducersReady).
+ */
+var mwReduceLocateMin = 100;
+var mwReduceLocateWindow = 5000;
+
+/*
+ * Maximum number of undelivered notifications queued for each job (see "JOB
+ * NOTIFICATIONS" above).
+ */
+var mwNotifyQueueMax = 10;
+
+/*
+ * When expanding a directory input, we write the new jobinputs in batches of at
+ * most this many records.  A failed batch is retried after mwExpandRetryMin
+ * milliseconds, doubling each time, until it's been attempted
+ * mwExpandMaxAttempts times.
+ */
+var mwExpandBatchSize = 100;
+var mwExpandRetryMin = 1000;
+var mwExpandMaxAttempts = 5;
+
 /* jsl:import ../../../common/lib/errors.js */
-require('../errors');
+var mod_errors = require('../errors');
+
+mod_errors.errorCodesCheck(__filename);
+
+/*
+ * For misbehaving agent avoidance, these are the error codes that we attribute
+ * to the agent rather than the user, the most recent task results we keep for
+ * each agent, and how bad an agent's failure rate must be (both absolutely and
+ * relative to all other agents) for us to avoid it.  See "Agent health
+ * management" below.
+ */
+var mwAgentFaultCodes = [ EM_INTERNAL, EM_SERVICEUNAVAILABLE, EM_TASKKILLED ];
+var mwAgentMaxResults = 1000;
+var mwAgentAvoidRate = 0.5;
+var mwAgentAvoidFactor = 4;
 
 /* Public interface */
 exports.mwConfSchema = mwConfSchema;
@@ -226,6 +502,7 @@ function JobState(args)
 {
 	var j = args['record']['value'];
 	var tunables = args['conf']['tunables'];
+	var retry = j['retry'] || {};
 
 	this.j_job = j;				/* in-moray job record */
 	this.j_id = j['jobId'];			/* immutable job id */
@@ -236,10 +513,60 @@ function JobState(args)
 	this.j_state_time = new Date();		/* time of last state change */
 	this.j_dropped = undefined;		/* time the job was dropped */
 	this.j_input_fully_read = false;	/* all inputs have been read */
+	this.j_input_deferred = false;		/* see jobInputFence */
 	this.j_cancelled = j['timeCancelled'];	/* time job was cancelled */
+	this.j_paused = j['timePaused'];	/* time job was paused */
+
+	/* priority class, as an index into sJobPriorities (see dispEnqueue) */
+	this.j_priority = mod_schema.sJobPriorities.indexOf(
+	    j['priority'] || mod_schema.sJobPriorityDefault);
+
+	/* time after which the job should be cancelled (see jobTimeout) */
+	this.j_deadline = j['timeout'] === undefined ? undefined :
+	    Date.parse(j['timeCreated']) + j['timeout'] * 1000;
+
+	/* upstream job state (see "JOB DEPENDENCIES" above) */
+	this.j_upstream = j['upstreamJob'];	/* upstream job id */
+	this.j_upstream_job = undefined;	/* last upstream job record */
+	this.j_upstream_poll = new Throttler(tunables['timeUpstreamPoll']);
+	this.j_upstream_sid = undefined;	/* upstream outputs query */
+	this.j_upstream_next = 0;		/* next _id to read */
+	this.j_upstream_unsettled = {};		/* unsettled outputs, by _id */
+	this.j_upstream_recheck = false;	/* polling unsettled outputs */
+	this.j_upstream_nread = 0;		/* outputs read by this poll */
+	this.j_upstream_nputs = 0;		/* nr of jobinputs written */
+	this.j_upstream_ending = false;		/* upstream job is done */
+
+	/* task retry policy, with defaults filled in (see taskWantRetry) */
+	this.j_retry = {
+	    'maxAttempts': retry['maxAttempts'] !== undefined ?
+		retry['maxAttempts'] : tunables['maxTaskRetries'] + 1,
+	    'retryableErrors': undefined,
+	    'minDelay': retry['minDelay'] || 0
+	};
+
+	if (retry['retryableErrors'] !== undefined) {
+		this.j_retry['retryableErrors'] =
+		    retry['retryableErrors'].slice(0);
+	} else {
+		this.j_retry['retryableErrors'] = mod_errors.errorsRetryable();
+		if (tunables['retryTaskTimeouts'] &&
+		    this.j_retry['retryableErrors'].indexOf(
+		    EM_TASKTIMEOUT) == -1)
+			this.j_retry['retryableErrors'].push(EM_TASKTIMEOUT);
+	}
+
+	/* phase-0 inputs located on each agent (see reduceSelectAgent) */
+	this.j_locality = {};
+	this.j_reduce_deferred = false;		/* reducer dispatch deferred */
+	this.j_nlocated = 0;			/* phase-0 inputs located */
+	this.j_located_first = undefined;	/* time of first locate */
 
 	this.j_nlocates = 0;			/* nr of pending locates */
 	this.j_nauths = 0;			/* nr of pending auths */
+	this.j_nheld = 0;			/* nr of held dispatches */
+	this.j_inputs_held = false;		/* skipped by last input poll */
+	this.j_quota_poll = new Throttler(tunables['timeQuotaPoll']);
 	this.j_ndeletes = 0;			/* nr of records to delete */
 	this.j_ndelslop = 0;			/* nr of possibly outstanding */
 						/* deletes */
@@ -274,6 +601,14 @@ function JobState(args)
 	this.j_abandons_pending = {};	/* agent instance -> timestamp */
 	this.j_abandons_wanted = {};	/* agent instance -> timestamp */
 	this.j_abandonall_pending = {};	/* agent instance -> timestamp */
+
+	/* see "JOB NOTIFICATIONS" above */
+	this.j_notify = j['notify'];		/* notification policy */
+	this.j_notify_queue = [];		/* undelivered notifications */
+	this.j_notify_pending = false;		/* delivery in progress */
+	this.j_notify_attempts = 0;		/* nr of failed attempts */
+	this.j_notify_next = 0;			/* time of next attempt */
+	this.j_notify_nerrors = undefined;	/* last "errors" interval */
 }
 
 JobState.prototype.debugState = function ()
@@ -281,18 +616,40 @@ JobState.prototype.debugState = function ()
 	var record = mod_jsprim.deepCopy(this.j_job);
 	delete (record['auth']['token']);
 	delete (record['authToken']);
+	if (record['notify'])
+		delete (record['notify']['secret']);
 	return ({
 	    'record': record,
 	    'state': this.j_state,
 	    'state_time': this.j_state_time,
 	    'dropped': this.j_dropped,
 	    'input_fully_read': this.j_input_fully_read,
+	    'input_deferred': this.j_input_deferred,
 	    'cancelled': this.j_cancelled,
+	    'paused': this.j_paused,
+	    'priority': this.j_priority,
+	    'deadline': this.j_deadline,
+	    'retry': this.j_retry,
+	    'upstream': this.j_upstream,
+	    'upstream_next': this.j_upstream_next,
+	    'upstream_nunsettled':
+		Object.keys(this.j_upstream_unsettled).length,
+	    'upstream_nputs': this.j_upstream_nputs,
+	    'upstream_ending': this.j_upstream_ending,
+	    'locality': this.j_locality,
+	    'reduce_deferred': this.j_reduce_deferred,
+	    'nlocated': this.j_nlocated,
 	    'phases': this.j_phases,
 	    'save_throttle': this.j_save_throttle,
 	    'save_gen': this.j_save,
 	    'nlocates': this.j_nlocates,
-	    'nauths': this.j_nauths
+	    'nauths': this.j_nauths,
+	    'nheld': this.j_nheld,
+	    'inputs_held': this.j_inputs_held,
+	    'notify_queue': this.j_notify_queue.map(
+		function (n) { return (n['event']); }),
+	    'notify_pending': this.j_notify_pending,
+	    'notify_attempts': this.j_notify_attempts
 	});
 };
 
@@ -317,16 +674,39 @@ function JobPhase(phase)
 						/* taskinputs marked for */
 						/* retry */
 
+	/* see "Speculative execution" above */
+	this.p_outstanding = {};		/* outstanding map tasks */
+	this.p_speculated = {};			/* speculative task pairs, */
+						/* by id of either task */
+	this.p_times = [];			/* recent task times (ms) */
+
+	/* per-phase counters (in job record) */
+	this.p_stats = undefined;
+
+	/* see "Job progress" above */
+	this.p_ntimed = 0;			/* nr of tasks timed */
+	this.p_time_busy = 0;			/* their total time (ms) */
+	this.p_time_first = undefined;		/* first dispatch time */
+
+	/* see "Batched map tasks" above */
+	this.p_batchsize = this.p_type != 'reduce' &&
+	    phase.hasOwnProperty('batchSize') ? phase['batchSize'] : 1;
 
 	if (this.p_type != 'reduce')
 		return;
 
+	/* see "maxTasksPerAccount" in "Dispatch pipeline" below */
+	this.p_ntiunread = 0;			/* nr of unread taskinputs */
+	this.p_ntidispatched = 0;		/* nr of taskinputs issued */
+
 	this.p_reducers = new Array(
 	    phase.hasOwnProperty('count') ? phase['count'] : 1);
 
 	for (var i = 0; i < this.p_reducers.length; i++) {
 		this.p_reducers[i] = {
-		    'r_task': undefined		/* task record */
+		    'r_task': undefined,	/* task record */
+		    'r_failed': false,		/* failed to dispatch task */
+		    'r_locality': {}		/* inputs on each agent */
 		};
 	}
 }
@@ -357,6 +737,10 @@ function AgentState(record)
 	this.a_record = record;
 	this.a_timedout = false;
 	this.a_warning = false;
+	this.a_ndispatched = 0;		/* map tasks since last heartbeat */
+	this.a_results = [];		/* recent task results */
+	this.a_avoid_until = undefined;	/* time to stop avoiding agent */
+	this.a_avoid_code = undefined;	/* error code we're avoiding for */
 }
 
 /*
@@ -406,10 +790,18 @@ function Worker(args)
 	this.w_uuid = conf['instanceUuid'];
 	this.w_conf = mod_jsprim.deepCopy(conf);
 	this.w_buckets = this.w_conf['buckets'];
-	this.w_max_retries = conf['tunables']['maxTaskRetries'];
 	this.w_max_pending_locates = conf['tunables']['maxPendingLocates'];
 	this.w_max_pending_auths = conf['tunables']['maxPendingAuths'];
 	this.w_max_pending_deletes = conf['tunables']['maxPendingDeletes'];
+	this.w_max_account_tasks = conf['tunables']['maxTasksPerAccount'];
+	this.w_notify_hosts = conf['notify'] ?
+	    conf['notify']['allowedHosts'] : [];
+	this.w_spec_factor = conf['tunables']['speculateFactor'];
+	this.w_spec_min = conf['tunables']['timeSpeculateMin'];
+	this.w_spec_throttle = new Throttler(
+	    conf['tunables']['timeSpeculatePoll']);
+	this.w_random_shark = conf['tunables']['randomSharkSelection'];
+	this.w_batch_time = conf['tunables']['timeMapBatch'];
 	this.w_time_tick = conf['tunables']['timeTick'];
 	this.w_names = {};
 	this.w_storage_map = {};
@@ -428,15 +820,11 @@ function Worker(args)
 	});
 
 	/*
-	 * We sort query results by oldest first to avoid starving out small
-	 * jobs when large ones are overwhelming us (i.e., generating more
-	 * records per poll than we can handle).
+	 * These options deliberately don't specify a "sort": the order in which
+	 * most queries return results doesn't matter, and sorting them would
+	 * change how Moray executes every one of them.
 	 */
 	this.w_bus_options = {
-	    'sort': {
-	        'attribute': '_mtime',
-		'order': 'ASC'
-	    },
 	    'limit': conf['tunables']['maxRecordsPerQuery'],
 	    'timePoll': conf['tunables']['timePoll']
 	};
@@ -513,7 +901,15 @@ function Worker(args)
 	this.w_tick_done = undefined;		/* time last tick finished */
 	this.w_stats = {			/* stat counters */
 	    'asgn_failed': 0,			/* failed job assignments */
-	    'asgn_restart': 0			/* jobs picked up on restart */
+	    'asgn_restart': 0,			/* jobs picked up on restart */
+	    'disp_held': 0,			/* dispatches held for quota */
+	    'agents_avoided': 0,		/* misbehaving agents avoided */
+	    'notify_ok': 0,			/* notifications delivered */
+	    'notify_failed': 0,			/* notifications given up on */
+	    'notify_dropped': 0,		/* notifications not queued */
+	    'spec_issued': 0,			/* speculative tasks issued */
+	    'spec_won': 0,			/* speculative tasks that won */
+	    'spec_errors': 0			/* errors from losing tasks */
 	};
 
 	/*
@@ -523,6 +919,12 @@ function Worker(args)
 	this.w_auths_in = [];		/* incoming "auth" dispatches */
 	this.w_locates_out = [];	/* outgoing "locate" dispatches */
 	this.w_locates_in = [];		/* incoming "locate" dispatches */
+	this.w_dispatch = {};		/* held dispatches, by owner */
+	this.w_dispatch_held = {};	/* held dispatches, by id */
+	this.w_dispatch_release = {};	/* owners to try releasing */
+	this.w_account_tasks = {};	/* outstanding tasks, by owner */
+	this.w_batches = {};		/* pending batches of map dispatches */
+	this.w_batched = {};		/* batched dispatches, by id */
 
 	/*
 	 * To avoid issuing concurrent requests for the same information, we
@@ -565,12 +967,19 @@ Worker.prototype.debugState = function ()
 	    'tTickStart': this.w_tick_start,
 	    'tTickDone': this.w_tick_done,
 	    'agents': Object.keys(this.w_agents),
+	    'agentsAvoided': this.agentsAvoided(),
 	    'workers': Object.keys(this.w_allworkers),
 	    'quiesced': this.quiesced(),
 	    'nAuthsIn': this.w_auths_in.length,
 	    'nAuthsOut': this.w_auths_out.length,
 	    'nLocIn': this.w_locates_in.length,
-	    'nLocOut': this.w_locates_out.length
+	    'nLocOut': this.w_locates_out.length,
+	    'nDispHeld': this.dispHeldCount(),
+	    'maxTasksPerAccount': this.w_max_account_tasks,
+	    'speculateFactor': this.w_spec_factor,
+	    'randomSharkSelection': this.w_random_shark,
+	    'nMapBatches': Object.keys(this.w_batches).length,
+	    'nMapBatched': Object.keys(this.w_batched).length
 	});
 };
 
@@ -745,6 +1154,7 @@ Worker.prototype.domainStart = function (domainid)
 		var queries = [
 		    wQueries.wqJobsCancelled,
 		    wQueries.wqJobsInputEnded,
+		    wQueries.wqJobsPauseChanged,
 		    wQueries.wqJobInputs,
 		    wQueries.wqJobTasksDone,
 		    wQueries.wqJobTasksNeedingOutputsMarked,
@@ -765,11 +1175,15 @@ Worker.prototype.domainStart = function (domainid)
 			var options = queryconf['options'] ?
 			    queryconf['options'](worker.w_conf) :
 			    worker.w_bus_options;
+			var query = queryconf['query'].bind(null,
+			    worker.w_conf, domainid);
+			if (queryconf['excludeHeld'])
+				query = worker.queryExcludeHeld.bind(worker,
+				    domainid, queryconf['name'], query);
 			var sid =
 			    worker.w_bus.subscribe(
 			    worker.w_buckets[queryconf['bucket']],
-			    queryconf['query'].bind(null, worker.w_conf,
-			    domainid), options, worker.onRecord.bind(worker));
+			    query, options, worker.onRecord.bind(worker));
 			worker.w_ourdomains[domainid][queryconf['name']] = sid;
 			if (worker.w_task_handlers.hasOwnProperty(
 			    queryconf['name']))
@@ -810,6 +1224,48 @@ Worker.prototype.domainStop = function (domainid)
 	});
 };
 
+/*
+ * Wraps the filter returned by "query" (for a per-domain periodic query named
+ * "name") to leave out records for jobs in domain "domainid" whose dispatches
+ * must be held for now (see jobMustHold).  We don't read new inputs for these
+ * jobs at all: there's nothing we can do with them yet, and re-reading them on
+ * every poll would only pile up more held dispatches.  We note whether a job's
+ * inputs were left out of the last poll so that we don't conclude that we've
+ * read all of them (see jobInputFence).
+ *
+ * Each such job adds a clause to the filter, so we leave out at most
+ * mwHeldExcludeMax jobs.  We read the inputs of any other held jobs as usual,
+ * and their dispatches are held as they would have been had we not left any
+ * jobs out.  A poll returns the same unpropagated records until they're
+ * released, and we ignore the ones we're already holding, so this holds at
+ * most about a poll's worth of records for each subscription.
+ */
+Worker.prototype.queryExcludeHeld = function (domainid, name, query, now)
+{
+	var worker = this;
+	var filter = query(now);
+	var excluded = [];
+
+	mod_jsprim.forEachKey(this.w_jobs, function (jobid, job) {
+		var held;
+
+		if (job.j_job['worker'] != domainid)
+			return;
+
+		held = excluded.length < mwHeldExcludeMax &&
+		    worker.jobMustHold(job);
+		if (name == wQueries.wqJobInputs['name'])
+			job.j_inputs_held = held;
+		if (held)
+			excluded.push(sprintf('(!(jobId=%s))', jobid));
+	});
+
+	if (excluded.length === 0)
+		return (filter);
+
+	return ('(&' + filter + excluded.join('') + ')');
+};
+
 Worker.prototype.domainTakeover = function (domainid, barrier, barrierid)
 {
 	var worker = this;
@@ -946,10 +1402,21 @@ Worker.prototype.tick = function ()
 	/* Process queued and outgoing messages. */
 	this.processQueues();
 
+	/* Write out batches of map inputs that have waited long enough. */
+	this.dispMapBatchFlushAll(now);
+
 	/* Check whether each job needs to be saved. */
 	for (jobid in this.w_jobs)
 		this.jobTick(this.w_jobs[jobid]);
 
+	/* Look for straggling tasks to speculate on. */
+	if (this.w_spec_factor > 0 && !this.w_spec_throttle.tooRecent()) {
+		this.w_spec_throttle.start();
+		for (jobid in this.w_jobs)
+			this.jobSpeculate(this.w_jobs[jobid]);
+		this.w_spec_throttle.done();
+	}
+
 	this.w_logthrottle.flush(now);
 	this.w_longlogthrottle.flush(now);
 	this.heartbeat();
@@ -1017,7 +1484,7 @@ Worker.prototype.onRecord = function (record, barrier, sid)
  */
 Worker.prototype.onRecordJob = function (record, barrier)
 {
-	var job, domain, domainstate;
+	var job, domain, domainstate, inputdone, pausechanged;
 
 	/*
 	 * If we don't already know about this job, then this must be new,
@@ -1067,6 +1534,8 @@ Worker.prototype.onRecordJob = function (record, barrier)
 			job.j_log.info('detected job cancelled');
 			job.j_cancelled = record['value']['timeCancelled'];
 			job.j_job['timeCancelled'] = job.j_cancelled;
+			this.dispWantRelease(job);
+			this.jobNotify(job, 'cancelled');
 		}
 
 		job.j_etag = record['_etag'];
@@ -1077,14 +1546,18 @@ Worker.prototype.onRecordJob = function (record, barrier)
 	}
 
 	/*
-	 * As described above, there are only four possible reasons a record
+	 * As described above, there are only a few possible reasons a record
 	 * should be able to get here, and we've already checked for three of
-	 * them.  If this isn't a record whose input has just been marked done,
-	 * we've messed up something in the way we query for data, and there's
-	 * not much we can do in this situation.
+	 * them.  If this isn't a record whose input has just been marked done
+	 * or that has just been paused or resumed, we've messed up something
+	 * in the way we query for data, and there's not much we can do in this
+	 * situation.
 	 */
-	if (record['value']['timeInputDone'] === undefined ||
-	    record['value']['timeInputDoneRead'] !== undefined) {
+	inputdone = record['value']['timeInputDone'] !== undefined &&
+	    record['value']['timeInputDoneRead'] === undefined;
+	pausechanged = (record['value']['timePaused'] !== undefined) !=
+	    (record['value']['timePausedRead'] !== undefined);
+	if (!inputdone && !pausechanged) {
 		if (!this.w_logthrottle.throttle(sprintf(
 		    'record %s/%s', record['bucket'], record['key'])))
 			job.j_log.warn('onRecord: unknown reason for ' +
@@ -1092,17 +1565,55 @@ Worker.prototype.onRecordJob = function (record, barrier)
 		return;
 	}
 
-	job.j_log.info('job input completed');
 	job.j_etag = record['_etag'];
-	job.j_job['timeInputDone'] = record['value']['timeInputDone'];
-	job.j_job['timeInputDoneRead'] = mod_jsprim.iso8601(Date.now());
-
 	job.j_save_barrier = barrier;
 	job.j_save.markDirty();
 	barrier.start('save job ' + job.j_id);
+
+	if (pausechanged)
+		this.jobPauseChanged(job, record['value']['timePaused']);
+
+	if (!inputdone) {
+		if (!job.j_save_throttle.ongoing())
+			this.jobSave(job);
+		return;
+	}
+
+	job.j_log.info('job input completed');
+	job.j_job['timeInputDone'] = record['value']['timeInputDone'];
+	job.j_job['timeInputDoneRead'] = mod_jsprim.iso8601(Date.now());
+	this.jobNotify(job, 'inputDone');
 	this.jobInputEnded(job);
 };
 
+/*
+ * Invoked when we find that the user has paused or resumed a job.  "paused" is
+ * the job's new "timePaused" value.  The caller is responsible for saving the
+ * job record.  See "PAUSED JOBS" above.
+ */
+Worker.prototype.jobPauseChanged = function (job, paused)
+{
+	if (paused !== undefined) {
+		job.j_log.info('job paused');
+		job.j_paused = paused;
+		job.j_job['timePaused'] = paused;
+		job.j_job['timePausedRead'] = mod_jsprim.iso8601(Date.now());
+		return;
+	}
+
+	job.j_log.info('job resumed');
+	job.j_paused = undefined;
+	delete (job.j_job['timePaused']);
+	delete (job.j_job['timePausedRead']);
+
+	if (job.j_reduce_deferred && jobReducersReady(job, Date.now()))
+		this.jobDispatchReducers(job);
+
+	/* Release any dispatches we've been holding. */
+	this.dispWantRelease(job);
+	this.processQueues();
+};
+
 /*
  * Invoked when we find a cancelled job to mark corresponding records cancelled,
  * including tasks, taskinputs, taskoutputs, and jobinputs.  While we can ensure
@@ -1201,6 +1712,9 @@ Worker.prototype.onRecordJobInput = function (record, barrier)
 	if ((job = this.jobForRecord(record)) === null)
 		return;
 
+	if (this.dispIsHeld(record))
+		return;
+
 	if (job.j_input_fully_read) {
 		job.j_log.error('found job input after having ' +
 		    'fully read all inputs');
@@ -1211,6 +1725,7 @@ Worker.prototype.onRecordJobInput = function (record, barrier)
 	mod_assert.ok(record['value']['nextRecordId'] === undefined);
 
 	job.j_job['stats']['nInputsRead']++;
+	job.j_phases[0].p_stats['nInputsRead']++;
 	if (job.j_last_input !== undefined)
 		job.j_last_input = Date.now();
 
@@ -1223,6 +1738,7 @@ Worker.prototype.onRecordJobInput = function (record, barrier)
 	    'd_p0objname': record['value']['input'],
 	    'd_barrier': barrier,
 	    'd_ri': undefined,
+	    'd_bi': undefined,
 
 	    'd_auths': [],
 	    'd_locates': [],
@@ -1232,6 +1748,7 @@ Worker.prototype.onRecordJobInput = function (record, barrier)
 	    'd_creator': undefined,
 	    'd_objname_internal': undefined,
 	    'd_objectid': undefined,
+	    'd_type': undefined,
 	    'd_roles': undefined,
 	    'd_locations': undefined,
 	    'd_time': undefined,
@@ -1276,12 +1793,28 @@ Worker.prototype.onRecordTask = function (record, barrier, sid)
 Worker.prototype.onRecordTaskCommit = function (record, barrier, job, phase,
     now)
 {
-	var allchanges, uuid, errvalue;
-	var whichstat, reducer;
+	var worker = this;
+	var allchanges, uuid, inputs, maxerrors;
+	var whichstat, reducer, pair, twin, agents;
+	var stale = false;
 	var nretries = 0;
 	var nerrors = 0;
 	var updatei = -1;
 
+	/*
+	 * If this task is one of a pair dispatched for speculative execution
+	 * and its twin has already been committed, then this task has been (or
+	 * is about to be) cancelled.  See "Speculative execution" above.
+	 */
+	pair = phase.p_speculated[record['key']];
+	if (job.j_cancelled === undefined && phase.p_type != 'reduce' &&
+	    (record['value']['timeCancelled'] !== undefined ||
+	    (pair !== undefined && pair.sp_winner !== undefined &&
+	    pair.sp_winner != record['key']))) {
+		this.taskCommitSuperseded(record, barrier, job, phase, now);
+		return;
+	}
+
 	job.j_log.debug('committing task "%s"', record['key']);
 
 	record['value']['timeCommitted'] = now;
@@ -1289,62 +1822,113 @@ Worker.prototype.onRecordTaskCommit = function (record, barrier, job, phase,
 
 	allchanges = [];
 
+	/*
+	 * Batched map tasks have an error record for each input that failed.
+	 * If the task as a whole failed, then all of its inputs failed.
+	 */
+	inputs = record['value']['inputs'] || [ record['value'] ];
+	maxerrors = inputs.length;
+
 	if (record['value']['result'] == 'ok') {
 		whichstat = 'nTasksCommittedOk';
+
+		if (record['value']['nInputsFailed'] > 0) {
+			this.taskInvalidateNotFound(job, record);
+			nerrors = maxerrors = record['value']['nInputsFailed'];
+			updatei = allchanges.length;
+			allchanges.push([ 'update', this.w_buckets['error'],
+			    sprintf('(taskId=%s)', record['value']['taskId']),
+			    { 'retried': false, 'timeCommitted': now },
+			    { 'limit': inputs.length + 4 } ]);
+		}
 	} else {
 		whichstat = 'nTasksCommittedFail';
 
+		/*
+		 * If the agent couldn't find the object we told it to process,
+		 * then the location we gave it may have come from a stale
+		 * cache entry.  Make sure that any retry locates it afresh, and
+		 * if we did discard a cached result, retry the task once
+		 * regardless of the job's retry policy so that the user doesn't
+		 * see an error that was our fault (see taskWantRetryStale).
+		 */
+		if (record['value']['errorCode'] == EM_RESOURCENOTFOUND &&
+		    phase.p_type != 'reduce')
+			stale = this.taskInvalidateInputs(inputs);
+
 		/*
 		 * On a normal, non-retryable failure, the agent issues an
 		 * error.  For abandoned tasks, we're responsible for emitting
 		 * the error here and determining whether to retry.  For
-		 * retryable tasks, we just set wantRetry.
+		 * retryable tasks, we just set wantRetry.  Quarantined inputs
+		 * are never retried, and we replace the error as described
+		 * under "Quarantined inputs" above.
 		 */
-		if (record['value']['timeAbandoned'] !== undefined) {
-			uuid = mod_uuid.v4();
-			record['value']['nextRecordType'] = 'error';
-			record['value']['nextRecordId'] = uuid;
+		agents = this.taskWantQuarantine(job, record);
+		if (agents !== null) {
+			nerrors = 1;
+			updatei = allchanges.length;
+			allchanges.push([ 'update', this.w_buckets['error'],
+			    sprintf('(taskId=%s)', record['value']['taskId']),
+			    { 'retried': true, 'quarantined': true,
+			    'timeCommitted': now }, { 'limit': 5 } ]);
+			allchanges.push(this.taskQuarantineError(
+			    job, record, agents, now));
+		} else if (record['value']['timeAbandoned'] !== undefined) {
 			record['value']['wantRetry'] =
-			    job.j_cancelled === undefined &&
-			    (record['value']['nattempts'] === undefined ||
-			    record['value']['nattempts'] <= this.w_max_retries);
+			    this.taskWantRetry(job, record, null);
 
 			if (record['value']['wantRetry']) {
 				phase.p_nretryneeded++;
-				nretries = 1;
+				nretries = inputs.length;
 			} else {
-				nerrors = 1;
+				nerrors = inputs.length;
 			}
 
-			errvalue = {
-			    'errorId': uuid,
-			    'jobId': job.j_id,
-			    'domain': job.j_job['worker'],
-			    'phaseNum': record['value']['phaseNum'],
-			    'errorCode': EM_INTERNAL,
-			    'errorMessage': 'internal error',
-			    'errorMessageInternal': 'agent timed out',
-			    'input': record['value']['input'],
-			    'p0input': record['value']['p0input'],
-			    'prevRecordType': 'task',
-			    'prevRecordId': record['value']['taskId'],
-			    'retried': record['value']['wantRetry'],
-			    'timeCommitted': now
-			};
-			allchanges.push([ 'put', this.w_buckets['error'],
-			    uuid, errvalue ]);
-			this.w_dtrace.fire('error-dispatched',
-			    function () { return ([ job.j_id, errvalue ]); });
+			inputs.forEach(function (input, i) {
+				var errvalue;
+
+				uuid = mod_uuid.v4();
+				if (i === 0) {
+					record['value']['nextRecordType'] =
+					    'error';
+					record['value']['nextRecordId'] = uuid;
+				}
+
+				errvalue = {
+				    'errorId': uuid,
+				    'jobId': job.j_id,
+				    'domain': job.j_job['worker'],
+				    'phaseNum': record['value']['phaseNum'],
+				    'errorCode': EM_INTERNAL,
+				    'errorMessage': 'internal error',
+				    'errorMessageInternal': 'agent timed out',
+				    'errorCategory':
+					mod_errors.errorCategory(EM_INTERNAL),
+				    'input': input['input'],
+				    'p0input': input['p0input'],
+				    'prevRecordType': 'task',
+				    'prevRecordId': record['value']['taskId'],
+				    'retried': record['value']['wantRetry'],
+				    'timeCommitted': now
+				};
+				allchanges.push([ 'put',
+				    worker.w_buckets['error'], uuid,
+				    errvalue ]);
+				worker.w_dtrace.fire('error-dispatched',
+				    function () {
+					return ([ job.j_id, errvalue ]);
+				    });
+			});
 		} else if (record['value']['errorCode'] &&
-		    record['value']['errorCode'] == EM_TASKKILLED &&
-		    job.j_cancelled === undefined &&
-		    (record['value']['nattempts'] === undefined ||
-		    record['value']['nattempts'] <= this.w_max_retries)) {
+		    (this.taskWantRetry(job, record,
+		    record['value']['errorCode']) ||
+		    (stale && this.taskWantRetryStale(job, record)))) {
 			phase.p_nretryneeded++;
-			nretries = 1;
+			nretries = inputs.length;
 			record['value']['wantRetry'] = true;
 			/*
-			 * We should never have more than one error per task.
+			 * We should never have more than one error per input.
 			 * We set the limit to a few more so that we can check
 			 * whether something went wrong.
 			 */
@@ -1352,17 +1936,29 @@ Worker.prototype.onRecordTaskCommit = function (record, barrier, job, phase,
 			allchanges.push([ 'update', this.w_buckets['error'],
 			    sprintf('(taskId=%s)', record['value']['taskId']),
 			    { 'retried': true, 'timeCommitted': now },
-			    { 'limit': 5 }]);
+			    { 'limit': inputs.length + 4 }]);
 		} else {
-			nerrors = 1;
+			nerrors = inputs.length;
 			updatei = allchanges.length;
 			allchanges.push([ 'update', this.w_buckets['error'],
 			    sprintf('(taskId=%s)', record['value']['taskId']),
 			    { 'retried': false, 'timeCommitted': now },
-			    { 'limit': 5 } ]);
+			    { 'limit': inputs.length + 4 } ]);
 		}
 	}
 
+	if (pair !== undefined) {
+		pair.sp_winner = record['key'];
+		twin = pair.sp_tasks[0] == record['key'] ?
+		    pair.sp_tasks[1] : pair.sp_tasks[0];
+		job.j_log.info('task "%s": committed first, cancelling "%s"',
+		    record['key'], twin);
+		allchanges.push([ 'update', record['bucket'],
+		    sprintf('(&(taskId=%s)(!(timeCommitted=*))' +
+		    '(!(timeCancelled=*)))', twin), { 'timeCancelled': now },
+		    { 'limit': 1 } ]);
+	}
+
 	allchanges.push([ 'put', record['bucket'], record['key'],
 	    record['value'], { 'etag': record['_etag'] } ]);
 
@@ -1393,12 +1989,22 @@ Worker.prototype.onRecordTaskCommit = function (record, barrier, job, phase,
 			job.j_job['stats'][whichstat]++;
 			job.j_job['stats']['nErrors'] += nerrors;
 			job.j_job['stats']['nRetries'] += nretries;
+			phase.p_stats[whichstat]++;
+			phase.p_stats['nRetries'] += nretries;
+			phaseTaskTimed(phase, record['value'], now);
 			phase.p_nunmarked_propagate++;
-			phase.p_nuncommitted--;
+			worker.phaseUncommittedAdd(job, phase, -1);
+
+			if (pair !== undefined &&
+			    record['value']['speculativeOf'] !== undefined)
+				worker.w_stats['spec_won']++;
+			worker.taskUntrack(phase, record, now);
+			worker.agentTaskDone(record['value']['mantaComputeId'],
+			    record['value']['result'] == 'ok' ? null :
+			    taskFailureCode(record['value']), Date.now());
 
 			if (updatei != -1) {
-				if (meta.etags[updatei]['count'] !== 0 &&
-				    meta.etags[updatei]['count'] != 1) {
+				if (meta.etags[updatei]['count'] > maxerrors) {
 					job.j_log.error({
 					    'requests': allchanges,
 					    'result': meta
@@ -1420,6 +2026,68 @@ Worker.prototype.onRecordTaskCommit = function (record, barrier, job, phase,
 	});
 };
 
+/*
+ * Commit a task that lost a speculative execution race.  Its twin has already
+ * been committed, so we make sure this task is cancelled and mark its error (if
+ * any) retried and superseded.  Such errors are not retries of the job's work,
+ * so they're counted in the "spec_errors" stat rather than in "nRetries".
+ * Since we never set timeOutputsMarkStart, its outputs are never committed.
+ */
+Worker.prototype.taskCommitSuperseded = function (record, barrier, job, phase,
+    now)
+{
+	var worker = this;
+	var whichstat, changes;
+
+	job.j_log.info('committing superseded task "%s"', record['key']);
+
+	whichstat = record['value']['result'] == 'ok' ?
+	    'nTasksCommittedOk' : 'nTasksCommittedFail';
+	record['value']['timeCommitted'] = now;
+	if (record['value']['timeCancelled'] === undefined)
+		record['value']['timeCancelled'] = now;
+
+	changes = [ [
+	    'update', this.w_buckets['error'],
+	    sprintf('(taskId=%s)', record['key']),
+	    { 'retried': true, 'superseded': true, 'timeCommitted': now },
+	    { 'limit': 5 }
+	], [
+	    'put', record['bucket'], record['key'], record['value'],
+	    { 'etag': record['_etag'] }
+	] ];
+
+	this.w_dtrace.fire('task-committed', function () {
+	    return ([ job.j_id, record['key'], record['value'] ]);
+	});
+
+	barrier.start('task ' + record['key']);
+	this.w_bus.batch(changes, {
+	    'retryConflict': function () {
+		/*
+		 * This happens when our twin's commit cancels this task after
+		 * we read it.  We'll pick up the new record on the next poll.
+		 */
+		return (new Error('conflict while committing superseded ' +
+		    'task (will try again)'));
+	    }
+	}, function (err, meta) {
+		barrier.done('task ' + record['key']);
+
+		if (err) {
+			job.j_log.warn(err, 'failed to commit superseded ' +
+			    'task "%s"', record['key']);
+			return;
+		}
+
+		job.j_job['stats'][whichstat]++;
+		phase.p_stats[whichstat]++;
+		worker.w_stats['spec_errors'] += meta.etags[0]['count'];
+		worker.phaseUncommittedAdd(job, phase, -1);
+		worker.taskUntrack(phase, record, now);
+	});
+};
+
 Worker.prototype.onRecordTaskMarkOutputs = function (record, barrier, job,
     phase, now)
 {
@@ -1436,6 +2104,10 @@ Worker.prototype.onRecordTaskMarkOutputs = function (record, barrier, job,
 	 * Set timeCommitted on all of the taskoutputs for this task.  If we're
 	 * not going to propagate them (because either the task failed or
 	 * because this is the final phase), also set timePropagated here.
+	 * Outputs of the final phase are marked valid if the task succeeded,
+	 * and outputs of failed tasks in any phase are marked not valid so
+	 * that the per-phase counters can be recomputed (see
+	 * wqCountPhaseInputsRead).
 	 */
 	filter = sprintf('(&(taskId=%s)(!(timeCommitted=*)))', record['key']);
 	changes = { 'timeCommitted': now };
@@ -1446,6 +2118,7 @@ Worker.prototype.onRecordTaskMarkOutputs = function (record, barrier, job,
 			changes['timePropagated'] = now;
 		}
 	} else {
+		changes['valid'] = false;
 		changes['timePropagated'] = now;
 	}
 
@@ -1467,6 +2140,8 @@ Worker.prototype.onRecordTaskMarkOutputs = function (record, barrier, job,
 
 		nupdated = meta.etags[0]['count'];
 		mod_assert.equal(typeof (nupdated), 'number');
+		if (changes['valid'] !== false)
+			phase.p_stats['nOutputs'] += nupdated;
 		if (changes['timePropagated'] === undefined)
 			phase.p_nunpropagated += nupdated;
 		else if (changes['valid'])
@@ -1625,13 +2300,185 @@ Worker.prototype.onRecordTaskMarkInputsCleanup = function (record, barrier, job,
 	});
 };
 
+/*
+ * If the given failed task's input should be quarantined (see "Quarantined
+ * inputs" above), returns the list of agents on which it has failed with the
+ * same error code.  Otherwise, returns null.
+ */
+Worker.prototype.taskWantQuarantine = function (job, record)
+{
+	var nagents = this.w_conf['tunables']['quarantineAgents'];
+	var code, agents;
+
+	if (!nagents || job.j_cancelled !== undefined ||
+	    record['value']['phaseNum'] !== 0 ||
+	    record['value']['input'] === undefined ||
+	    record['value']['inputs'] !== undefined)
+		return (null);
+
+	code = taskFailureCode(record['value']);
+	if (code == EM_USERTASK || code == EM_TASKINIT)
+		return (null);
+
+	agents = [ record['value']['mantaComputeId'] ];
+	(record['value']['failures'] || []).forEach(function (failure) {
+		if (failure['errorCode'] == code &&
+		    agents.indexOf(failure['mantaComputeId']) == -1)
+			agents.push(failure['mantaComputeId']);
+	});
+
+	return (agents.length >= nagents ? agents : null);
+};
+
+/*
+ * Returns the request that writes the error for the given quarantined task,
+ * which failed on each of the given agents.
+ */
+Worker.prototype.taskQuarantineError = function (job, record, agents, now)
+{
+	var uuid, code, errvalue;
+
+	uuid = mod_uuid.v4();
+	code = taskFailureCode(record['value']);
+	record['value']['nextRecordType'] = 'error';
+	record['value']['nextRecordId'] = uuid;
+
+	errvalue = {
+	    'errorId': uuid,
+	    'jobId': job.j_id,
+	    'domain': job.j_job['worker'],
+	    'phaseNum': record['value']['phaseNum'],
+	    'errorCode': EM_QUARANTINED,
+	    'errorCategory': mod_errors.errorCategory(EM_QUARANTINED),
+	    'errorMessage': sprintf('input failed with %s on %d different ' +
+		'systems and will not be retried', code, agents.length),
+	    'errorMessageInternal': sprintf('quarantined after failing on ' +
+		'agents: %s', agents.join(', ')),
+	    'input': record['value']['input'],
+	    'p0input': record['value']['p0input'],
+	    'taskId': record['value']['taskId'],
+	    'agents': agents,
+	    'prevRecordType': 'task',
+	    'prevRecordId': record['value']['taskId'],
+	    'retried': false,
+	    'timeCommitted': now
+	};
+
+	job.j_log.warn('task "%s": quarantining input "%s"',
+	    record['key'], record['value']['input'], agents);
+	this.w_dtrace.fire('error-dispatched', function () {
+		return ([ job.j_id, errvalue ]);
+	});
+
+	return ([ 'put', this.w_buckets['error'], uuid, errvalue ]);
+};
+
+/*
+ * Invalidate any cached locations for the given inputs, each of which is either
+ * a map task record's value or an element of a batched task's "inputs" array.
+ * Returns true if any cached location was discarded.
+ */
+Worker.prototype.taskInvalidateInputs = function (inputs)
+{
+	var worker = this;
+	var stale = false;
+
+	inputs.forEach(function (input) {
+		if (worker.w_locator.invalidate(
+		    pathSwapFirst(input['input'], input['account']),
+		    input['objectid']))
+			stale = true;
+	});
+
+	return (stale);
+};
+
+/*
+ * Individual inputs of a batched map task may fail without failing the task,
+ * so we look up which of them the agent couldn't find and invalidate their
+ * cached locations, too.
+ */
+Worker.prototype.taskInvalidateNotFound = function (job, record)
+{
+	var worker = this;
+	var queryconf = wQueries.wqTaskErrorsByCode;
+	var inputs = record['value']['inputs'];
+	var names = {};
+
+	if (inputs === undefined)
+		return;
+
+	this.w_bus.oneshot(this.w_buckets[queryconf['bucket']],
+	    queryconf['query'].bind(null, record['key'], EM_RESOURCENOTFOUND),
+	    this.w_bus_options, function (errrecord) {
+		names[errrecord['value']['input']] = true;
+	    }, function () {
+		if (job.j_dropped)
+			return;
+
+		worker.taskInvalidateInputs(inputs.filter(function (input) {
+			return (names.hasOwnProperty(input['input']));
+		}));
+	    });
+};
+
+/*
+ * Returns true if the given failed task should be retried under the job's
+ * retry policy.  "code" is the task's error code, or null if the task was
+ * abandoned (in which case only the number of attempts matters).
+ */
+Worker.prototype.taskWantRetry = function (job, record, code)
+{
+	var nattempts = record['value']['nattempts'] || 1;
+
+	return (job.j_cancelled === undefined &&
+	    nattempts < job.j_retry['maxAttempts'] &&
+	    (code === null ||
+	    job.j_retry['retryableErrors'].indexOf(code) != -1));
+};
+
+/*
+ * Returns true if the given map task, which failed with EM_RESOURCENOTFOUND
+ * using what turned out to be a stale cached location, should be retried even
+ * though the job's retry policy wouldn't retry it.  We only do this once per
+ * input, so an object that's really gone still fails promptly.  Inputs of a
+ * batched task that fail individually this way (see taskInvalidateNotFound)
+ * aren't retried, since the task itself succeeded.
+ */
+Worker.prototype.taskWantRetryStale = function (job, record)
+{
+	return (job.j_cancelled === undefined &&
+	    !(record['value']['failures'] || []).some(function (failure) {
+		return (failure['errorCode'] == EM_RESOURCENOTFOUND);
+	    }));
+};
+
 Worker.prototype.onRecordTaskRetry = function (record, barrier, job, phase, now)
 {
+	var when;
+
 	/* Drop records for cancelled jobs. */
 	job = this.jobForRecord(record);
 	if (job === null)
 		return;
 
+	/* We may already be holding the retry's dispatch (see dispHold). */
+	if (this.dispIsHeld(record))
+		return;
+
+	/*
+	 * If the job's retry policy specifies a minimum delay, leave the task
+	 * alone until it has elapsed.  We'll see the record again on a
+	 * subsequent poll.
+	 */
+	when = Date.parse(record['value']['timeCommitted']) +
+	    job.j_retry['minDelay'] * 1000;
+	if (Date.now() < when) {
+		job.j_log.debug('task "%s": deferring retry until %s',
+		    record['key'], mod_jsprim.iso8601(when));
+		return;
+	}
+
 	if (record['value']['input'] === undefined)
 		this.taskRetryReduce(record, barrier, job, phase, now);
 	else
@@ -1643,10 +2490,13 @@ Worker.prototype.taskRetryReduce = function (record, barrier, job, phase, now)
 	var worker = this;
 	var task = this.taskCreate(job, record['value']['phaseNum'], now);
 	var value = task.t_value;
-	var avoidme, instance, agent;
+	var avoidme, locality, instance, agent;
 
 	avoidme = record['value']['mantaComputeId'];
-	instance = this.reduceSelectAgent(avoidme);
+	locality = phase.p_reducers[record['value']['rIdx']].r_locality;
+	if (mod_jsprim.isEmpty(locality))
+		locality = job.j_locality;
+	instance = this.reduceSelectAgent(avoidme, locality);
 
 	/*
 	 * If there's literally no healthy agent available to run this task,
@@ -1671,6 +2521,7 @@ Worker.prototype.taskRetryReduce = function (record, barrier, job, phase, now)
 	value['agentGeneration'] = agent.a_record['value']['generation'];
 	value['nattempts'] = record['value']['nattempts'] ?
 	    record['value']['nattempts'] + 1 : 2;
+	value['retryPolicy'] = mod_jsprim.deepCopy(job.j_retry);
 
 	if (record['value']['timeInputDone']) {
 		value['timeInputDone'] = record['value']['timeInputDone'];
@@ -1854,19 +2705,51 @@ Worker.prototype.onRecordTaskMarkInputsRetry = function (record, barrier, job,
 	});
 };
 
+/*
+ * Retry a failed map task by dispatching its input again.  Each input of a
+ * batched task is retried as its own task under the usual retry policy.  To
+ * avoid conflicting updates to the batched task's record, we retry only the
+ * first input that hasn't yet been retried and mark that input retried (see
+ * dispMarkRetried).  We'll see the record again on the next poll until all of
+ * its inputs have been retried.
+ */
 Worker.prototype.taskRetryMap = function (record, barrier, job, phase, now)
 {
-	var dispatch;
+	var dispatch, input, inputs, bi, nleft;
+
+	inputs = record['value']['inputs'];
+	if (inputs === undefined) {
+		input = record['value'];
+		nleft = 1;
+	} else {
+		nleft = 0;
+		inputs.forEach(function (inp, i) {
+			if (inp['timeRetried'] !== undefined)
+				return;
+
+			if (nleft++ === 0)
+				bi = i;
+		});
+
+		if (nleft === 0) {
+			job.j_log.error('task "%s": all inputs already ' +
+			    'retried', record['key']);
+			return;
+		}
+
+		input = inputs[bi];
+	}
 
 	dispatch = {
 	    'd_id': record['bucket'] + '/' + record['key'],
 	    'd_job': job,
 	    'd_pi': record['value']['phaseNum'],
 	    'd_origin': record,
-	    'd_objname': mod_path.normalize(record['value']['input']),
-	    'd_p0objname': record['value']['p0input'],
+	    'd_objname': mod_path.normalize(input['input']),
+	    'd_p0objname': input['p0input'],
 	    'd_barrier': barrier,
 	    'd_ri': record['value']['rIdx'],
+	    'd_bi': bi,
 
 	    'd_auths': [],
 	    'd_locates': [],
@@ -1876,6 +2759,7 @@ Worker.prototype.taskRetryMap = function (record, barrier, job, phase, now)
 	    'd_creator': undefined,
 	    'd_objname_internal': undefined,
 	    'd_objectid': undefined,
+	    'd_type': undefined,
 	    'd_roles': undefined,
 	    'd_locations': undefined,
 	    'd_time': undefined,
@@ -1883,7 +2767,8 @@ Worker.prototype.taskRetryMap = function (record, barrier, job, phase, now)
 	};
 
 	this.dispStart(dispatch);
-	phase.p_nretryneeded--;
+	if (nleft == 1)
+		phase.p_nretryneeded--;
 };
 
 Worker.prototype.onRecordTaskInput = function (record, barrier)
@@ -1945,7 +2830,8 @@ Worker.prototype.onRecordTaskInput = function (record, barrier)
 	    'servers': record['value']['servers'],
 	    'timeDispatched': now,
 	    'prevRecordType': 'taskinput',
-	    'prevRecordId': record['key']
+	    'prevRecordId': record['key'],
+	    'sortKey': record['value']['sortKey']
 	};
 
 	barrier.start('taskinput ' + value['taskInputId']);
@@ -1987,6 +2873,9 @@ Worker.prototype.onRecordTaskOutput = function (record, barrier)
 	if ((job = this.jobForRecord(record)) === null)
 		return;
 
+	if (this.dispIsHeld(record))
+		return;
+
 	if (record['value']['timeCommitted'] === undefined ||
 	    record['value']['timePropagated'] !== undefined) {
 		job.j_log.error('onRecord: unexpected taskoutput', record);
@@ -2008,6 +2897,7 @@ Worker.prototype.onRecordTaskOutput = function (record, barrier)
 	}
 
 	phase = job.j_phases[pi + 1];
+	phase.p_stats['nInputsRead']++;
 	dispatch = {
 	    'd_id': record['bucket'] + '/' + record['key'],
 	    'd_job': job,
@@ -2017,6 +2907,7 @@ Worker.prototype.onRecordTaskOutput = function (record, barrier)
 	    'd_p0objname': record['value']['p0input'],
 	    'd_barrier': barrier,
 	    'd_ri': undefined,
+	    'd_bi': undefined,
 
 	    'd_auths': [],
 	    'd_locates': [],
@@ -2026,6 +2917,7 @@ Worker.prototype.onRecordTaskOutput = function (record, barrier)
 	    'd_creator': undefined,
 	    'd_objname_internal': undefined,
 	    'd_objectid': undefined,
+	    'd_type': undefined,
 	    'd_roles': undefined,
 	    'd_locations': undefined,
 	    'd_time': undefined,
@@ -2459,6 +3351,22 @@ Worker.prototype.eachRunningJob = function (func)
  *
  * When we assign ourselves a job, we also invoke agentAbandonStale() for that
  * job to deal with the case of agent restarts while we were offline.
+ *
+ * Separately, agents can be alive but failing most of their tasks (e.g.,
+ * because of a bad disk or a broken zone image).  As each task is committed,
+ * agentTaskDone() records its result (and error code, if it failed) with its
+ * agent, keeping only results from the last "timeAgentFailureWindow"
+ * milliseconds.  If an agent has committed at least "agentAvoidMinTasks" tasks
+ * in that window and most of them failed with the same error code that we
+ * attribute to the system rather than the user (see mwAgentFaultCodes), and its
+ * rate of failures with that code is several times the rate over all other
+ * agents, then we avoid the agent for "timeAgentAvoid" milliseconds.  While
+ * avoided, the agent is only selected for map or reduce tasks when no other
+ * healthy agent is available (see agentSelectHealthyFrom).  We stop avoiding
+ * it once the cool-off period has elapsed and we next read its health record,
+ * at which point we also forget its previous results.  Avoidance decisions are
+ * logged and the current set of avoided agents is reported via kang.  A value
+ * of 0 for "timeAgentAvoid" disables avoidance.
  */
 Worker.prototype.onAgentHealth = function (newrec)
 {
@@ -2478,11 +3386,19 @@ Worker.prototype.onAgentHealth = function (newrec)
 	now = Date.now();
 	tunables = this.w_conf['tunables'];
 
+	if (agent.a_avoid_until !== undefined && now >= agent.a_avoid_until) {
+		this.w_log.info('agent "%s": no longer avoiding', instance);
+		agent.a_avoid_until = undefined;
+		agent.a_avoid_code = undefined;
+		agent.a_results = [];
+	}
+
 	if (oldrec['value']['generation'] != newrec['value']['generation']) {
 		this.w_log.info('agent "%s": restarted', instance);
 		agent.a_last = now;
 		agent.a_timedout = false;
 		agent.a_warning = false;
+		agent.a_ndispatched = 0;
 		this.agentStarted(instance);
 		return;
 	}
@@ -2498,6 +3414,7 @@ Worker.prototype.onAgentHealth = function (newrec)
 		agent.a_last = now;
 		agent.a_timedout = false;
 		agent.a_warning = false;
+		agent.a_ndispatched = 0;
 		return;
 	}
 
@@ -2727,12 +3644,18 @@ Worker.prototype.agentAbandonTasks = function (instance, job, timestamp, extra,
  * select an agent from "agents" at random that is healthy and return the
  * corresponding index into "agents".  Avoid using "avoidme" if possible.
  * Returns -1 if there is no healthy agent.
+ *
+ * If "byload" is true, we select at random only among the healthy agents with
+ * the lowest load, as computed by agentLoad().  If any of them hasn't reported
+ * its load (as with agents that predate load reporting), we ignore load
+ * entirely rather than comparing against a guess.
  */
-Worker.prototype.agentSelectHealthyFrom = function (agents, avoidme)
+Worker.prototype.agentSelectHealthyFrom = function (agents, avoidme, byload)
 {
 	var available = [];
+	var avoided = [];
 	var fallback = -1;
-	var i, instance, agent;
+	var i, instance, agent, loads, min;
 
 	for (i = 0; i < agents.length; i++) {
 		instance = agents[i];
@@ -2747,15 +3670,142 @@ Worker.prototype.agentSelectHealthyFrom = function (agents, avoidme)
 			continue;
 		}
 
+		if (agent.a_avoid_until !== undefined) {
+			avoided.push(i);
+			continue;
+		}
+
 		available.push(i);
 	}
 
+	if (byload && available.length > 1) {
+		loads = available.map(
+		    function (j) { return (this.agentLoad(agents[j])); }, this);
+		if (loads.indexOf(null) == -1) {
+			min = Math.min.apply(null, loads);
+			available = available.filter(
+			    function (_, j) { return (loads[j] == min); });
+		}
+	}
+
 	if (available.length > 0)
 		return (mod_jsprim.randElt(available));
 
+	if (avoided.length > 0)
+		return (mod_jsprim.randElt(avoided));
+
 	return (fallback);
 };
 
+/*
+ * Returns a figure for how busy the given agent is, for comparison with other
+ * agents, or null if the agent hasn't reported its load.  The agent reports the
+ * number of tasks waiting for a zone and the number of zones ready to accept
+ * one, but only as often as it heartbeats, so we also count the map tasks we've
+ * sent it since then to avoid piling a burst of tasks onto the same agent.
+ */
+Worker.prototype.agentLoad = function (instance)
+{
+	var agent, value;
+
+	agent = this.w_agents[instance];
+	value = agent.a_record['value'];
+	if (typeof (value['nTasksQueued']) != 'number' ||
+	    typeof (value['nZonesFree']) != 'number')
+		return (null);
+
+	return (value['nTasksQueued'] + agent.a_ndispatched -
+	    value['nZonesFree']);
+};
+
+/*
+ * Record the result of a task committed on the given agent: "code" is the
+ * task's error code, or null if the task succeeded.  If the agent now looks
+ * like it's misbehaving, start avoiding it.  See "Agent health management"
+ * above.
+ */
+Worker.prototype.agentTaskDone = function (instance, code, now)
+{
+	var tunables = this.w_conf['tunables'];
+	var agent = this.w_agents[instance];
+
+	if (agent === undefined)
+		return;
+
+	agent.a_results.push({ 'time': now, 'code': code });
+	agentResultsPrune(agent, now - tunables['timeAgentFailureWindow']);
+
+	if (code === null || mwAgentFaultCodes.indexOf(code) == -1 ||
+	    tunables['timeAgentAvoid'] === 0 ||
+	    agent.a_avoid_until !== undefined ||
+	    agent.a_results.length < tunables['agentAvoidMinTasks'])
+		return;
+
+	this.agentCheckAvoid(instance, code, now);
+};
+
+/*
+ * Compare the given agent's recent rate of failures with error code "code"
+ * against the rate over all other agents, and avoid the agent if it's an
+ * outlier.
+ */
+Worker.prototype.agentCheckAvoid = function (instance, code, now)
+{
+	var tunables = this.w_conf['tunables'];
+	var agent = this.w_agents[instance];
+	var nfailed, rate, nother, notherfailed, otherrate;
+
+	nfailed = agentResultsCount(agent, code);
+	rate = nfailed / agent.a_results.length;
+	if (rate < mwAgentAvoidRate)
+		return;
+
+	nother = 0;
+	notherfailed = 0;
+	mod_jsprim.forEachKey(this.w_agents, function (other, otheragent) {
+		if (other == instance)
+			return;
+
+		agentResultsPrune(otheragent,
+		    now - tunables['timeAgentFailureWindow']);
+		nother += otheragent.a_results.length;
+		notherfailed += agentResultsCount(otheragent, code);
+	});
+
+	otherrate = nother === 0 ? 0 : notherfailed / nother;
+	if (rate < mwAgentAvoidFactor * otherrate)
+		return;
+
+	agent.a_avoid_until = now + tunables['timeAgentAvoid'];
+	agent.a_avoid_code = code;
+	this.w_stats['agents_avoided']++;
+	this.w_log.error('agent "%s": avoiding until %s because %d of its ' +
+	    'last %d tasks failed with %s (versus %d of %d tasks on other ' +
+	    'agents)', instance, mod_jsprim.iso8601(agent.a_avoid_until),
+	    nfailed, agent.a_results.length, code, notherfailed, nother);
+};
+
+/*
+ * Returns a description of each agent that we're currently avoiding.
+ */
+Worker.prototype.agentsAvoided = function ()
+{
+	var rv = [];
+
+	mod_jsprim.forEachKey(this.w_agents, function (instance, agent) {
+		if (agent.a_avoid_until === undefined)
+			return;
+
+		rv.push({
+		    'agent': instance,
+		    'errorCode': agent.a_avoid_code,
+		    'until': mod_jsprim.iso8601(agent.a_avoid_until)
+		});
+	});
+
+	return (rv);
+};
+
 /*
  * Invoked when we receive a new job record that we don't already own.
  */
@@ -2799,15 +3849,35 @@ Worker.prototype.jobCreate = function (record, barrier)
 		    'nJobOutputs': 0,
 		    'nTasksDispatched': 0,
 		    'nTasksCommittedOk': 0,
-		    'nTasksCommittedFail': 0
+		    'nTasksCommittedFail': 0,
+		    'phases': job.j_phases.map(phaseStatsCreate)
 		};
+
+		if (job.j_job['dryRun'] === true) {
+			job.j_job['dryRunSummary'] = {
+			    'nDispatches': 0,
+			    'nReduceInputs': 0,
+			    'nDirectories': 0,
+			    'agents': {},
+			    'errors': {}
+			};
+		}
 	} else {
 		job.j_job['stats']['nAssigns']++;
 
 		if (job.j_job['stats']['nRetries'] === undefined)
 			job.j_job['stats']['nRetries'] = 0;
+
+		/* These will be recomputed when the job is loaded. */
+		if (job.j_job['stats']['phases'] === undefined)
+			job.j_job['stats']['phases'] =
+			    job.j_phases.map(phaseStatsCreate);
 	}
 
+	job.j_phases.forEach(function (phase, i) {
+		phase.p_stats = job.j_job['stats']['phases'][i];
+	});
+
 	job.j_job['state'] = 'running';
 
 	job.j_save.markDirty();
@@ -2826,6 +3896,15 @@ Worker.prototype.jobAssigned = function (job)
 	    function () { return ([ job.j_id, job.j_job ]); });
 	this.jobTransition(job, 'unassigned', 'initializing');
 
+	/*
+	 * Notifications still queued by a previous supervisor were lost, so
+	 * this also resets "nPending".  See "JOB NOTIFICATIONS" above.
+	 */
+	if (job.j_notify !== undefined) {
+		this.jobNotifyStatus(job);
+		this.jobNotify(job, 'assigned');
+	}
+
 	if (!job.j_job['auth'].hasOwnProperty('principal'))
 		job.j_log.info(
 		    'job has only legacy access control information; ' +
@@ -2852,6 +3931,8 @@ Worker.prototype.jobAssigned = function (job)
 			barrier.done('phase ' + i + ' tasks');
 			mod_assert.equal(typeof (c), 'number');
 			job.j_phases[i].p_nuncommitted = c;
+			if (job.j_phases[i].p_type != 'reduce')
+				worker.accountTasksAdd(job, c);
 		    });
 
 		queryconf = wQueries.wqCountJobTasksNeedingOutputsMarked;
@@ -2911,6 +3992,20 @@ Worker.prototype.jobAssigned = function (job)
 			job.j_phases[i].p_ninretryneeded = c;
 		    });
 
+		if (job.j_phases[i].p_type == 'reduce') {
+			queryconf = wQueries.wqCountJobTaskInputsUnread;
+			query = queryconf['query'].bind(null, i, job.j_id);
+			barrier.start('phase ' + i + ' taskinputs unread');
+			worker.w_bus.count(
+			    worker.w_buckets[queryconf['bucket']], query,
+			    worker.w_bus_options, function (c) {
+				barrier.done('phase ' + i +
+				    ' taskinputs unread');
+				mod_assert.equal(typeof (c), 'number');
+				worker.phaseUnreadSet(job, job.j_phases[i], c);
+			    });
+		}
+
 		if (i == job.j_phases.length - 1) {
 			job.j_phases[i].p_nunpropagated = 0;
 			return;
@@ -2962,24 +4057,32 @@ Worker.prototype.jobAssigned = function (job)
 		var stat;
 		mod_assert.ok(mod_jsprim.startsWith(q['name'], 'count '));
 		stat = q['name'].substr('count '.length);
-		mod_assert.ok(job.j_job['stats'].hasOwnProperty(stat));
-
-		query = q['query'].bind(null, job.j_id,
-		    job.j_phases.length - 1);
-		barrier.start(q['name']);
-		worker.w_bus.count(worker.w_buckets[q['bucket']],
-		    query, worker.w_bus_options, function (c) {
-			mod_assert.equal(typeof (c), 'number');
-
-			if (job.j_job['stats'][stat] !== c) {
-				job.j_log.info('updating stat "%s" ' +
-				    'from %d to %d', stat,
-				    job.j_job['stats'][stat], c);
-				job.j_job['stats'][stat] = c;
-			}
+		worker.jobLoadStat(job, barrier, q['name'], q['bucket'],
+		    q['query'].bind(null, job.j_id, job.j_phases.length - 1),
+		    job.j_job['stats'], stat);
+	});
 
-			barrier.done(q['name']);
-		    });
+	/*
+	 * Ditto for the per-phase counters.
+	 */
+	job.j_phases.forEach(function (phase, i) {
+		queries = [
+		    i === 0 ? wQueries.wqCountInputsRead :
+		        wQueries.wqCountPhaseInputsRead,
+		    wQueries.wqCountPhaseTasksDispatched,
+		    wQueries.wqCountPhaseTasksCommittedOk,
+		    wQueries.wqCountPhaseTasksCommittedFail,
+		    wQueries.wqCountPhaseRetries,
+		    wQueries.wqCountPhaseOutputs
+		];
+		queries.forEach(function (q) {
+			var stat = q['name'].substr(
+			    q['name'].lastIndexOf(' ') + 1);
+			worker.jobLoadStat(job, barrier,
+			    'phase ' + i + ' ' + stat, q['bucket'],
+			    q['query'].bind(null, job.j_id, i),
+			    phase.p_stats, stat);
+		});
 	});
 
 	/*
@@ -2994,6 +4097,19 @@ Worker.prototype.jobAssigned = function (job)
 	    },
 	    function () { barrier.done('fetch reduce tasks'); });
 
+	/*
+	 * Similarly, we need to know which tasks were dispatched in pairs for
+	 * speculative execution.
+	 */
+	queryconf = wQueries.wqJobTasksSpeculative;
+	query = queryconf['query'].bind(null, job.j_id);
+	barrier.start('fetch speculative tasks');
+	this.w_bus.oneshot(worker.w_buckets[queryconf['bucket']], query,
+	    this.w_bus_options, function (record) {
+		worker.jobLoadSpeculativeTask(job, record);
+	    },
+	    function () { barrier.done('fetch speculative tasks'); });
+
 	barrier.on('drain', function () {
 		if (job.j_dropped) {
 			job.j_log.warn(
@@ -3019,6 +4135,51 @@ Worker.prototype.jobAssigned = function (job)
 	});
 };
 
+/*
+ * Invoked during job load to recompute a single counter "stat" in "stats" (a
+ * job's stats object or one of its per-phase stats objects) using the given
+ * count query.
+ */
+Worker.prototype.jobLoadStat = function (job, barrier, label, bucket, query,
+    stats, stat)
+{
+	mod_assert.ok(stats.hasOwnProperty(stat));
+	barrier.start(label);
+	this.w_bus.count(this.w_buckets[bucket], query, this.w_bus_options,
+	    function (c) {
+		mod_assert.equal(typeof (c), 'number');
+
+		if (stats[stat] !== c) {
+			job.j_log.info('updating stat "%s" from %d to %d',
+			    label, stats[stat], c);
+			stats[stat] = c;
+		}
+
+		barrier.done(label);
+	    });
+};
+
+Worker.prototype.jobLoadSpeculativeTask = function (job, record)
+{
+	var value, pi, pair;
+
+	value = record['value'];
+	pi = value['phaseNum'];
+	if (pi >= job.j_phases.length) {
+		job.j_log.error('invalid speculative task', record);
+		return;
+	}
+
+	job.j_log.info('loading speculative task "%s" (for "%s")',
+	    value['taskId'], value['speculativeOf']);
+	pair = {
+	    'sp_tasks': [ value['speculativeOf'], value['taskId'] ],
+	    'sp_winner': undefined
+	};
+	job.j_phases[pi].p_speculated[value['speculativeOf']] = pair;
+	job.j_phases[pi].p_speculated[value['taskId']] = pair;
+};
+
 Worker.prototype.jobLoadReduceTask = function (job, record, barrier)
 {
 	var value, pi, phase, ri, reducer;
@@ -3072,6 +4233,7 @@ Worker.prototype.jobError = function (job, pi, timestamp, code, message,
 	    'phaseNum': pi,
 	    'errorCode': code,
 	    'errorMessage': message,
+	    'errorCategory': mod_errors.errorCategory(code),
 	    'retried': false,
 	    'timeCommitted': timestamp
 	};
@@ -3088,8 +4250,6 @@ Worker.prototype.jobError = function (job, pi, timestamp, code, message,
 
 Worker.prototype.jobLoaded = function (job)
 {
-	var worker = this;
-
 	/*
 	 * If this job's input stream was already marked done (and we've already
 	 * read that fact), then do one more pass to make sure we've found
@@ -3102,19 +4262,76 @@ Worker.prototype.jobLoaded = function (job)
 		this.jobInputEnded(job);
 
 	/*
-	 * Dispatch any reduce tasks that haven't already been dispatched.
+	 * Dispatch any reduce tasks that haven't already been dispatched.  We
+	 * try to place these near the job's phase-0 inputs, but we haven't
+	 * located any of them yet, so we wait until we've located enough of
+	 * them or until we've read all of the job's inputs (see
+	 * jobReducersReady).
 	 */
+	job.j_reduce_deferred = true;
+};
+
+/*
+ * Returns true if any of the job's reduce tasks have yet to be written, either
+ * because we haven't finished locating its inputs or because it's paused.
+ */
+function jobReducersPending(job)
+{
+	if (job.j_reduce_deferred)
+		return (true);
+
+	if (job.j_job['dryRun'] === true)
+		return (false);
+
+	return (job.j_phases.some(function (phase) {
+		return (phase.p_reducers !== undefined &&
+		    phase.p_reducers.some(function (reducer) {
+			return (reducer.r_task === undefined &&
+			    !reducer.r_failed);
+		    }));
+	}));
+}
+
+/*
+ * Returns true if we've seen enough of "job"'s phase-0 inputs to place its
+ * reduce tasks (see mwReduceLocateMin above).
+ */
+function jobReducersReady(job, now)
+{
+	return (job.j_input_fully_read ||
+	    job.j_nlocated >= mwReduceLocateMin ||
+	    (job.j_located_first !== undefined &&
+	    now - job.j_located_first >= mwReduceLocateWindow));
+}
+
+/*
+ * Dispatch any reduce tasks for this job that haven't already been dispatched.
+ */
+Worker.prototype.jobDispatchReducers = function (job)
+{
+	var worker = this;
 	var now = mod_jsprim.iso8601(Date.now());
 
+	if (job.j_paused !== undefined && job.j_cancelled === undefined) {
+		job.j_reduce_deferred = true;
+		return;
+	}
+
+	job.j_reduce_deferred = false;
+	if (job.j_cancelled !== undefined || job.j_job['dryRun'] === true)
+		return;
+
 	job.j_phases.forEach(function (phase, pi) {
 		if (!phase.p_reducers)
 			return;
 
 		phase.p_reducers.forEach(function (reducer, ri) {
 			var task, value;
-			var instance = worker.reduceSelectAgent();
+			var instance = worker.reduceSelectAgent(undefined,
+			    job.j_locality);
 
 			if (instance === null) {
+				reducer.r_failed = true;
 				worker.jobError(job, pi, now,
 				    EM_SERVICEUNAVAILABLE,
 				    sprintf('no servers available for ' +
@@ -3150,6 +4367,7 @@ Worker.prototype.jobLoaded = function (job)
 				task.t_etag = etags['etags'][0]['etag'];
 				mod_assert.ok(task.t_etag !== undefined);
 				worker.taskPostDispatchCheck(task);
+				worker.jobPropagateEnd(job, null);
 			});
 		});
 	});
@@ -3163,8 +4381,11 @@ Worker.prototype.jobRemove = function (job)
 	if (job.j_state == 'unassigned')
 		this.w_stats['asgn_failed']++;
 
+	this.accountTasksAdd(job, -jobQuotaCount(job));
+	this.dispWantRelease(job);
 	job.j_dropped = new Date();
 	delete (this.w_jobs[job.j_id]);
+	this.jobUpstreamUnsubscribe(job);
 
 	job.j_log.info('job removed');
 
@@ -3178,6 +4399,10 @@ Worker.prototype.jobRemove = function (job)
 	if (job.j_nlocates !== 0)
 		job.j_log.info('job removed with %d pending locate requests',
 		    job.j_nlocates);
+
+	if (job.j_notify_queue.length !== 0)
+		job.j_log.info('job removed with %d pending notifications',
+		    job.j_notify_queue.length);
 };
 
 /*
@@ -3217,6 +4442,9 @@ Worker.prototype.jobTick = function (job)
 	if (!job.j_save_throttle.ongoing() && job.j_save.dirty())
 		this.jobSave(job);
 
+	if (job.j_notify !== undefined)
+		this.jobNotifyTick(job);
+
 	if (job.j_state == 'initializing' || job.j_state == 'finishing')
 		/* We'll get kicked out of this state asynchronously. */
 		return;
@@ -3229,6 +4457,25 @@ Worker.prototype.jobTick = function (job)
 		    function () { job.j_mark_inputs.done(); });
 	}
 
+	if (job.j_cancelled === undefined && job.j_deadline !== undefined &&
+	    Date.now() > job.j_deadline)
+		this.jobTimeout(job);
+
+	if (this.accountOverQuota(job.j_job['owner']) &&
+	    !job.j_quota_poll.tooRecent())
+		this.jobQuotaPoll(job);
+
+	if (job.j_input_deferred)
+		this.jobPropagateEnd(job, null);
+
+	if (job.j_reduce_deferred && jobReducersReady(job, Date.now()))
+		this.jobDispatchReducers(job);
+
+	if (job.j_upstream !== undefined && job.j_cancelled === undefined &&
+	    job.j_job['timeInputDone'] === undefined &&
+	    !job.j_upstream_poll.tooRecent())
+		this.jobUpstreamPoll(job);
+
 	if (this.jobDone(job)) {
 		job.j_save.markDirty();
 		job.j_job['timeDone'] = mod_jsprim.iso8601(new Date());
@@ -3236,11 +4483,17 @@ Worker.prototype.jobTick = function (job)
 		this.jobTransition(job, 'running', 'finishing');
 		this.w_dtrace.fire('job-done',
 		    function () { return ([ job.j_id, job.j_job ]); });
+		this.jobNotify(job, 'done');
 		return;
 	}
 
+	/*
+	 * Jobs with an upstream job may legitimately go a long time without new
+	 * inputs.  Their input is ended when the upstream job finishes.
+	 */
 	var timeout = this.w_conf['tunables']['timeJobIdleClose'];
-	if (job.j_last_input !== undefined && timeout) {
+	if (job.j_last_input !== undefined && timeout &&
+	    job.j_upstream === undefined) {
 		var now = Date.now();
 		if (now - job.j_last_input > timeout) {
 			job.j_log.warn('ending input (idle for %sms)',
@@ -3255,111 +4508,400 @@ Worker.prototype.jobTick = function (job)
 	}
 };
 
-Worker.prototype.jobInputEnded = function (job)
+/*
+ * Invoked when a job has been running for longer than its "timeout".  We cancel
+ * the job with a JobTimeoutError so that the user can tell what happened.
+ */
+Worker.prototype.jobTimeout = function (job)
 {
-	var worker = this;
-	var domainid = job.j_job['worker'];
-	var sid = this.w_ourdomains[domainid][wQueries.wqJobInputs['name']];
+	job.j_log.info('job timed out after %d seconds', job.j_job['timeout']);
+	this.jobAbort(job, EM_JOBTIMEOUT,
+	    sprintf('job timed out after %d seconds', job.j_job['timeout']));
+};
 
-	this.w_dtrace.fire('job-input-done',
-	    function () { return ([ job.j_id, job.j_job ]); });
-	job.j_last_input = undefined;
-	this.jobMarkAllInputs(job, function () {
-		worker.w_bus.fence(sid, function () {
-			job.j_log.info('finished reading job inputs');
-			job.j_input_fully_read = true;
-			worker.w_dtrace.fire('job-inputs-read',
-			    function () { return ([ job.j_id ]); });
-			worker.jobPropagateEnd(job, null);
-			worker.jobTick(job);
-		});
-	});
+/*
+ * Cancel a job on the system's initiative.  We cancel the job exactly as though
+ * the user had cancelled it, except that we also write out an error with the
+ * given code and message.  Since the error applies to the whole job, it's
+ * reported against phase 0.
+ */
+Worker.prototype.jobAbort = function (job, code, message)
+{
+	var now = mod_jsprim.iso8601(Date.now());
+
+	job.j_cancelled = now;
+	job.j_job['timeCancelled'] = now;
+	job.j_save.markDirty();
+
+	this.jobError(job, 0, now, code, message);
+	this.dispWantRelease(job);
+	this.jobNotify(job, 'cancelled');
+	this.jobCancelRecords(job.j_id, now);
 };
 
 /*
- * Updates jobinput objects to have domain = us.  We do this in batches to avoid
- * arbitrary-size server-side operations, so we keep running the query until we
- * get fewer than the "limit" number of records updated.
+ * Fetch the record for a job's upstream job and act on its state.  See "JOB
+ * DEPENDENCIES" above.
  */
-Worker.prototype.jobMarkAllInputs = function (job, callback)
+Worker.prototype.jobUpstreamPoll = function (job)
 {
-	var worker, bucket, filter, changes, request;
+	var worker = this;
+	var queryconf = wQueries.wqJobUpstream;
+	var upjob;
+
+	job.j_upstream_poll.start();
+	this.w_bus.oneshot(this.w_buckets[queryconf['bucket']],
+	    queryconf['query'].bind(null, job.j_upstream), this.w_bus_options,
+	    function (record) { upjob = record['value']; },
+	    function () {
+		job.j_upstream_poll.done();
+
+		if (job.j_dropped || job.j_cancelled !== undefined ||
+		    job.j_job['timeInputDone'] !== undefined)
+			return;
+
+		worker.jobUpstreamCheck(job, upjob);
+	    });
+};
+
+Worker.prototype.jobUpstreamCheck = function (job, upjob)
+{
+	var upstream = job.j_upstream;
 
 	/*
-	 * We must not allow multiple of these to be executed concurrently, or
-	 * they may end up stomping on each others' records, causing those
-	 * records' etags to change (even though the content won't have
-	 * changed), causing etag conflict errors dispatching tasks.
+	 * We don't distinguish between jobs that don't exist and jobs owned
+	 * by someone else so that users can't find out about other users' jobs.
 	 */
-	if (job.j_mark_pending) {
-		job.j_log.info('mark inputs already pending');
-		job.j_mark_needed.push(callback);
+	if (upjob === undefined || upjob['owner'] != job.j_job['owner'] ||
+	    upstream == job.j_id) {
+		job.j_log.warn('upstream job "%s" not found', upstream);
+		this.jobAbort(job, EM_UPSTREAMJOB,
+		    sprintf('upstream job "%s" not found', upstream));
 		return;
 	}
 
-	worker = this;
-	bucket = this.w_buckets['jobinput'];
-	filter = sprintf('(&(jobId=%s)(!(domain=*)))', job.j_id);
-	changes = { 'domain': job.j_job['worker'] };
-	request = [ 'update', bucket, filter, changes, this.w_update_options ];
-
-	job.j_log.info('marking inputs');
-	this.w_dtrace.fire('job-mark-inputs-start',
-	    function () { return ([ job.j_id ]); });
+	if (upjob['timeCancelled'] !== undefined) {
+		job.j_log.info('upstream job "%s" was cancelled', upstream);
+		this.jobAbort(job, EM_UPSTREAMJOB,
+		    sprintf('upstream job "%s" was cancelled', upstream));
+		return;
+	}
 
-	job.j_mark_pending = true;
-	this.w_bus.batch([ request ], {}, function (err, meta) {
-		job.j_mark_pending = false;
-		worker.w_dtrace.fire('job-mark-inputs-done',
-		    function () { return ([ job.j_id ]); });
-		job.j_log.info({
-		    'err': err,
-		    'count': meta ? meta.etags[0].count : null
-		}, 'marked inputs');
+	job.j_upstream_job = upjob;
 
-		if (meta && meta.etags[0]['count'] >=
-		    worker.w_update_options['limit']) {
-			job.j_log.warn('mark inputs: update overflow');
-			worker.jobMarkAllInputs(job, callback);
-		} else {
-			callback(err, meta);
-		}
+	if (job.j_upstream_sid === undefined)
+		this.jobUpstreamSubscribe(job, upjob['phases'].length - 1);
 
-		if (job.j_mark_needed.length > 0) {
-			job.j_log.info('mark inputs: kicking another update');
-			var next = job.j_mark_needed.shift();
-			worker.jobMarkAllInputs(job, next);
-		}
-	});
+	if (upjob['state'] == 'done' && !job.j_upstream_ending)
+		this.jobUpstreamEnd(job);
 };
 
-Worker.prototype.jobSave = function (job)
+/*
+ * Start polling for outputs from the upstream job's last phase, "phasei".
+ */
+Worker.prototype.jobUpstreamSubscribe = function (job, phasei)
 {
 	var worker = this;
+	var queryconf = wQueries.wqJobUpstreamOutputs;
+	var options = queryconf['options'](this.w_conf);
 
-	mod_assert.ok(!job.j_save_throttle.ongoing());
-	job.j_save_throttle.start();
-	job.j_log.debug('saving job (%j)', job.j_save);
-	job.j_save.saveStart();
-
-	var options = {};
-
-	if (job.j_state != 'unassigned') {
+	job.j_log.info('polling for outputs of upstream job "%s"',
+	    job.j_upstream);
+	job.j_upstream_sid = this.w_bus.subscribe(
+	    this.w_buckets[queryconf['bucket']], function () {
 		/*
-		 * This write is time-sensitive, so ignore the throttle.  We
-		 * don't ignore the throttle for assignment writes since they're
-		 * not time-critical, and if a write gets delayed by the
-		 * throttle, perhaps this worker really is too busy to take this
-		 * job.
+		 * The query is regenerated at the start of each poll.  If the
+		 * last poll read all the way to the last output, recheck some
+		 * of the unsettled ones.  See "JOB DEPENDENCIES" above.
 		 */
-		options['ignoreThrottle'] = true;
+		var ids = [];
+
+		if (!job.j_upstream_recheck &&
+		    job.j_upstream_nread < options['limit'])
+			ids = Object.keys(job.j_upstream_unsettled).slice(
+			    0, mwUpstreamRecheck);
+
+		job.j_upstream_nread = 0;
+		job.j_upstream_recheck = ids.length > 0;
+		if (job.j_upstream_recheck)
+			return (queryconf['recheck'](job.j_upstream, phasei,
+			    ids));
+
+		return (queryconf['query'](job.j_upstream, phasei,
+		    job.j_upstream_next));
+	    }, options, function (record, barrier) {
+		worker.onRecordUpstreamOutput(job, record, barrier);
+	    });
+};
 
-		/*
-		 * The job record is only ever modified by ourselves and muskie,
-		 * but surprisingly, even in a functioning system with no
-		 * outages or errors, it's impossible for us to always know what
-		 * the expected job etag should be if we both modify the record
-		 * at nearly the same time.  We'll see the muskie write as part
+/*
+ * Stop polling for upstream outputs, if we were.
+ */
+Worker.prototype.jobUpstreamUnsubscribe = function (job)
+{
+	if (job.j_upstream_sid === undefined)
+		return;
+
+	this.w_bus.unsubscribe(job.j_upstream_sid);
+	job.j_upstream_sid = undefined;
+};
+
+/*
+ * Handle a taskoutput from the upstream job's last phase, found either by
+ * reading past the last output we'd read or by rechecking an unsettled one.
+ * See "JOB DEPENDENCIES" above.
+ */
+Worker.prototype.onRecordUpstreamOutput = function (job, record, barrier)
+{
+	var value = record['value'];
+	var id = record['_id'];
+	var upjob = job.j_upstream_job;
+
+	if (job.j_dropped || job.j_cancelled !== undefined)
+		return;
+
+	job.j_upstream_nread++;
+	if (job.j_upstream_recheck) {
+		if (!job.j_upstream_unsettled.hasOwnProperty(id))
+			return;
+	} else {
+		if (id < job.j_upstream_next)
+			return;
+		job.j_upstream_next = id + 1;
+	}
+
+	/*
+	 * Outputs that are still unsettled go to the back of the line so that
+	 * we eventually recheck all of them.
+	 */
+	delete (job.j_upstream_unsettled[id]);
+	if (value['timeCommitted'] === undefined && upjob['state'] != 'done') {
+		job.j_upstream_unsettled[id] = true;
+		return;
+	}
+
+	/* Outputs of failed tasks are marked "false" (see MANTA-1065). */
+	if (value['timeCommitted'] !== undefined &&
+	    String(value['valid']) == 'true')
+		this.jobUpstreamPropagate(job, record, barrier);
+};
+
+/*
+ * Write a jobinput for the given upstream taskoutput.
+ */
+Worker.prototype.jobUpstreamPropagate = function (job, record, barrier)
+{
+	var id = record['_id'];
+	var key = sprintf('%s-%s', job.j_id, record['key']);
+	var value = {
+	    'jobId': job.j_id,
+	    'domain': job.j_job['worker'],
+	    'input': record['value']['output'],
+	    'timeCreated': mod_jsprim.iso8601(Date.now())
+	};
+
+	job.j_upstream_nputs++;
+	barrier.start(key);
+	this.w_bus.batch([ [ 'put', this.w_buckets['jobinput'], key, value,
+	    { 'etag': null } ] ], {}, function (err) {
+		barrier.done(key);
+
+		if (!err ||
+		    VError.findCauseByName(err, 'EtagConflictError') !== null)
+			return;
+
+		/*
+		 * Transient errors are retried by the bus, so this shouldn't
+		 * happen.  If it does, try again on a subsequent poll.
+		 */
+		job.j_log.error(err, 'failed to save jobinput for upstream ' +
+		    'output "%s"', record['value']['output']);
+		job.j_upstream_unsettled[id] = true;
+	});
+};
+
+/*
+ * Invoked when the upstream job is done.  Once we've read all of its outputs,
+ * none of them is left unsettled, and a poll has found nothing new to
+ * propagate, we end this job's input.
+ */
+Worker.prototype.jobUpstreamEnd = function (job)
+{
+	var worker = this;
+	var nputs = job.j_upstream_nputs;
+
+	job.j_upstream_ending = true;
+	this.w_bus.fence(job.j_upstream_sid, function () {
+		var upjob, now;
+
+		if (job.j_dropped || job.j_cancelled !== undefined)
+			return;
+
+		if (job.j_upstream_nputs != nputs ||
+		    !mod_jsprim.isEmpty(job.j_upstream_unsettled) ||
+		    job.j_upstream_recheck || job.j_upstream_nread >=
+		    worker.w_conf['tunables']['maxRecordsPerQuery']) {
+			worker.jobUpstreamEnd(job);
+			return;
+		}
+
+		worker.jobUpstreamUnsubscribe(job);
+
+		now = mod_jsprim.iso8601(Date.now());
+		upjob = job.j_upstream_job;
+		if (upjob['stats'] && upjob['stats']['nErrors'] > 0)
+			worker.jobError(job, 0, now, EM_UPSTREAMJOB,
+			    sprintf('upstream job "%s" completed with %d ' +
+			    'errors', job.j_upstream,
+			    upjob['stats']['nErrors']));
+
+		job.j_log.info('upstream job "%s" done (%d inputs written); ' +
+		    'ending input', job.j_upstream, nputs);
+		if (job.j_job['timeInputDone'] === undefined) {
+			job.j_job['timeInputDone'] = now;
+			job.j_save.markDirty();
+			if (!job.j_save_throttle.ongoing())
+				worker.jobSave(job);
+		}
+	});
+};
+
+Worker.prototype.jobInputEnded = function (job)
+{
+	var worker = this;
+	var domainid = job.j_job['worker'];
+	var sid = this.w_ourdomains[domainid][wQueries.wqJobInputs['name']];
+
+	this.w_dtrace.fire('job-input-done',
+	    function () { return ([ job.j_id, job.j_job ]); });
+	job.j_last_input = undefined;
+	this.jobMarkAllInputs(job, function () {
+		worker.jobInputFence(job);
+	});
+};
+
+/*
+ * Waits until we've read all of the job's inputs and then marks them fully
+ * read.  Jobs that expand directory inputs may still add inputs while phase-0
+ * inputs are being dispatched, so in that case we wait for those dispatches to
+ * finish (see jobPropagateEnd) and then try again.
+ */
+Worker.prototype.jobInputFence = function (job)
+{
+	var worker = this;
+	var domainid = job.j_job['worker'];
+	var sid = this.w_ourdomains[domainid][wQueries.wqJobInputs['name']];
+
+	this.w_bus.fence(sid, function () {
+		if (job.j_inputs_held) {
+			job.j_log.debug('deferring end of input ' +
+			    '(dispatches held)');
+			job.j_input_deferred = true;
+			return;
+		}
+
+		if (job.j_job['expandDirectories'] === true &&
+		    job.j_phases[0].p_ndispatches > 0) {
+			job.j_log.debug('deferring end of input');
+			job.j_input_deferred = true;
+			return;
+		}
+
+		job.j_log.info('finished reading job inputs');
+		job.j_input_fully_read = true;
+		worker.w_dtrace.fire('job-inputs-read',
+		    function () { return ([ job.j_id ]); });
+		if (job.j_reduce_deferred)
+			worker.jobDispatchReducers(job);
+		worker.jobPropagateEnd(job, null);
+		worker.jobTick(job);
+	});
+};
+
+/*
+ * Updates jobinput objects to have domain = us.  We do this in batches to avoid
+ * arbitrary-size server-side operations, so we keep running the query until we
+ * get fewer than the "limit" number of records updated.
+ */
+Worker.prototype.jobMarkAllInputs = function (job, callback)
+{
+	var worker, bucket, filter, changes, request;
+
+	/*
+	 * We must not allow multiple of these to be executed concurrently, or
+	 * they may end up stomping on each others' records, causing those
+	 * records' etags to change (even though the content won't have
+	 * changed), causing etag conflict errors dispatching tasks.
+	 */
+	if (job.j_mark_pending) {
+		job.j_log.info('mark inputs already pending');
+		job.j_mark_needed.push(callback);
+		return;
+	}
+
+	worker = this;
+	bucket = this.w_buckets['jobinput'];
+	filter = sprintf('(&(jobId=%s)(!(domain=*)))', job.j_id);
+	changes = { 'domain': job.j_job['worker'] };
+	request = [ 'update', bucket, filter, changes, this.w_update_options ];
+
+	job.j_log.info('marking inputs');
+	this.w_dtrace.fire('job-mark-inputs-start',
+	    function () { return ([ job.j_id ]); });
+
+	job.j_mark_pending = true;
+	this.w_bus.batch([ request ], {}, function (err, meta) {
+		job.j_mark_pending = false;
+		worker.w_dtrace.fire('job-mark-inputs-done',
+		    function () { return ([ job.j_id ]); });
+		job.j_log.info({
+		    'err': err,
+		    'count': meta ? meta.etags[0].count : null
+		}, 'marked inputs');
+
+		if (meta && meta.etags[0]['count'] >=
+		    worker.w_update_options['limit']) {
+			job.j_log.warn('mark inputs: update overflow');
+			worker.jobMarkAllInputs(job, callback);
+		} else {
+			callback(err, meta);
+		}
+
+		if (job.j_mark_needed.length > 0) {
+			job.j_log.info('mark inputs: kicking another update');
+			var next = job.j_mark_needed.shift();
+			worker.jobMarkAllInputs(job, next);
+		}
+	});
+};
+
+Worker.prototype.jobSave = function (job)
+{
+	var worker = this;
+
+	mod_assert.ok(!job.j_save_throttle.ongoing());
+	job.j_save_throttle.start();
+	job.j_log.debug('saving job (%j)', job.j_save);
+	job.j_save.saveStart();
+
+	var options = {};
+
+	if (job.j_state != 'unassigned') {
+		/*
+		 * This write is time-sensitive, so ignore the throttle.  We
+		 * don't ignore the throttle for assignment writes since they're
+		 * not time-critical, and if a write gets delayed by the
+		 * throttle, perhaps this worker really is too busy to take this
+		 * job.
+		 */
+		options['ignoreThrottle'] = true;
+
+		/*
+		 * The job record is only ever modified by ourselves and muskie,
+		 * but surprisingly, even in a functioning system with no
+		 * outages or errors, it's impossible for us to always know what
+		 * the expected job etag should be if we both modify the record
+		 * at nearly the same time.  We'll see the muskie write as part
 		 * of a poll operation, and we'll see the etag from our own
 		 * write in the "put" response, but we could see these in-order
 		 * or out-of-order with respect to what happened in the
@@ -3368,9 +4910,24 @@ Worker.prototype.jobSave = function (job)
 		 * EtagConflict error.
 		 */
 		options['retryConflict'] = function (oldrec, newrec) {
+			/*
+			 * We may have cancelled the job or ended its input
+			 * ourselves (see jobAbort and jobUpstreamEnd) at about
+			 * the same time that the user did.  Either time will
+			 * do, so we take the one that's already been written.
+			 */
+			[ 'timeCancelled', 'timeInputDone' ].forEach(
+			    function (field) {
+				if (oldrec['value'][field] !== undefined &&
+				    newrec['value'][field] !== undefined)
+					newrec['value'][field] =
+					    oldrec['value'][field];
+			    });
+
 			return (mod_bus.mergeRecords([
 				'timeCancelled',
-				'timeInputDone'
+				'timeInputDone',
+				'timePaused'
 			], [
 				/*
 				 * These are all the fields that we *might* have
@@ -3384,14 +4941,22 @@ Worker.prototype.jobSave = function (job)
 				 */
 				'state',
 				'timeAssigned',
+				'timeCancelled',
 				'timeInputDone',
 				'timeInputDoneRead',
+				'timePausedRead',
 				'timeDone',
-				'stats'
+				'stats',
+				'progress',
+				'dryRunSummary',
+				'notifyStatus'
 			], oldrec['value'], newrec['value']));
 		};
 	}
 
+	if (job.j_state == 'running' || job.j_state == 'finishing')
+		job.j_job['progress'] = jobProgress(job);
+
 	var records = [ [
 	    'put',
 	    this.w_buckets['job'],
@@ -3429,82 +4994,362 @@ Worker.prototype.jobSave = function (job)
 			}
 		}
 
-		if (job.j_state == 'finishing' && !job.j_save.dirty())
+		/*
+		 * Keep finished jobs around until their notifications have
+		 * been delivered (or given up on) and that's been saved.  See
+		 * "JOB NOTIFICATIONS" above.
+		 */
+		if (job.j_state == 'finishing' && !job.j_save.dirty() &&
+		    job.j_notify_queue.length === 0)
 			worker.jobRemove(job);
 	});
 };
 
 /*
- * Returns true iff the job is complete.
+ * Queues a notification of "event" for the given job, if the job asked for
+ * one.  See "JOB NOTIFICATIONS" above.
  */
-Worker.prototype.jobDone = function (job)
+Worker.prototype.jobNotify = function (job, event)
 {
-	var pi;
+	var events, now;
 
-	if (job.j_state != 'running' && job.j_state != 'finishing')
-		return (false);
+	if (job.j_notify === undefined)
+		return;
 
-	if (job.j_cancelled === undefined && !job.j_input_fully_read)
-		return (false);
+	events = job.j_notify['events'] ||
+	    [ 'assigned', 'inputDone', 'cancelled', 'done' ];
+	if (events.indexOf(event) == -1)
+		return;
 
-	if (job.j_nlocates > 0 || job.j_nauths > 0 || job.j_ndeletes > 0)
-		return (false);
+	/*
+	 * The first notification in the queue may be being delivered, so we
+	 * leave it alone.
+	 */
+	if (event == 'errors' || event == 'done') {
+		job.j_notify_queue = job.j_notify_queue.filter(function (n, i) {
+			return (i === 0 || n['event'] != 'errors');
+		});
+	}
 
-	for (pi = 0; pi < job.j_phases.length; pi++) {
-		if (job.j_phases[pi].p_ndispatches > 0 ||
-		    job.j_phases[pi].p_nuncommitted > 0)
-			return (false);
+	if (job.j_notify_queue.length >= mwNotifyQueueMax) {
+		job.j_log.warn('notification queue full: dropping "%s" ' +
+		    'notification', job.j_notify_queue[1]['event']);
+		job.j_notify_queue.splice(1, 1);
+		this.w_stats['notify_dropped']++;
+	}
 
-		if (job.j_cancelled === undefined &&
-		    (job.j_phases[pi].p_nunmarked_propagate > 0 ||
-		    job.j_phases[pi].p_nunmarked_cleanup > 0 ||
-		    job.j_phases[pi].p_nunmarked_retry > 0 ||
-		    job.j_phases[pi].p_nunpropagated > 0 ||
-		    job.j_phases[pi].p_ninretryneeded > 0 ||
-		    job.j_phases[pi].p_nretryneeded > 0))
-			return (false);
+	now = mod_jsprim.iso8601(Date.now());
+	job.j_log.info('queueing "%s" notification', event);
+	job.j_notify_queue.push({
+	    'event': event,
+	    'body': {
+		'jobId': job.j_id,
+		'event': event,
+		'time': now,
+		'state': job.j_job['state'],
+		'timeCancelled': job.j_job['timeCancelled'],
+		'timeDone': job.j_job['timeDone'],
+		'stats': mod_jsprim.deepCopy(job.j_job['stats'])
+	    }
+	});
+
+	this.jobNotifyStatus(job);
+	this.jobNotifyDeliver(job);
+};
+
+/*
+ * Invoked from jobTick for jobs with a notification policy to queue "errors"
+ * notifications and to retry failed deliveries.
+ */
+Worker.prototype.jobNotifyTick = function (job)
+{
+	var interval, nerrors;
+
+	if (job.j_state == 'running' &&
+	    job.j_job['stats'] !== undefined) {
+		interval = job.j_notify['errorInterval'] || 1;
+		nerrors = Math.floor(job.j_job['stats']['nErrors'] / interval);
+		if (job.j_notify_nerrors === undefined) {
+			/* Errors from before we took the job were counted. */
+			job.j_notify_nerrors = nerrors;
+		} else if (nerrors > job.j_notify_nerrors) {
+			job.j_notify_nerrors = nerrors;
+			this.jobNotify(job, 'errors');
+		}
 	}
 
-	mod_assert.ok(job.j_ndelslop === 0);
-	return (true);
+	this.jobNotifyDeliver(job);
 };
 
 /*
- * Most of the work done by this service goes through one of several queues
- * documented in Worker above.  This function is invoked periodically to
- * process work on each of these queues.
+ * Attempts to deliver the first queued notification for the given job, unless
+ * a delivery is already in progress or it's too soon to retry.
  */
-Worker.prototype.processQueues = function ()
+Worker.prototype.jobNotifyDeliver = function (job)
 {
-	var now, key, job;
-	var dispatch;
-	var queries = [];
 	var worker = this;
+	var notification, body, url, done, finished;
 
-	now = mod_jsprim.iso8601(new Date());
+	if (job.j_notify_pending || job.j_notify_queue.length === 0 ||
+	    Date.now() < job.j_notify_next)
+		return;
 
-	while (this.w_pending_auths < this.w_max_pending_auths &&
-	    this.w_auths_out.length > 0) {
-		dispatch = this.w_auths_out.shift();
-		this.w_pending_auths++;
-		this.dispResolveUser(dispatch);
-	}
+	notification = job.j_notify_queue[0];
+	body = JSON.stringify(notification['body']);
+	url = mod_url.parse(job.j_notify['url']);
 
-	while (this.w_auths_in.length > 0) {
-		this.w_pending_auths--;
+	job.j_notify_pending = true;
+	job.j_job['notifyStatus']['lastEvent'] = notification['event'];
+	job.j_job['notifyStatus']['timeLastAttempt'] =
+	    mod_jsprim.iso8601(Date.now());
 
-		dispatch = this.w_auths_in.shift();
-		job = dispatch.d_job;
-		job.j_nauths--;
+	/*
+	 * An aborted request may still emit "error" after we've moved on, so
+	 * only the first completion of each request counts.
+	 */
+	finished = false;
+	done = function (err) {
+		if (finished)
+			return;
 
-		if (job.j_dropped) {
-			dispatch.d_barrier.done(dispatch.d_id);
-			dispatch.d_job.j_phases[dispatch.d_pi].p_ndispatches--;
-			continue;
-		}
+		finished = true;
+		job.j_notify_pending = false;
+		worker.jobNotifyDone(job, err);
+	};
 
-		if (dispatch.d_error !== undefined)
-			this.dispError(dispatch);
+	if (!notifyHostAllowed(this.w_notify_hosts, url.hostname)) {
+		done(new VError('host "%s" is not allowed', url.hostname));
+		return;
+	}
+
+	mod_dns.lookup(url.hostname, function (err, address) {
+		if (err) {
+			done(new VError(err, 'failed to resolve "%s"',
+			    url.hostname));
+			return;
+		}
+
+		if (!mod_mautil.isPublicAddress(address)) {
+			done(new VError('host "%s" resolved to non-public ' +
+			    'address %s', url.hostname, address));
+			return;
+		}
+
+		worker.jobNotifyPost(url, address, body,
+		    job.j_notify['secret'], done);
+	});
+};
+
+/*
+ * POST the notification "body" to "url" by connecting to "address", which has
+ * already been checked (see jobNotifyDeliver).  "done" is invoked with an error
+ * if the request fails or times out, or if the server doesn't return a 2xx
+ * status.  It may be invoked more than once.
+ */
+Worker.prototype.jobNotifyPost = function (url, address, body, secret, done)
+{
+	var tunables = this.w_conf['tunables'];
+	var req;
+
+	req = (url.protocol == 'https:' ? mod_https : mod_http).request({
+	    'method': 'POST',
+	    'hostname': address,
+	    'servername': url.hostname,
+	    'port': url.port,
+	    'path': url.path,
+	    'headers': {
+		'host': url.host,
+		'content-type': 'application/json',
+		'content-length': Buffer.byteLength(body),
+		'x-marlin-signature': mod_crypto.createHmac('sha256',
+		    secret).update(body).digest('hex')
+	    }
+	}, function (response) {
+		response.resume();
+		if (response.statusCode >= 200 && response.statusCode < 300)
+			done(null);
+		else
+			done(new VError('unexpected status code %d',
+			    response.statusCode));
+	});
+
+	req.setTimeout(tunables['timeNotifyTimeout'], function () {
+		done(new VError('timed out after %dms',
+		    tunables['timeNotifyTimeout']));
+		req.abort();
+	});
+
+	req.on('error', function (err) {
+		done(new VError(err, 'request failed'));
+	});
+
+	req.end(body);
+};
+
+/*
+ * Returns true if notifications may be delivered to "hostname" according to
+ * the operator's "notify.allowedHosts" list.  Each entry matches that hostname
+ * exactly or, if it begins with ".", any name within that domain.  An entry of
+ * "*" matches any host.
+ */
+function notifyHostAllowed(allowed, hostname)
+{
+	hostname = hostname.toLowerCase();
+
+	return (allowed.some(function (entry) {
+		entry = entry.toLowerCase();
+
+		if (entry == '*')
+			return (true);
+
+		if (entry.charAt(0) == '.')
+			return (hostname.length > entry.length &&
+			    hostname.substr(-entry.length) == entry);
+
+		return (hostname == entry);
+	}));
+}
+
+/*
+ * Invoked when an attempt to deliver the first queued notification for the
+ * given job has completed, possibly with error "err".
+ */
+Worker.prototype.jobNotifyDone = function (job, err)
+{
+	var tunables = this.w_conf['tunables'];
+	var status, notification;
+
+	if (job.j_dropped !== undefined)
+		return;
+
+	status = job.j_job['notifyStatus'];
+	notification = job.j_notify_queue[0];
+
+	if (!err) {
+		job.j_log.info('delivered "%s" notification',
+		    notification['event']);
+		job.j_notify_queue.shift();
+		job.j_notify_attempts = 0;
+		job.j_notify_next = 0;
+		status['nDelivered']++;
+		status['timeLastDelivered'] = mod_jsprim.iso8601(Date.now());
+		this.w_stats['notify_ok']++;
+	} else if (++job.j_notify_attempts >= tunables['maxNotifyAttempts']) {
+		job.j_log.warn(err, 'giving up on "%s" notification ' +
+		    'after %d attempts', notification['event'],
+		    job.j_notify_attempts);
+		job.j_notify_queue.shift();
+		job.j_notify_attempts = 0;
+		job.j_notify_next = 0;
+		status['nFailed']++;
+		status['lastError'] = err.message;
+		this.w_stats['notify_failed']++;
+	} else {
+		job.j_log.warn(err, 'failed to deliver "%s" notification ' +
+		    '(attempt %d)', notification['event'],
+		    job.j_notify_attempts);
+		job.j_notify_next = Date.now() + tunables['timeNotifyRetry'] *
+		    Math.pow(2, job.j_notify_attempts - 1);
+		status['lastError'] = err.message;
+	}
+
+	this.jobNotifyStatus(job);
+	this.jobNotifyDeliver(job);
+};
+
+/*
+ * Updates the job record's "notifyStatus" to reflect the notification queue.
+ * The job will be saved on the next tick.
+ */
+Worker.prototype.jobNotifyStatus = function (job)
+{
+	if (job.j_job['notifyStatus'] === undefined)
+		job.j_job['notifyStatus'] = {
+		    'nDelivered': 0,
+		    'nFailed': 0,
+		    'nPending': 0
+		};
+
+	job.j_job['notifyStatus']['nPending'] = job.j_notify_queue.length;
+	job.j_save.markDirty();
+};
+
+/*
+ * Returns true iff the job is complete.
+ */
+Worker.prototype.jobDone = function (job)
+{
+	var pi;
+
+	if (job.j_state != 'running' && job.j_state != 'finishing')
+		return (false);
+
+	if (job.j_cancelled === undefined && !job.j_input_fully_read)
+		return (false);
+
+	if (job.j_cancelled === undefined && jobReducersPending(job))
+		return (false);
+
+	if (job.j_nlocates > 0 || job.j_nauths > 0 || job.j_ndeletes > 0)
+		return (false);
+
+	for (pi = 0; pi < job.j_phases.length; pi++) {
+		if (job.j_phases[pi].p_ndispatches > 0 ||
+		    job.j_phases[pi].p_nuncommitted > 0)
+			return (false);
+
+		if (job.j_cancelled === undefined &&
+		    (job.j_phases[pi].p_nunmarked_propagate > 0 ||
+		    job.j_phases[pi].p_nunmarked_cleanup > 0 ||
+		    job.j_phases[pi].p_nunmarked_retry > 0 ||
+		    job.j_phases[pi].p_nunpropagated > 0 ||
+		    job.j_phases[pi].p_ninretryneeded > 0 ||
+		    job.j_phases[pi].p_nretryneeded > 0))
+			return (false);
+	}
+
+	mod_assert.ok(job.j_ndelslop === 0);
+	return (true);
+};
+
+/*
+ * Most of the work done by this service goes through one of several queues
+ * documented in Worker above.  This function is invoked periodically to
+ * process work on each of these queues.
+ */
+Worker.prototype.processQueues = function ()
+{
+	var now, key, job;
+	var dispatch;
+	var queries = [];
+	var worker = this;
+
+	now = mod_jsprim.iso8601(new Date());
+	if (!mod_jsprim.isEmpty(this.w_dispatch_release))
+		this.dispReleaseHeld(now);
+
+	while (this.w_pending_auths < this.w_max_pending_auths &&
+	    this.w_auths_out.length > 0) {
+		dispatch = this.w_auths_out.shift();
+		this.w_pending_auths++;
+		this.dispResolveUser(dispatch);
+	}
+
+	while (this.w_auths_in.length > 0) {
+		this.w_pending_auths--;
+
+		dispatch = this.w_auths_in.shift();
+		job = dispatch.d_job;
+		job.j_nauths--;
+
+		if (job.j_dropped) {
+			dispatch.d_barrier.done(dispatch.d_id);
+			dispatch.d_job.j_phases[dispatch.d_pi].p_ndispatches--;
+			continue;
+		}
+
+		if (dispatch.d_error !== undefined)
+			this.dispError(dispatch);
 		else
 			this.dispLocate(dispatch);
 	}
@@ -3568,7 +5413,8 @@ Worker.prototype.taskCreate = function (job, pi, now)
 	task.t_value['timeDispatched'] = now;
 	task.t_value['domain'] = job.j_job['worker'];
 
-	job.j_phases[pi].p_nuncommitted++;
+	this.phaseUncommittedAdd(job, job.j_phases[pi], 1);
+	job.j_phases[pi].p_stats['nTasksDispatched']++;
 	job.j_job['stats']['nTasksDispatched']++;
 
 	return (task);
@@ -3603,6 +5449,156 @@ Worker.prototype.taskPostDispatchCheck = function (task)
 	this.agentAbandonStale(instance, job, timestamp);
 };
 
+/*
+ * Remember an outstanding map task so that we can speculate on it later.  See
+ * "Speculative execution" above.
+ */
+Worker.prototype.taskTrack = function (phase, task, objectid, locations)
+{
+	phase.p_outstanding[task.t_id] = {
+	    'ts_value': task.t_value,		/* task record */
+	    'ts_start': Date.parse(task.t_value['timeDispatched']),
+	    'ts_objectid': objectid,		/* see d_objectid */
+	    'ts_locations': locations,		/* see d_locations */
+	    'ts_twin': undefined		/* id of speculative twin */
+	};
+};
+
+/*
+ * Forget about a task that has just been committed.  If it was one we were
+ * tracking and it completed successfully, add its time to the phase's sample.
+ */
+Worker.prototype.taskUntrack = function (phase, record, now)
+{
+	var entry = phase.p_outstanding[record['key']];
+
+	delete (phase.p_outstanding[record['key']]);
+	delete (phase.p_speculated[record['key']]);
+
+	if (entry === undefined || record['value']['result'] != 'ok' ||
+	    record['value']['timeCancelled'] !== undefined)
+		return;
+
+	phase.p_times.push(Date.parse(now) - entry.ts_start);
+	if (phase.p_times.length > mwSpeculateSamples)
+		phase.p_times.shift();
+};
+
+/*
+ * Look for straggling map tasks in "job" and dispatch a speculative duplicate
+ * for each one.
+ */
+Worker.prototype.jobSpeculate = function (job)
+{
+	var worker = this;
+	var now = Date.now();
+
+	if (job.j_state != 'running' || job.j_cancelled !== undefined ||
+	    job.j_paused !== undefined)
+		return;
+
+	job.j_phases.forEach(function (phase, pi) {
+		var times, threshold;
+
+		if (phase.p_type == 'reduce' ||
+		    phase.p_times.length < mwSpeculateMinSamples)
+			return;
+
+		times = phase.p_times.slice(0).sort(
+		    function (a, b) { return (a - b); });
+		threshold = Math.max(worker.w_spec_min, worker.w_spec_factor *
+		    times[Math.floor(times.length / 2)]);
+
+		mod_jsprim.forEachKey(phase.p_outstanding,
+		    function (taskid, entry) {
+			if (entry.ts_twin === undefined &&
+			    now - entry.ts_start > threshold)
+				worker.taskSpeculate(job, pi, entry, now);
+		    });
+	});
+};
+
+/*
+ * Dispatch a duplicate of the outstanding map task described by "entry" to a
+ * different agent holding a copy of the same object.  If there's no such agent,
+ * we'll try again the next time around.
+ */
+Worker.prototype.taskSpeculate = function (job, pi, entry, now)
+{
+	var worker = this;
+	var phase = job.j_phases[pi];
+	var orig = entry.ts_value;
+	var which, agent, task, value, pair;
+
+	which = this.dispMapSelectShark({
+	    'd_objectid': entry.ts_objectid,
+	    'd_locations': entry.ts_locations
+	}, orig['mantaComputeId']);
+	if (which === null)
+		return;
+
+	if (which['instance'] == orig['mantaComputeId']) {
+		/* We're not actually dispatching anything to this agent. */
+		this.w_agents[which['instance']].a_ndispatched--;
+		return;
+	}
+
+	agent = this.w_agents[which['instance']];
+	task = this.taskCreate(job, pi, mod_jsprim.iso8601(now));
+	value = task.t_value;
+	[ 'input', 'p0input', 'account', 'creator', 'objectid',
+	    'prevRecordType', 'prevRecordId', 'nattempts',
+	    'retryPolicy', 'failures' ].forEach(function (field) {
+		if (orig[field] !== undefined)
+			value[field] = orig[field];
+	});
+	value['mantaComputeId'] = agent.a_record['value']['instance'];
+	value['agentGeneration'] = agent.a_record['value']['generation'];
+	value['zonename'] = which['zonename'];
+	value['timeDispatchDone'] = value['timeDispatched'];
+	value['speculativeOf'] = orig['taskId'];
+
+	job.j_log.info('task "%s": outstanding for %dms, speculating as "%s"',
+	    orig['taskId'], now - entry.ts_start, task.t_id);
+	this.w_stats['spec_issued']++;
+
+	pair = {
+	    'sp_tasks': [ orig['taskId'], task.t_id ],
+	    'sp_winner': undefined
+	};
+	phase.p_speculated[orig['taskId']] = pair;
+	phase.p_speculated[task.t_id] = pair;
+	entry.ts_twin = task.t_id;
+	this.taskTrack(phase, task, entry.ts_objectid, entry.ts_locations);
+	phase.p_outstanding[task.t_id].ts_twin = orig['taskId'];
+
+	this.w_dtrace.fire('task-dispatched', function () {
+	    return ([ job.j_id, task.t_id, value ]);
+	});
+
+	this.w_bus.putBatch([
+	    [ this.w_buckets['task'], task.t_id, value ]
+	], {}, function (err) {
+		if (!err) {
+			worker.taskPostDispatchCheck(task);
+			return;
+		}
+
+		job.j_log.warn(err, 'failed to dispatch speculative task "%s"',
+		    task.t_id);
+		agent.a_ndispatched--;
+		job.j_job['stats']['nTasksDispatched']--;
+		phase.p_stats['nTasksDispatched']--;
+		worker.phaseUncommittedAdd(job, phase, -1);
+		delete (phase.p_outstanding[task.t_id]);
+		delete (phase.p_speculated[task.t_id]);
+		if (pair.sp_winner === undefined) {
+			delete (phase.p_speculated[orig['taskId']]);
+			entry.ts_twin = undefined;
+		}
+	});
+};
+
 /*
  * Dispatch pipeline
  *
@@ -3627,7 +5623,43 @@ Worker.prototype.taskPostDispatchCheck = function (task)
  *         agent corresponding to one of the locations selected at random.  If
  *         the object is zero bytes in length, then it exists nowhere but may be
  *         processed anywhere, so write the task record assigned to any agent
- *         selected at random.
+ *         selected at random.  If the input names a directory, either replace
+ *         it with the objects it contains or emit an error (see "DIRECTORY
+ *         INPUTS" above).
+ *
+ * The outgoing auth and locate queues are ordered by job priority: dispatches
+ * for higher-priority jobs are processed before those of lower-priority jobs,
+ * and dispatches of equal priority are processed in arrival order.  See
+ * dispEnqueue.
+ *
+ * If the "maxTasksPerAccount" tunable is non-zero, then before writing out a
+ * new map task or reduce taskinput, we also check whether the job's owner
+ * already has that many outstanding tasks across all of the jobs we're
+ * managing, counting both uncommitted map tasks and unread taskinputs.  If so,
+ * the dispatch is held in w_dispatch (again in priority order) until some of
+ * the account's tasks are committed or taskinputs read, at which point
+ * processQueues releases it.  We keep these counts in w_account_tasks as tasks
+ * are issued and committed.  Agents mark taskinputs read without telling us,
+ * so while an account is over quota, we periodically recount its unread
+ * taskinputs (see jobQuotaPoll).  Reduce tasks themselves are not counted:
+ * they're issued when the job is loaded and each one only ever occupies a
+ * single zone.  All dispatches for paused jobs are held the same way until the
+ * job is resumed (see "PAUSED JOBS" above).  Note that the tunable is a single
+ * limit that applies to each account separately: there's no way to give
+ * particular accounts a different limit, and since each supervisor only counts
+ * the tasks for the jobs it's managing, an account whose jobs are spread across
+ * several supervisors may have that many tasks on each of them.
+ *
+ * A held dispatch releases its subscription barrier (see dispHold), since
+ * otherwise one account over its quota would stop us from polling that
+ * subscription for every other job in the domain.  While any of a job's
+ * dispatches are held or its owner is over quota, we leave the job out of our
+ * queries for new jobinputs and taskoutputs (see queryExcludeHeld), and we
+ * ignore records that we're already holding dispatches for.  When a held
+ * dispatch is released, a poll that's already in flight may still return its
+ * record from before the dispatch was written out.  As with batched map tasks
+ * (see above), the second dispatch's write fails on the origin record's etag,
+ * so no duplicate task is written.
  *
  * We manage the state of a dispatch request through this pipeline using
  * the following fields:
@@ -3649,6 +5681,9 @@ Worker.prototype.taskPostDispatchCheck = function (task)
  *
  *    d_ri		designated reducer index (reduce only)
  *
+ *    d_bi		index of the input being retried, for retries of
+ *    			batched map tasks (see taskRetryMap)
+ *
  * During execution of this pipeline we'll fill in these fields in roughly the
  * this order:
  *
@@ -3674,6 +5709,9 @@ Worker.prototype.taskPostDispatchCheck = function (task)
  *    d_objectid		unique object identifier, or
  *    (see dispLocate)		'/dev/null' for zero-byte objects
  *
+ *    d_type			"directory" if the input names a directory
+ *    (see dispLocate)		(see "DIRECTORY INPUTS" above)
+ *
  *    d_roles			role tags on the object, as reported by moray
  *    (see dispLocate)		metadata
  *
@@ -3703,7 +5741,25 @@ Worker.prototype.dispStart = function (dispatch)
 	var job = dispatch.d_job;
 	job.j_nauths++;
 	job.j_log.debug('resolve "%s": new request', dispatch.d_objname);
-	this.w_auths_out.push(dispatch);
+	this.dispEnqueue(this.w_auths_out, dispatch);
+};
+
+/*
+ * Insert "dispatch" into the outgoing queue "queue" behind all dispatches whose
+ * jobs have the same or higher priority.  In the common case where all jobs
+ * have the same priority, this is equivalent to appending the dispatch.
+ */
+Worker.prototype.dispEnqueue = function (queue, dispatch)
+{
+	var priority = dispatch.d_job.j_priority;
+	var i;
+
+	for (i = queue.length; i > 0; i--) {
+		if (queue[i - 1].d_job.j_priority >= priority)
+			break;
+	}
+
+	queue.splice(i, 0, dispatch);
 };
 
 Worker.prototype.dispResolveUser = function (dispatch)
@@ -3813,7 +5869,7 @@ Worker.prototype.dispLocate = function (dispatch)
 	}
 
 	this.w_locates_pending[objname] = dispatch;
-	this.w_locates_out.push(dispatch);
+	this.dispEnqueue(this.w_locates_out, dispatch);
 	job.j_log.debug('locate "%s": enqueued new request', objname);
 };
 
@@ -3861,13 +5917,18 @@ Worker.prototype.dispLocateResponse = function (dispatches, err, locations)
 			l = locations[iobjname];
 			dispatch.d_creator = l['creator'];
 			dispatch.d_roles = l['roles'] || [];
-			dispatch.d_objectid = l['contentLength'] === 0 ?
-			    '/dev/null' : l['objectid'];
-			dispatch.d_locations = l['sharks'].filter(
-			    function (loc) {
-				return (worker.dispLocateValidLoc(
-				    iobjname, loc));
-			    });
+			dispatch.d_type = l['type'];
+			if (l['type'] == 'directory') {
+				dispatch.d_locations = [];
+			} else {
+				dispatch.d_objectid = l['contentLength'] === 0 ?
+				    '/dev/null' : l['objectid'];
+				dispatch.d_locations = l['sharks'].filter(
+				    function (loc) {
+					return (worker.dispLocateValidLoc(
+					    iobjname, loc));
+				    });
+			}
 			this.w_dtrace.fire('locate-done', function () {
 				return ([ dispatch.d_objname_internal, '' ]);
 			});
@@ -3881,6 +5942,7 @@ Worker.prototype.dispLocateResponse = function (dispatches, err, locations)
 			odispatch.d_creator = dispatch.d_creator;
 			odispatch.d_roles = dispatch.d_roles;
 			odispatch.d_objectid = dispatch.d_objectid;
+			odispatch.d_type = dispatch.d_type;
 			odispatch.d_locations = dispatch.d_locations;
 			worker.w_locates_in.push(odispatch);
 		});
@@ -3927,44 +5989,626 @@ Worker.prototype.dispLocateValidLoc = function (input, loc)
 		return (false);
 	}
 
-	return (true);
+	return (true);
+};
+
+Worker.prototype.dispDispatch = function (dispatch)
+{
+	if (dispatch.d_error === undefined && !this.isAuthorized(dispatch)) {
+		dispatch.d_error = {
+		    'code': EM_AUTHORIZATION,
+		    'message': sprintf('permission denied: "%s"',
+			dispatch.d_objname)
+		};
+	}
+
+	if (dispatch.d_error === undefined &&
+	    dispatch.d_job.j_cancelled !== undefined) {
+		dispatch.d_error = {
+		    'code': EM_JOBCANCELLED,
+		    'message': 'job was cancelled'
+		};
+	}
+
+	if (dispatch.d_error === undefined &&
+	    dispatch.d_type == 'directory' && !this.dispCanExpand(dispatch)) {
+		dispatch.d_error = {
+		    'code': EM_INVALIDARGUMENT,
+		    'message': sprintf('objects of type "directory" are not ' +
+			'supported: "%s"', dispatch.d_objname)
+		};
+	}
+
+	if (dispatch.d_error !== undefined) {
+		this.dispError(dispatch);
+	} else if (dispatch.d_job.j_job['dryRun'] === true) {
+		this.dispDryRun(dispatch);
+	} else if (dispatch.d_type == 'directory') {
+		this.dispExpand(dispatch);
+	} else if (this.dispMustHold(dispatch)) {
+		this.dispHold(dispatch);
+	} else if (dispatch.d_job.j_phases[dispatch.d_pi].p_type == 'reduce') {
+		this.dispLocality(dispatch);
+		this.dispReduce(dispatch);
+	} else {
+		this.dispLocality(dispatch);
+		this.dispMap(dispatch);
+	}
+};
+
+/*
+ * Instead of dispatching the given input for a dry-run job, record what we
+ * would have done with it and mark it propagated.  See "DRY RUNS" above.
+ */
+Worker.prototype.dispDryRun = function (dispatch)
+{
+	var worker = this;
+	var job = dispatch.d_job;
+	var which, stat, origin_value;
+
+	if (dispatch.d_type == 'directory') {
+		stat = 'nDirectories';
+	} else if (job.j_phases[dispatch.d_pi].p_type == 'reduce') {
+		stat = 'nReduceInputs';
+	} else {
+		which = this.dispMapSelectShark(dispatch);
+		if (which === null) {
+			dispatch.d_error = {
+			    'code': EM_SERVICEUNAVAILABLE,
+			    'message': 'no servers available to run task'
+			};
+			this.dispError(dispatch);
+			return;
+		}
+
+		/* We're not actually dispatching anything to this agent. */
+		this.w_agents[which['instance']].a_ndispatched--;
+		stat = 'nDispatches';
+	}
+
+	dispatch.d_time = mod_jsprim.iso8601(Date.now());
+	origin_value = dispatch.d_origin['value'];
+	origin_value['nextRecordType'] = 'none';
+	origin_value['nextRecordId'] = 'none';
+	origin_value['timePropagated'] = dispatch.d_time;
+
+	this.w_bus.putBatch([ [
+	    dispatch.d_origin['bucket'],
+	    dispatch.d_origin['key'],
+	    origin_value,
+	    { 'etag': dispatch.d_origin['_etag'] }
+	] ], {}, function (err) {
+		var summary = job.j_job['dryRunSummary'];
+
+		if (err) {
+			job.j_log.error(err, 'dry run "%s": failed to save ' +
+			    'input', dispatch.d_objname);
+		} else {
+			summary[stat]++;
+			if (which !== undefined)
+				summaryAdd(summary['agents'],
+				    which['instance']);
+		}
+
+		dispatch.d_barrier.done(dispatch.d_id);
+		job.j_phases[dispatch.d_pi].p_ndispatches--;
+		worker.jobPropagateEnd(job, null);
+		worker.jobTick(job);
+	});
+};
+
+/*
+ * Returns true if the given located directory should be replaced with the
+ * objects it contains.  Only phase-0 inputs of jobs that asked for it are
+ * expanded.  See "DIRECTORY INPUTS" above.
+ */
+Worker.prototype.dispCanExpand = function (dispatch)
+{
+	return (dispatch.d_pi === 0 &&
+	    dispatch.d_origin['bucket'] == this.w_buckets['jobinput'] &&
+	    dispatch.d_job.j_job['expandDirectories'] === true);
+};
+
+/*
+ * List the objects contained in a directory input and replace the input with
+ * them (see dispExpandWrite).
+ */
+Worker.prototype.dispExpand = function (dispatch)
+{
+	var worker = this;
+	var job = dispatch.d_job;
+	var max = this.w_conf['tunables']['maxDirectoryInputs'];
+	var options = {
+	    'headers': {
+		'authorization': sprintf('Token %s', job.j_job['auth']['token'])
+	    }
+	};
+
+	job.j_log.debug('expand "%s": listing', dispatch.d_objname);
+	listObjects(this.w_manta, dispatch.d_objname, options, max,
+	    function (err, objects) {
+		if (err && (err['name'] == 'ResourceNotFoundError' ||
+		    err['name'] == 'DirectoryDoesNotExistError')) {
+			dispatch.d_error = {
+			    'code': EM_RESOURCENOTFOUND,
+			    'message': sprintf('no such object: "%s"',
+				dispatch.d_objname)
+			};
+		} else if (err && (err['name'] == 'AuthorizationFailedError' ||
+		    err['name'] == 'ForbiddenError' ||
+		    err['name'] == 'NoMatchingRoleTagError')) {
+			dispatch.d_error = {
+			    'code': EM_AUTHORIZATION,
+			    'message': sprintf('permission denied: "%s"',
+				dispatch.d_objname)
+			};
+		} else if (err) {
+			job.j_log.warn(err, 'expand "%s": failed',
+			    dispatch.d_objname);
+			dispatch.d_error = {
+			    'code': EM_INTERNAL,
+			    'message': 'internal error',
+			    'messageInternal': sprintf('listing "%s": %s',
+				dispatch.d_objname, err.message)
+			};
+		} else if (objects.length > max) {
+			dispatch.d_error = {
+			    'code': EM_INVALIDARGUMENT,
+			    'message': sprintf('directory "%s" contains more ' +
+				'than %d objects', dispatch.d_objname, max)
+			};
+		} else if (job.j_cancelled !== undefined) {
+			dispatch.d_error = {
+			    'code': EM_JOBCANCELLED,
+			    'message': 'job was cancelled'
+			};
+		}
+
+		if (dispatch.d_error !== undefined) {
+			worker.dispError(dispatch);
+			return;
+		}
+
+		worker.dispExpandWrite(dispatch, objects);
+	    });
+};
+
+/*
+ * Write a new jobinput for each of the given objects, then mark the directory's
+ * jobinput propagated.  See "DIRECTORY INPUTS" above.
+ */
+Worker.prototype.dispExpandWrite = function (dispatch, objects)
+{
+	var worker = this;
+	var job = dispatch.d_job;
+	var records, origin_value;
+	var nwritten = 0;
+	var nattempts = 0;
+
+	dispatch.d_time = mod_jsprim.iso8601(Date.now());
+	records = objects.map(function (name, i) {
+		return ([ worker.w_buckets['jobinput'],
+		    sprintf('%s-%d', dispatch.d_origin['key'], i), {
+		    'jobId': job.j_id,
+		    'domain': job.j_job['worker'],
+		    'input': name,
+		    'timeCreated': dispatch.d_time
+		}, { 'etag': null } ]);
+	});
+
+	function writeDone()
+	{
+		dispatch.d_barrier.done(dispatch.d_id);
+		job.j_phases[dispatch.d_pi].p_ndispatches--;
+		worker.jobPropagateEnd(job, null);
+		worker.jobTick(job);
+	}
+
+	function writeFailed(err)
+	{
+		job.j_log.error(err, 'expand "%s": failed to save inputs ' +
+		    '(attempt %d)', dispatch.d_objname, ++nattempts);
+		if (nattempts < mwExpandMaxAttempts) {
+			setTimeout(writeNext, mwExpandRetryMin *
+			    Math.pow(2, nattempts - 1));
+			return;
+		}
+
+		dispatch.d_error = {
+		    'code': EM_INTERNAL,
+		    'message': nwritten === 0 ? 'internal error' :
+			sprintf('directory "%s" was only partially expanded ' +
+			'(%d of %d objects added)', dispatch.d_objname,
+			nwritten, objects.length),
+		    'messageInternal': sprintf('saving inputs for "%s": %s',
+			dispatch.d_objname, err.message)
+		};
+		worker.dispError(dispatch);
+	}
+
+	function writeOrigin()
+	{
+		origin_value = dispatch.d_origin['value'];
+		origin_value['nextRecordType'] = 'none';
+		origin_value['nextRecordId'] = 'none';
+		origin_value['timePropagated'] = dispatch.d_time;
+
+		worker.w_bus.putBatch([ [
+		    dispatch.d_origin['bucket'],
+		    dispatch.d_origin['key'],
+		    origin_value,
+		    { 'etag': dispatch.d_origin['_etag'] }
+		] ], {}, function (err) {
+			if (!err) {
+				job.j_log.info('expand "%s": added %d inputs',
+				    dispatch.d_objname, objects.length);
+				writeDone();
+				return;
+			}
+
+			/*
+			 * If the directory's jobinput was changed since we read
+			 * it, we'll pick it up again on a subsequent poll.
+			 */
+			if (VError.findCauseByName(err,
+			    'EtagConflictError') !== null) {
+				job.j_log.warn(err, 'expand "%s": failed to ' +
+				    'mark input propagated',
+				    dispatch.d_objname);
+				writeDone();
+				return;
+			}
+
+			writeFailed(err);
+		});
+	}
+
+	function writeNext()
+	{
+		var batch;
+
+		if (job.j_dropped) {
+			dispatch.d_barrier.done(dispatch.d_id);
+			return;
+		}
+
+		if (nwritten == records.length) {
+			writeOrigin();
+			return;
+		}
+
+		batch = records.slice(nwritten, nwritten + mwExpandBatchSize);
+		worker.dispExpandWriteBatch(batch, function (err) {
+			if (err) {
+				writeFailed(err);
+				return;
+			}
+
+			nattempts = 0;
+			nwritten += batch.length;
+			writeNext();
+		});
+	}
+
+	writeNext();
+};
+
+/*
+ * Write the given batch of new jobinputs, none of which may already exist.  If
+ * some of them do (because we've expanded the same directory before), the
+ * batch fails as a whole, so we write each one separately instead, skipping
+ * the ones that already exist.
+ */
+Worker.prototype.dispExpandWriteBatch = function (batch, callback)
+{
+	var worker = this;
+
+	this.w_bus.putBatch(batch, {}, function (err) {
+		if (!err ||
+		    VError.findCauseByName(err, 'EtagConflictError') === null) {
+			callback(err);
+			return;
+		}
+
+		mod_vasync.forEachParallel({
+		    'inputs': batch,
+		    'func': function (record, subcallback) {
+			worker.w_bus.putBatch([ record ], {},
+			    function (suberr) {
+				if (suberr && VError.findCauseByName(suberr,
+				    'EtagConflictError') !== null)
+					suberr = null;
+				subcallback(suberr);
+			    });
+		    }
+		}, function (suberr) {
+			callback(suberr);
+		});
+	});
+};
+
+/*
+ * For phase-0 inputs, record where the object was located so that we can place
+ * reduce tasks near the job's inputs.  If we were waiting for this information
+ * to dispatch the job's reduce tasks and we now have enough of it, do that now.
+ */
+Worker.prototype.dispLocality = function (dispatch)
+{
+	var job = dispatch.d_job;
+	var now;
+
+	if (dispatch.d_pi !== 0)
+		return;
+
+	now = Date.now();
+	localityAdd(job.j_locality, dispatch.d_locations);
+	if (job.j_nlocated++ === 0)
+		job.j_located_first = now;
+	if (job.j_reduce_deferred && jobReducersReady(job, now))
+		this.jobDispatchReducers(job);
+};
+
+/*
+ * Adjust the number of tasks outstanding for "job"'s owner by "delta".  When
+ * that goes down, the account's held dispatches may now be released.  See
+ * "maxTasksPerAccount" above.
+ */
+Worker.prototype.accountTasksAdd = function (job, delta)
+{
+	var owner = job.j_job['owner'];
+
+	if (job.j_dropped !== undefined || delta === 0)
+		return;
+
+	if (!this.w_account_tasks.hasOwnProperty(owner))
+		this.w_account_tasks[owner] = 0;
+
+	this.w_account_tasks[owner] += delta;
+	mod_assert.ok(this.w_account_tasks[owner] >= 0);
+	if (this.w_account_tasks[owner] === 0)
+		delete (this.w_account_tasks[owner]);
+
+	if (delta < 0)
+		this.dispWantRelease(job);
+};
+
+/*
+ * Returns true if "owner" has at least as many outstanding tasks as the
+ * "maxTasksPerAccount" tunable allows.
+ */
+Worker.prototype.accountOverQuota = function (owner)
+{
+	return (this.w_max_account_tasks > 0 &&
+	    this.w_account_tasks.hasOwnProperty(owner) &&
+	    this.w_account_tasks[owner] >= this.w_max_account_tasks);
+};
+
+/*
+ * Adjust the number of uncommitted tasks for "phase" of "job" by "delta".
+ */
+Worker.prototype.phaseUncommittedAdd = function (job, phase, delta)
+{
+	phase.p_nuncommitted += delta;
+	if (phase.p_type != 'reduce')
+		this.accountTasksAdd(job, delta);
+};
+
+/*
+ * Record that reduce phase "phase" of "job" has "count" unread taskinputs.
+ */
+Worker.prototype.phaseUnreadSet = function (job, phase, count)
+{
+	var delta = count - phase.p_ntiunread;
+
+	phase.p_ntiunread = count;
+	this.accountTasksAdd(job, delta);
+};
+
+/*
+ * Agents mark taskinputs read without telling us, so while "job"'s owner is
+ * over its task quota, we periodically recount the job's unread taskinputs.
+ * Taskinputs we issue while the count is outstanding may or may not be
+ * included in it, so we assume they're not.  At worst, we overcount them until
+ * the next poll.
+ */
+Worker.prototype.jobQuotaPoll = function (job)
+{
+	var worker = this;
+	var barrier = mod_vasync.barrier();
+
+	job.j_quota_poll.start();
+	barrier.on('drain', function () { job.j_quota_poll.done(); });
+	barrier.start('quota poll');
+
+	job.j_phases.forEach(function (phase, i) {
+		var queryconf, query, ndispatched;
+
+		if (phase.p_type != 'reduce')
+			return;
+
+		queryconf = wQueries.wqCountJobTaskInputsUnread;
+		query = queryconf['query'].bind(null, i, job.j_id);
+		ndispatched = phase.p_ntidispatched;
+		barrier.start('phase ' + i);
+		worker.w_bus.count(worker.w_buckets[queryconf['bucket']],
+		    query, worker.w_bus_options, function (c) {
+			barrier.done('phase ' + i);
+			mod_assert.equal(typeof (c), 'number');
+			worker.phaseUnreadSet(job, phase,
+			    c + phase.p_ntidispatched - ndispatched);
+		    });
+	});
+
+	barrier.done('quota poll');
+};
+
+/*
+ * Returns the number of tasks and taskinputs for "job" that count against its
+ * owner's task quota.
+ */
+function jobQuotaCount(job)
+{
+	var count = 0;
+
+	job.j_phases.forEach(function (phase) {
+		if (phase.p_type == 'reduce')
+			count += phase.p_ntiunread;
+		else
+			count += phase.p_nuncommitted || 0;
+	});
+
+	return (count);
+}
+
+/*
+ * Returns true if new dispatches for "job" must be held for now, either because
+ * the job is paused, because the job's owner is over its task quota, or because
+ * we're still holding some of the job's dispatches.
+ */
+Worker.prototype.jobMustHold = function (job)
+{
+	return (job.j_paused !== undefined || job.j_nheld > 0 ||
+	    this.accountOverQuota(job.j_job['owner']));
+};
+
+/*
+ * Returns true if "dispatch" must be held for now, either because its job is
+ * paused or because its job's owner is over its task quota.
+ */
+Worker.prototype.dispMustHold = function (dispatch)
+{
+	return (dispatch.d_job.j_paused !== undefined ||
+	    this.accountOverQuota(dispatch.d_job.j_job['owner']));
+};
+
+/*
+ * Returns true if we're holding a dispatch for "record" (see dispHold), either
+ * for quota or because it's waiting in a batch (see dispMapBatch).
+ */
+Worker.prototype.dispIsHeld = function (record)
+{
+	var id = record['bucket'] + '/' + record['key'];
+
+	return (this.w_dispatch_held.hasOwnProperty(id) ||
+	    this.w_batched.hasOwnProperty(id));
+};
+
+/*
+ * Hold "dispatch" until its job's owner is back under quota or the job is
+ * resumed.  We release the dispatch's subscription barrier so that a held
+ * dispatch doesn't stop the subscription from being polled for other jobs.
+ * Subsequent polls may return the dispatch's record again, so callers check
+ * dispIsHeld before creating a new dispatch.
+ */
+Worker.prototype.dispHold = function (dispatch)
+{
+	var owner = dispatch.d_job.j_job['owner'];
+
+	if (!this.w_dispatch.hasOwnProperty(owner)) {
+		this.w_dispatch[owner] = [];
+		this.w_log.info('account "%s": holding dispatches (%s)', owner,
+		    dispatch.d_job.j_paused !== undefined ? 'job paused' :
+		    'over task quota');
+	}
+
+	this.w_stats['disp_held']++;
+	this.w_dispatch_held[dispatch.d_id] = dispatch;
+	dispatch.d_job.j_nheld++;
+	this.dispEnqueue(this.w_dispatch[owner], dispatch);
+	dispatch.d_barrier.done(dispatch.d_id);
+};
+
+/*
+ * Stop holding "dispatch", which has already been removed from w_dispatch.
+ */
+Worker.prototype.dispUnhold = function (dispatch)
+{
+	delete (this.w_dispatch_held[dispatch.d_id]);
+	dispatch.d_job.j_nheld--;
+
+	if (!dispatch.d_job.j_dropped)
+		dispatch.d_barrier.start(dispatch.d_id);
+};
+
+/*
+ * Note that we should try to release held dispatches for "job"'s owner the next
+ * time we process the queues.
+ */
+Worker.prototype.dispWantRelease = function (job)
+{
+	var owner = job.j_job['owner'];
+
+	if (this.w_dispatch.hasOwnProperty(owner))
+		this.w_dispatch_release[owner] = true;
+};
+
+/*
+ * Release whichever held dispatches we can for accounts that may have changed
+ * (see dispWantRelease), either because the owning account is now under its
+ * task quota, because the job has been resumed, or because the job has since
+ * been cancelled or dropped.
+ */
+Worker.prototype.dispReleaseHeld = function (now)
+{
+	var worker = this;
+	var owners = Object.keys(this.w_dispatch_release);
+
+	this.w_dispatch_release = {};
+	owners.forEach(function (owner) {
+		var queue = worker.w_dispatch[owner];
+		var held = [];
+
+		if (queue === undefined)
+			return;
+
+		queue.forEach(function (dispatch) {
+			var job = dispatch.d_job;
+
+			if (job.j_dropped) {
+				worker.dispUnhold(dispatch);
+				job.j_phases[dispatch.d_pi].p_ndispatches--;
+			} else if (job.j_cancelled !== undefined ||
+			    !worker.dispMustHold(dispatch)) {
+				worker.dispUnhold(dispatch);
+				dispatch.d_time = now;
+				worker.dispDispatch(dispatch);
+			} else {
+				held.push(dispatch);
+			}
+		});
+
+		if (held.length > 0) {
+			worker.w_dispatch[owner] = held;
+		} else {
+			delete (worker.w_dispatch[owner]);
+			worker.w_log.info('account "%s": released all held ' +
+			    'dispatches', owner);
+		}
+	});
 };
 
-Worker.prototype.dispDispatch = function (dispatch)
+/*
+ * Returns the total number of dispatches currently held (see dispHold).
+ */
+Worker.prototype.dispHeldCount = function ()
 {
-	if (dispatch.d_error === undefined && !this.isAuthorized(dispatch)) {
-		dispatch.d_error = {
-		    'code': EM_AUTHORIZATION,
-		    'message': sprintf('permission denied: "%s"',
-			dispatch.d_objname)
-		};
-	}
+	var count = 0;
 
-	if (dispatch.d_error === undefined &&
-	    dispatch.d_job.j_cancelled !== undefined) {
-		dispatch.d_error = {
-		    'code': EM_JOBCANCELLED,
-		    'message': 'job was cancelled'
-		};
-	}
+	mod_jsprim.forEachKey(this.w_dispatch,
+	    function (_, queue) { count += queue.length; });
 
-	if (dispatch.d_error !== undefined)
-		this.dispError(dispatch);
-	else if (dispatch.d_job.j_phases[dispatch.d_pi].p_type == 'reduce')
-		this.dispReduce(dispatch);
-	else
-		this.dispMap(dispatch);
+	return (count);
 };
 
 /*
  * Dispatch an object for a map phase.  This always produces a new task (or an
- * error).
+ * error), though if the phase batches its inputs, the task may not be written
+ * until other inputs for the same agent come along.  See "Batched map tasks"
+ * above.
  */
 Worker.prototype.dispMap = function (dispatch)
 {
-	var worker = this;
-	var which, agent, task, value, origin_value, phase;
-	var isretry;
+	var which;
 
 	which = this.dispMapSelectShark(dispatch);
 	if (which === null) {
@@ -3976,66 +6620,226 @@ Worker.prototype.dispMap = function (dispatch)
 		return;
 	}
 
-	agent = this.w_agents[which['instance']];
-	task = this.taskCreate(dispatch.d_job, dispatch.d_pi, dispatch.d_time);
+	if (dispatch.d_job.j_phases[dispatch.d_pi].p_batchsize > 1 &&
+	    dispatch.d_origin['bucket'] != this.w_buckets['task']) {
+		this.dispMapBatch(dispatch, which);
+		return;
+	}
+
+	this.dispMapWrite(which['instance'], [ dispatch ],
+	    [ which['zonename'] ]);
+};
+
+/*
+ * Add a map dispatch to the pending batch for the agent selected to run it,
+ * creating the batch if necessary, and write out the batch if it's now full.
+ * The dispatch's barrier is released until the batch is written out (see
+ * "BATCHED MAP TASKS" above).
+ */
+Worker.prototype.dispMapBatch = function (dispatch, which)
+{
+	var key, batch;
+
+	key = sprintf('%s/%d/%s', dispatch.d_job.j_id, dispatch.d_pi,
+	    which['instance']);
+	if (!this.w_batches.hasOwnProperty(key)) {
+		batch = this.w_batches[key] = {
+		    'b_key': key,			/* key in w_batches */
+		    'b_job': dispatch.d_job,		/* job */
+		    'b_pi': dispatch.d_pi,		/* phase number */
+		    'b_instance': which['instance'],	/* selected agent */
+		    'b_start': Date.now(),		/* time first added */
+		    'b_dispatches': [],			/* pending dispatches */
+		    'b_zonenames': []			/* zonename for each */
+		};
+	} else {
+		batch = this.w_batches[key];
+	}
+
+	batch.b_dispatches.push(dispatch);
+	batch.b_zonenames.push(which['zonename']);
+	this.w_batched[dispatch.d_id] = dispatch;
+	dispatch.d_barrier.done(dispatch.d_id);
+
+	if (batch.b_dispatches.length >=
+	    dispatch.d_job.j_phases[dispatch.d_pi].p_batchsize)
+		this.dispMapBatchFlush(batch);
+};
+
+/*
+ * Write out any pending batches that have waited at least "timeMapBatch"
+ * milliseconds for more inputs.
+ */
+Worker.prototype.dispMapBatchFlushAll = function (now)
+{
+	var worker = this;
+	var batches = [];
+
+	mod_jsprim.forEachKey(this.w_batches, function (_, batch) {
+		if (now - batch.b_start >= worker.w_batch_time)
+			batches.push(batch);
+	});
+
+	batches.forEach(function (batch) {
+		worker.dispMapBatchFlush(batch);
+	});
+};
+
+/*
+ * Write out a single task for all of the inputs in the given batch.  If the
+ * job has since been dropped or cancelled, or the agent has since gone away,
+ * we deal with each dispatch the way we would have if it hadn't been held.  If
+ * the job has since been paused, we hold each dispatch instead (see dispHold).
+ */
+Worker.prototype.dispMapBatchFlush = function (batch)
+{
+	var worker = this;
+	var job, phase;
+
+	job = batch.b_job;
+	phase = job.j_phases[batch.b_pi];
+	mod_assert.equal(this.w_batches[batch.b_key], batch);
+	delete (this.w_batches[batch.b_key]);
+
+	/*
+	 * Take back each dispatch's barrier (see dispMapBatch) so that it can
+	 * be handled like any other dispatch.
+	 */
+	batch.b_dispatches.forEach(function (dispatch) {
+		delete (worker.w_batched[dispatch.d_id]);
+		if (job.j_dropped)
+			phase.p_ndispatches--;
+		else
+			dispatch.d_barrier.start(dispatch.d_id);
+	});
+
+	if (job.j_dropped)
+		return;
+
+	if (job.j_cancelled !== undefined) {
+		batch.b_dispatches.forEach(function (dispatch) {
+			dispatch.d_error = {
+			    'code': EM_JOBCANCELLED,
+			    'message': 'job was cancelled'
+			};
+			worker.dispError(dispatch);
+		});
+		return;
+	}
+
+	if (job.j_paused !== undefined) {
+		batch.b_dispatches.forEach(function (dispatch) {
+			worker.dispHold(dispatch);
+		});
+		return;
+	}
+
+	if (this.w_agents[batch.b_instance].a_timedout) {
+		job.j_log.info('agent "%s": timed out while batching inputs',
+		    batch.b_instance);
+		batch.b_dispatches.forEach(function (dispatch) {
+			worker.dispMap(dispatch);
+		});
+		return;
+	}
+
+	this.dispMapWrite(batch.b_instance, batch.b_dispatches,
+	    batch.b_zonenames);
+};
+
+/*
+ * Write out a single map task on agent "instance" for the given dispatches,
+ * which must all be for the same job and phase.  "zonenames" specifies the
+ * zonename for each dispatch's object on that agent.  If there's more than one
+ * dispatch, the task is a batched task, and the per-input fields are recorded
+ * in its "inputs" array as well.  Retries are never batched.
+ */
+Worker.prototype.dispMapWrite = function (instance, dispatches, zonenames)
+{
+	var worker = this;
+	var first, job, agent, task, value, records, prevphase;
+	var isretry, retrydone;
+
+	first = dispatches[0];
+	job = first.d_job;
+	agent = this.w_agents[instance];
+	task = this.taskCreate(job, first.d_pi, first.d_time);
 	value = task.t_value;
-	value['input'] = dispatch.d_objname;
-	value['p0input'] = dispatch.d_pi === 0 ? dispatch.d_objname :
-	    dispatch.d_origin['value']['p0input'];
-	value['account'] = dispatch.d_accountid;
-	value['creator'] = dispatch.d_creator;
-	value['objectid'] = dispatch.d_objectid;
 	value['mantaComputeId'] = agent.a_record['value']['instance'];
 	value['agentGeneration'] = agent.a_record['value']['generation'];
-	value['zonename'] = which['zonename'];
 	value['timeDispatchDone'] = value['timeDispatched'];
 
-	if (dispatch.d_origin['bucket'] == this.w_buckets['jobinput']) {
-		value['prevRecordType'] = 'jobinput';
-		isretry = false;
-	} else if (dispatch.d_origin['bucket'] ==
-	    this.w_buckets['taskoutput']) {
-		value['prevRecordType'] = 'taskoutput';
-		isretry = false;
-	} else {
-		mod_assert.equal(dispatch.d_origin['bucket'],
-		    this.w_buckets['task']);
-		mod_assert.ok(dispatch.d_origin['value']['wantRetry']);
-		value['prevRecordType'] = 'task';
-		isretry = true;
-	}
+	isretry = first.d_origin['bucket'] == this.w_buckets['task'];
+	mod_assert.ok(!isretry || dispatches.length == 1);
+	mod_assert.ok(!isretry || first.d_origin['value']['wantRetry']);
+
+	records = [ [ this.w_buckets['task'], task.t_id, value ] ];
+	value['inputs'] = dispatches.map(function (dispatch, i) {
+		var input, origin_value;
+
+		mod_assert.equal(dispatch.d_job, job);
+		mod_assert.equal(dispatch.d_pi, first.d_pi);
+
+		input = {
+		    'input': dispatch.d_objname,
+		    'p0input': dispatch.d_pi === 0 ? dispatch.d_objname :
+			dispatch.d_p0objname,
+		    'account': dispatch.d_accountid,
+		    'creator': dispatch.d_creator,
+		    'objectid': dispatch.d_objectid,
+		    'zonename': zonenames[i],
+		    'prevRecordType': worker.w_names[
+			dispatch.d_origin['bucket']],
+		    'prevRecordId': dispatch.d_origin['key']
+		};
 
-	value['prevRecordId'] = dispatch.d_origin['key'];
-	origin_value = dispatch.d_origin['value'];
+		origin_value = dispatch.d_origin['value'];
+		if (!isretry) {
+			origin_value['nextRecordType'] = 'task';
+			origin_value['nextRecordId'] = task.t_id;
+			origin_value['timePropagated'] = dispatch.d_time;
+		} else {
+			retrydone = dispMarkRetried(dispatch);
+		}
+
+		records.push([ dispatch.d_origin['bucket'],
+		    dispatch.d_origin['key'], origin_value,
+		    { 'etag': dispatch.d_origin['_etag'] } ]);
+		return (input);
+	});
+
+	/*
+	 * The task's own input fields always describe the first input, so that
+	 * tasks with a single input look the way they always have.
+	 */
+	mod_jsprim.forEachKey(value['inputs'][0], function (k, v) {
+		value[k] = v;
+	});
+	if (dispatches.length == 1)
+		delete (value['inputs']);
 
 	if (!isretry) {
 		value['nattempts'] = 1;
-		origin_value['nextRecordType'] = 'task';
-		origin_value['nextRecordId'] = task.t_id;
-		origin_value['timePropagated'] = dispatch.d_time;
 	} else {
-		value['nattempts'] = origin_value['nattempts'] ?
-		    origin_value['nattempts'] + 1 : 2;
-		origin_value['timeRetried'] = dispatch.d_time;
+		value['nattempts'] = first.d_origin['value']['nattempts'] ?
+		    first.d_origin['value']['nattempts'] + 1 : 2;
+		value['retryPolicy'] = mod_jsprim.deepCopy(job.j_retry);
+		value['failures'] = (first.d_origin['value']['failures'] ||
+		    []).concat([ {
+			'mantaComputeId':
+			    first.d_origin['value']['mantaComputeId'],
+			'errorCode': taskFailureCode(first.d_origin['value'])
+		    } ]);
 	}
 
 	this.w_dtrace.fire('task-dispatched', function () {
 	    return ([ task.t_value['jobId'], task.t_id, task.t_value ]);
 	});
 
-	if (dispatch.d_pi > 0)
-		phase = dispatch.d_job.j_phases[dispatch.d_pi - 1];
+	if (first.d_pi > 0)
+		prevphase = job.j_phases[first.d_pi - 1];
 
-	this.w_bus.putBatch([ [
-	    this.w_buckets['task'],
-	    task.t_id,
-	    value
-	], [
-	    dispatch.d_origin['bucket'],
-	    dispatch.d_origin['key'],
-	    origin_value,
-	    { 'etag': dispatch.d_origin['_etag'] }
-	] ], {
+	this.w_bus.putBatch(records, {
 	    'retryConflict': function (oldrec) {
 		/*
 		 * See the retryConflict function in taskRetryReduce.  The only
@@ -4056,26 +6860,57 @@ Worker.prototype.dispMap = function (dispatch)
 		}
 	    }
 	}, function (err) {
-		dispatch.d_barrier.done(dispatch.d_id);
-		dispatch.d_job.j_phases[dispatch.d_pi].p_ndispatches--;
+		var phase = job.j_phases[first.d_pi];
+
+		dispatches.forEach(function (dispatch) {
+			dispatch.d_barrier.done(dispatch.d_id);
+			phase.p_ndispatches--;
+
+			if (!err && dispatch.d_pi > 0 && !isretry)
+				prevphase.p_nunpropagated--;
+		});
 
 		if (!err) {
-			if (dispatch.d_pi > 0 && !isretry)
-				phase.p_nunpropagated--;
+			if (worker.w_spec_factor > 0 &&
+			    value['inputs'] === undefined)
+				worker.taskTrack(phase, task,
+				    first.d_objectid, first.d_locations);
 
-			worker.jobPropagateEnd(dispatch.d_job, null);
-			worker.jobTick(dispatch.d_job);
+			worker.jobPropagateEnd(job, null);
+			worker.jobTick(job);
 			worker.taskPostDispatchCheck(task);
 		} else {
-			phase = dispatch.d_job.j_phases[dispatch.d_pi];
-			dispatch.d_job.j_job['stats']['nTasksDispatched']--;
-			phase.p_nuncommitted--;
-			if (isretry)
+			job.j_job['stats']['nTasksDispatched']--;
+			phase.p_stats['nTasksDispatched']--;
+			worker.phaseUncommittedAdd(job, phase, -1);
+			if (isretry && retrydone)
 				phase.p_nretryneeded++;
 		}
 	});
 };
 
+/*
+ * Mark the origin task record of retry dispatch "dispatch" retried.  For
+ * batched tasks, this only marks the dispatch's input retried (see
+ * taskRetryMap) unless it was the last one.  Returns true if the task itself
+ * is now marked retried.
+ */
+function dispMarkRetried(dispatch)
+{
+	var value = dispatch.d_origin['value'];
+
+	if (dispatch.d_bi !== undefined) {
+		value['inputs'][dispatch.d_bi]['timeRetried'] = dispatch.d_time;
+		if (!value['inputs'].every(function (input) {
+			return (input['timeRetried'] !== undefined);
+		    }))
+			return (false);
+	}
+
+	value['timeRetried'] = dispatch.d_time;
+	return (true);
+}
+
 /*
  * Select a system to which to dispatch this map task.  Returns an object with
  * "instance" (a mantaComputeId) and "zonename", or null if there are no healthy
@@ -4083,14 +6918,17 @@ Worker.prototype.dispMap = function (dispatch)
  *
  * Tasks on zero-byte objects can be run anywhere.  Other tasks must be run at
  * one of the locations we already found for this object.  Of the available
- * systems, exclude any that aren't healthy, and avoid using the same one we
- * used for the previous attempt of this task.
+ * systems, exclude any that aren't healthy, and avoid using "avoidme" or, if
+ * that's not specified, the same one we used for the previous attempt of this
+ * task.  Among the rest, we prefer the least loaded system unless the
+ * "randomSharkSelection" tunable says to choose uniformly at random.
  */
-Worker.prototype.dispMapSelectShark = function (dispatch)
+Worker.prototype.dispMapSelectShark = function (dispatch, avoidme)
 {
-	var avoidme, agents, which;
+	var agents, which;
 
-	if (dispatch.d_origin['bucket'] == this.w_buckets['task'])
+	if (avoidme === undefined &&
+	    dispatch.d_origin['bucket'] == this.w_buckets['task'])
 		avoidme = dispatch.d_origin['value']['mantaComputeId'];
 
 	if (dispatch.d_objectid == '/dev/null') {
@@ -4100,10 +6938,12 @@ Worker.prototype.dispMapSelectShark = function (dispatch)
 		    function (l) { return (l['mantaComputeId']); });
 	}
 
-	which = this.agentSelectHealthyFrom(agents, avoidme);
+	which = this.agentSelectHealthyFrom(agents, avoidme,
+	    !this.w_random_shark);
 	if (which == -1)
 		return (null);
 
+	this.w_agents[agents[which]].a_ndispatched++;
 	return ({
 	    'instance': agents[which],
 	    'zonename': dispatch.d_objectid == '/dev/null' ?
@@ -4113,13 +6953,41 @@ Worker.prototype.dispMapSelectShark = function (dispatch)
 
 /*
  * Select a system to which to dispatch this reduce task.  Returns the
- * mantaComputeId, or null if none is available.  We select randomly from the
- * set of healthy systems, avoiding "avoidme" if necessary.
+ * mantaComputeId, or null if none is available.  If "locality" (an object
+ * mapping mantaComputeIds to the number of input objects stored there) is
+ * non-empty, we select randomly from the healthy systems in it other than
+ * "avoidme", weighted by the number of inputs on each one.  Otherwise (or if
+ * there are no such systems), we select randomly from the set of healthy
+ * systems, avoiding "avoidme" if necessary.
  */
-Worker.prototype.reduceSelectAgent = function (avoidme)
+Worker.prototype.reduceSelectAgent = function (avoidme, locality)
 {
-	var agents = Object.keys(this.w_agents);
-	var which = this.agentSelectHealthyFrom(agents, avoidme);
+	var worker = this;
+	var agents, which, total, r, i;
+
+	if (locality !== undefined) {
+		agents = Object.keys(locality).filter(function (instance) {
+			return (instance !== avoidme &&
+			    worker.w_agents.hasOwnProperty(instance) &&
+			    !worker.w_agents[instance].a_timedout &&
+			    worker.w_agents[instance].a_avoid_until ===
+			    undefined);
+		});
+
+		total = 0;
+		for (i = 0; i < agents.length; i++)
+			total += locality[agents[i]];
+
+		r = Math.floor(Math.random() * total);
+		for (i = 0; i < agents.length; i++) {
+			r -= locality[agents[i]];
+			if (r < 0)
+				return (agents[i]);
+		}
+	}
+
+	agents = Object.keys(this.w_agents);
+	which = this.agentSelectHealthyFrom(agents, avoidme);
 	return (which != -1 ? agents[which] : null);
 };
 
@@ -4141,6 +7009,7 @@ Worker.prototype.dispReduce = function (dispatch)
 	mod_assert.ok(dispatch.d_ri !== undefined);
 	mod_assert.ok(dispatch.d_ri < phase.p_reducers.length);
 	reducer = phase.p_reducers[dispatch.d_ri];
+	localityAdd(reducer.r_locality, dispatch.d_locations);
 
 	if (reducer.r_task === undefined) {
 		dispatch.d_error = {
@@ -4177,7 +7046,8 @@ Worker.prototype.dispReduce = function (dispatch)
 	    'timeDispatched': dispatch.d_time,
 	    'prevRecordType': dispatch.d_origin['bucket'] ==
 		this.w_buckets['jobinput'] ? 'jobinput' : 'taskoutput',
-	    'prevRecordId': dispatch.d_origin['key']
+	    'prevRecordId': dispatch.d_origin['key'],
+	    'sortKey': dispatch.d_origin['value']['sortKey']
 	};
 
 	/*
@@ -4208,6 +7078,12 @@ Worker.prototype.dispReduce = function (dispatch)
 	reducer.r_task.t_ninput++;
 	job.j_ndeletes += ndels;
 
+	/* Unread taskinputs count against the task quota. */
+	if (ndels === 0) {
+		phase.p_ntidispatched++;
+		this.phaseUnreadSet(job, phase, phase.p_ntiunread + 1);
+	}
+
 	this.w_dtrace.fire('taskinput-dispatched', function () {
 	    return ([ task.t_value['jobId'], task.t_id, value ]);
 	});
@@ -4220,8 +7096,14 @@ Worker.prototype.dispReduce = function (dispatch)
 	    origin_value,
 	    { 'etag': dispatch.d_origin['_etag'] }
 	] ], {}, function (err) {
-		if (err)
+		if (err) {
 			job.j_ndeletes -= ndels;
+			if (ndels === 0) {
+				phase.p_ntidispatched--;
+				worker.phaseUnreadSet(job, phase,
+				    phase.p_ntiunread - 1);
+			}
+		}
 
 		dispatch.d_barrier.done(dispatch.d_id);
 		dispatch.d_job.j_phases[dispatch.d_pi].p_ndispatches--;
@@ -4237,7 +7119,7 @@ Worker.prototype.dispReduce = function (dispatch)
 Worker.prototype.dispError = function (dispatch)
 {
 	var worker = this;
-	var job, uuid, value, origin_value;
+	var job, uuid, value, origin_value, summary;
 
 	if (dispatch.d_time === undefined)
 		dispatch.d_time = mod_jsprim.iso8601(Date.now());
@@ -4251,9 +7133,10 @@ Worker.prototype.dispError = function (dispatch)
 	    'phaseNum': dispatch.d_pi,
 	    'errorCode': dispatch.d_error['code'],
 	    'errorMessage': dispatch.d_error['message'],
+	    'errorCategory': mod_errors.errorCategory(dispatch.d_error['code']),
 	    'input': dispatch.d_objname,
 	    'p0input': dispatch.d_pi === 0 ? dispatch.d_objname :
-		dispatch.d_origin['value']['p0input'],
+		dispatch.d_p0objname,
 	    'prevRecordType': dispatch.d_origin['bucket'] ==
 		this.w_buckets['jobinput'] ? 'jobinput' : 'taskoutput',
 	    'prevRecordId': dispatch.d_origin['key'],
@@ -4279,7 +7162,7 @@ Worker.prototype.dispError = function (dispatch)
 	 * applies to map tasks.
 	 */
 	if (dispatch.d_origin['bucket'] == this.w_buckets['task'])
-		origin_value['timeRetried'] = dispatch.d_time;
+		dispMarkRetried(dispatch);
 
 	this.w_dtrace.fire('error-dispatched',
 	    function () { return ([ job.j_id, value ]); });
@@ -4299,6 +7182,13 @@ Worker.prototype.dispError = function (dispatch)
 		dispatch.d_job.j_phases[dispatch.d_pi].p_ndispatches--;
 		job.j_job['stats']['nErrors']++;
 
+		if (!err && job.j_job['dryRun'] === true) {
+			summary = job.j_job['dryRunSummary'];
+			summaryAdd(summary['errors'], value['errorCode']);
+			if (dispatch.d_type == 'directory')
+				summary['nDirectories']++;
+		}
+
 		worker.jobPropagateEnd(dispatch.d_job, null);
 		worker.jobTick(dispatch.d_job);
 	});
@@ -4422,6 +7312,13 @@ Worker.prototype.jobPropagateEnd = function (job, now)
 {
 	var phase, pi;
 
+	if (job.j_input_deferred && job.j_dropped === undefined &&
+	    job.j_phases[0].p_ndispatches === 0 && !this.jobMustHold(job)) {
+		job.j_input_deferred = false;
+		this.jobInputFence(job);
+		return;
+	}
+
 	if (!job.j_input_fully_read)
 		return;
 
@@ -4523,6 +7420,16 @@ Worker.prototype.reduceEndInput = function (job, i, now)
 			return;
 		}
 
+		/*
+		 * If we haven't finished writing out the task in the first
+		 * place, we'll come back here when we have.
+		 */
+		if (task.t_etag === undefined) {
+			job.j_log.info('deferring input-done for reduce task ' +
+			    '"%s" (still dispatching)', task.t_id);
+			return;
+		}
+
 		job.j_log.info('marking input done for ' +
 		    'reduce phase %d (task %s) with %d inputs', i, task.t_id,
 		    reducer.r_task.t_ninput);
@@ -4766,10 +7673,241 @@ Worker.prototype.kangSchema = function (type)
 
 Worker.prototype.kangStats = function ()
 {
-	return (mod_jsprim.deepCopy(this.w_stats));
+	var rv = mod_jsprim.deepCopy(this.w_stats);
+	rv['disp_held_now'] = this.dispHeldCount();
+	rv['disp_held_accounts'] = Object.keys(this.w_dispatch).length;
+	mod_jsprim.forEachKey(this.w_locator.stats(), function (name, value) {
+		rv['locate_' + name] = value;
+	});
+	return (rv);
 };
 
 
+/*
+ * Given an object mapping mantaComputeIds to counts, bump the count for each of
+ * the given "locations" (as in d_locations).
+ */
+function localityAdd(locality, locations)
+{
+	locations.forEach(function (loc) {
+		var instance = loc['mantaComputeId'];
+
+		if (!locality.hasOwnProperty(instance))
+			locality[instance] = 0;
+		locality[instance]++;
+	});
+}
+
+/*
+ * Remove the given agent's task results from before "since" (a timestamp in
+ * milliseconds), as well as any beyond the most recent mwAgentMaxResults.
+ */
+function agentResultsPrune(agent, since)
+{
+	var i;
+
+	for (i = 0; i < agent.a_results.length; i++) {
+		if (agent.a_results[i]['time'] >= since)
+			break;
+	}
+
+	i = Math.max(i, agent.a_results.length - mwAgentMaxResults);
+	if (i > 0)
+		agent.a_results = agent.a_results.slice(i);
+}
+
+/*
+ * Returns the number of the given agent's recent task results with error code
+ * "code".
+ */
+function agentResultsCount(agent, code)
+{
+	return (agent.a_results.filter(
+	    function (result) { return (result['code'] == code); }).length);
+}
+
+/*
+ * Returns the error code for the given failed task record.  Abandoned tasks
+ * have no code of their own, but are reported as internal errors.
+ */
+function taskFailureCode(value)
+{
+	return (value['errorCode'] || EM_INTERNAL);
+}
+
+/*
+ * Bump the count for "key" in "counts", an object mapping keys to counts.
+ */
+function summaryAdd(counts, key)
+{
+	if (!counts.hasOwnProperty(key))
+		counts[key] = 0;
+	counts[key]++;
+}
+
+/*
+ * Records the duration of the given task, which was just committed at "now",
+ * for the purpose of estimating the phase's progress.
+ */
+function phaseTaskTimed(phase, task, now)
+{
+	var start;
+
+	if (task['timeDispatched'] === undefined)
+		return;
+
+	start = Date.parse(task['timeDispatched']);
+	phase.p_ntimed++;
+	phase.p_time_busy += Date.parse(now) - start;
+	if (phase.p_time_first === undefined || start < phase.p_time_first)
+		phase.p_time_first = start;
+}
+
+/*
+ * Returns the progress of each of the job's phases for the job record.  See
+ * "Job progress" above.
+ */
+function jobProgress(job)
+{
+	var fed, prev;
+
+	if (job.j_job['state'] == 'done') {
+		return (job.j_phases.map(
+		    function () { return ({ 'fraction': 1 }); }));
+	}
+
+	fed = !job.j_input_fully_read;
+	return (job.j_phases.map(function (phase, i) {
+		var rv = phaseProgress(phase,
+		    i === 0 ? undefined : job.j_phases[i - 1], fed);
+
+		if (fed && prev !== undefined)
+			rv['fraction'] = Math.min(rv['fraction'],
+			    prev['fraction']);
+
+		fed = fed || rv['fraction'] < 1;
+		prev = rv;
+		return (rv);
+	}));
+}
+
+/*
+ * Returns the given phase's progress for the job record, given the previous
+ * phase (if any) and whether more input may still arrive for this phase.
+ */
+function phaseProgress(phase, prevphase, fed)
+{
+	var stats = phase.p_stats;
+	var now = Date.now();
+	var ndone, nleft, ntotal, mean, parallel, rv;
+
+	ndone = stats['nTasksCommittedOk'] + stats['nTasksCommittedFail'];
+	nleft = phase.p_nuncommitted || 0;
+	if (phase.p_type != 'reduce') {
+		nleft += phase.p_ndispatches;
+		if (prevphase !== undefined)
+			nleft += prevphase.p_nunpropagated || 0;
+	}
+
+	ntotal = ndone + nleft;
+	if (fed && phase.p_type != 'reduce' && nleft === 0)
+		ntotal++;
+
+	rv = { 'fraction': ntotal === 0 ? 0 : ndone / ntotal };
+
+	if (nleft === 0 || phase.p_ntimed === 0)
+		return (rv);
+
+	mean = phase.p_time_busy / phase.p_ntimed;
+	parallel = Math.max(1,
+	    phase.p_time_busy / Math.max(1, now - phase.p_time_first));
+	rv['timeEstimatedDone'] = mod_jsprim.iso8601(
+	    now + Math.ceil(mean * nleft / Math.min(parallel, nleft)));
+	return (rv);
+}
+
+/*
+ * Returns a new, zeroed set of per-phase counters for the job record.
+ */
+function phaseStatsCreate()
+{
+	return ({
+	    'nInputsRead': 0,
+	    'nTasksDispatched': 0,
+	    'nTasksCommittedOk': 0,
+	    'nTasksCommittedFail': 0,
+	    'nRetries': 0,
+	    'nOutputs': 0
+	});
+}
+
+/*
+ * Recursively lists the objects under the Manta directory "dir" using the given
+ * client and request options, stopping as soon as more than "max" objects have
+ * been found.  Invokes callback(err, objects), where "objects" is an array of
+ * the full names of the objects found.
+ */
+function listObjects(client, dir, options, max, callback)
+{
+	var objects = [];
+	var dirs = [ dir ];
+
+	function listNext()
+	{
+		var parent;
+
+		if (dirs.length === 0) {
+			callback(null, objects);
+			return;
+		}
+
+		parent = dirs.shift();
+		client.ls(parent, options, function (err, res) {
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			function onObject(entry)
+			{
+				objects.push(parent + '/' + entry['name']);
+				if (objects.length <= max)
+					return;
+
+				/*
+				 * Ignore the rest of this listing (including
+				 * any subsequent error) and don't list any more
+				 * directories.
+				 */
+				res.removeListener('object', onObject);
+				res.removeListener('directory', onDirectory);
+				res.removeListener('error', onError);
+				res.removeListener('end', listNext);
+				res.on('error', function () {});
+				callback(null, objects);
+			}
+
+			function onDirectory(entry)
+			{
+				dirs.push(parent + '/' + entry['name']);
+			}
+
+			function onError(suberr)
+			{
+				res.removeListener('end', listNext);
+				callback(suberr);
+			}
+
+			res.on('object', onObject);
+			res.on('directory', onDirectory);
+			res.once('error', onError);
+			res.once('end', listNext);
+		});
+	}
+
+	listNext();
+}
+
 /*
  * Return a string constructed by swapping the first component of "path" with
  * "newfirst".  "path" should have previously been normalized, and it should